@@ -2,78 +2,304 @@
 /**
  * This module contains functions for interacting with TheMealDB API
  * All functions use the built-in fetch API available in Node.js 20+
+ * and return Recipe objects (see recipe.js) rather than raw meals
  */
 
-const BASE_URL = 'https://www.themealdb.com/api/json/v1/1';
+import { getConfig } from './config.js';
+import {
+  NetworkError,
+  HttpError,
+  TimeoutError,
+  MalformedResponseError,
+  NotFoundError,
+  CancelledError
+} from './errors.js';
+import { runWithConcurrency } from './utils.js';
+import { withRetry, parseRetryAfter } from './retry.js';
+import { createRateLimiter } from './rate-limiter.js';
+import { createCoalescer } from './coalescer.js';
+import { toRecipe, rankBySimilarity } from './recipe.js';
+import { emitInstrumentationEvent } from './instrumentation.js';
+
+const rateLimitListeners = new Set();
+let rateLimiter = null;
+let rateLimiterConfig = null;
+
+// Identical requests made while one is in flight share its response
+const requestCoalescer = createCoalescer();
 
 /**
- * Search for meals by name
- * @param {string} query - Search term
- * @returns {Promise<Array>} - Array of meal objects
+ * Get the rate limiter shared by every request
+ * The limiter is rebuilt when the rateLimit configuration object changes
+ *
+ * @returns {Object} - Rate limiter (see rate-limiter.js)
+ */
+function getRateLimiter() {
+  const { rateLimit } = getConfig();
+
+  if (!rateLimiter || rateLimit !== rateLimiterConfig) {
+    rateLimiterConfig = rateLimit;
+    rateLimiter = createRateLimiter({
+      ...rateLimit,
+      onQueueChange: depth => rateLimitListeners.forEach(listener => listener(depth))
+    });
+  }
+  return rateLimiter;
+}
+
+/**
+ * Get the number of requests waiting for the rate limiter
+ *
+ * @returns {number} - Queue depth
+ */
+export function getRateLimitQueueDepth() {
+  return getRateLimiter().getQueueDepth();
+}
+
+/**
+ * Be notified when the rate limiter queue grows or shrinks
+ *
+ * @param {Function} listener - Called with the queue depth
+ * @returns {Function} - Call to unsubscribe
+ */
+export function onRateLimitQueueChange(listener) {
+  rateLimitListeners.add(listener);
+  return () => rateLimitListeners.delete(listener);
+}
+
+/**
+ * Get request coalescing counters
+ *
+ * @returns {Object} - { hits, misses, inFlight } where hits are requests that joined one already in flight
+ */
+export function getRequestCoalescingStats() {
+  return requestCoalescer.getStats();
+}
+
+/**
+ * Build a full API URL from an endpoint path
+ * The base URL comes from the configuration (MEALDB_BASE_URL environment variable)
+ *
+ * @param {string} endpoint - Endpoint path with query string (e.g. 'search.php?s=cake')
+ * @returns {string} - Full URL
+ */
+function apiUrl(endpoint) {
+  return `${getConfig().apiBaseUrl.replace(/\/+$/, '')}/${endpoint}`;
+}
+
+/**
+ * Fetch an endpoint and return the meals array from the JSON response
+ * Every failure is reported as one of the error classes from errors.js
+ *
+ * @param {string} endpoint - Endpoint path with query string
+ * @param {AbortSignal} signal - Aborts the HTTP request
+ * @param {Function} onResponse - Called with the HTTP status as soon as a response arrives
+ * @returns {Promise<Array|null>} - Meals array, or null when the API found nothing
+ * @throws {NetworkError} - If the request could not be sent
+ * @throws {HttpError} - If the response status is not ok
+ * @throws {MalformedResponseError} - If the body is not valid TheMealDB JSON
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/fetch | MDN: fetch API}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise | MDN: Promise}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/try...catch | MDN: try...catch}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Response/ok | MDN: Response.ok}
  */
-export async function searchMealsByName(query) {
-  // CHALLENGE 1: Implement the searchMealsByName function
-  // 1. Use the fetch API to make a request to `${BASE_URL}/search.php?s=${encodeURIComponent(query)}`
-  // 2. Check if the response is ok (response.ok)
-  // 3. If not ok, throw an error with the status code
-  // 4. Parse the JSON response (response.json())
-  // 5. Return data.meals or an empty array if meals is null
-  // 6. Wrap everything in a try/catch block and return empty array on error
+async function fetchMeals(endpoint, signal, onResponse = () => {}) {
+  let response;
+  try {
+    response = await fetch(apiUrl(endpoint), { signal });
+  } catch (error) {
+    throw new NetworkError(`Network error: ${error.message}`, { endpoint, cause: error });
+  }
+  onResponse(response.status);
+
+  if (!response.ok) {
+    const retryAfterMs = parseRetryAfter(response.headers?.get('Retry-After'));
+    throw new HttpError(response.status, { endpoint, retryAfterMs });
+  }
 
+  let data;
   try {
-    const response = await fetch(`${BASE_URL}/search.php?s=${encodeURIComponent(query)}`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! Status: ${response.status}`);
+    data = await response.json();
+  } catch (error) {
+    throw new MalformedResponseError('Response is not valid JSON', { endpoint, cause: error });
+  }
+
+  if (!data || typeof data !== 'object' || !(data.meals === null || Array.isArray(data.meals))) {
+    throw new MalformedResponseError('Response has no meals list', { endpoint });
+  }
+
+  return data.meals;
+}
+
+/**
+ * Make a single attempt at an endpoint
+ * The attempt waits for the rate limiter first, the timeout starts once it is sent.
+ * A timeout or an aborted caller signal aborts the HTTP request itself, not just the wait.
+ *
+ * @param {string} endpoint - Endpoint path with query string
+ * @param {Object} options - Attempt options
+ * @param {number} options.timeoutMs - Abort after this many milliseconds (0 or undefined for no timeout)
+ * @param {AbortSignal} options.signal - Caller's signal
+ * @param {Function} options.onResponse - Called with the HTTP status (see fetchMeals)
+ * @returns {Promise<Array|null>} - Meals array, or null when the API found nothing
+ * @throws {TimeoutError} - If the request takes longer than timeoutMs
+ * @throws {CancelledError} - If the caller's signal is aborted
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController | MDN: AbortController}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/race | MDN: Promise.race}
+ */
+async function requestOnce(endpoint, { timeoutMs, signal, onResponse } = {}) {
+  await getRateLimiter().acquire(signal);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort();
+  const timer = timeoutMs
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs)
+    : null;
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  // Stop waiting as soon as the request is aborted, even if fetch is slow to notice
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(new CancelledError()), { once: true });
+  });
+
+  try {
+    return await Promise.race([fetchMeals(endpoint, controller.signal, onResponse), aborted]);
+  } catch (error) {
+    if (timedOut) {
+      throw new TimeoutError(timeoutMs, { endpoint, cause: error });
+    }
+    if (signal && signal.aborted) {
+      throw new CancelledError();
     }
-    const data = await response.json();
-    return data.meals || [];
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+/**
+ * Request an endpoint with retries, reporting how it went as a request event
+ * (see instrumentation.js)
+ *
+ * @param {string} endpoint - Endpoint path with query string
+ * @param {Object} options - Request options (retry, timeoutMs, signal)
+ * @returns {Promise<Array|null>} - Meals array, or null when the API found nothing
+ * @throws {ApiError} - If every attempt fails
+ * @throws {CancelledError} - If the signal is aborted
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Performance/now | MDN: performance.now}
+ */
+async function requestWithRetry(endpoint, { retry, timeoutMs, signal } = {}) {
+  const started = performance.now();
+  let attempts = 0;
+  let status = null;
+
+  const report = (outcome, error = null) => emitInstrumentationEvent({
+    type: 'request',
+    endpoint: endpoint.split('?')[0],
+    latencyMs: performance.now() - started,
+    status,
+    retries: Math.max(0, attempts - 1),
+    outcome,
+    error: error ? error.name : null
+  });
+
+  try {
+    const meals = await withRetry(attempt => {
+      attempts = attempt;
+      return requestOnce(endpoint, { timeoutMs, signal, onResponse: code => { status = code; } });
+    }, retry, { signal });
+    report('success');
+    return meals;
   } catch (error) {
-    console.error("Error fetching meals by name:", error);
-    return [];
+    report(error instanceof CancelledError ? 'cancelled' : 'error', error);
+    throw error;
   }
 }
 
+/**
+ * Request an endpoint with the shared retry policy
+ * Every public function in this module accepts the same options object and passes it here.
+ * A request for a URL that is already in flight joins it (with the first caller's
+ * retry and timeout options) instead of hitting the network again.
+ *
+ * @param {string} endpoint - Endpoint path with query string
+ * @param {Object} options - Request options
+ * @param {Object} options.retry - Retry policy overrides for this call (see retry.js)
+ * @param {number} options.timeoutMs - Timeout for each attempt in milliseconds
+ * @param {AbortSignal} options.signal - Cancels the request, including retries and rate limit waits
+ * @param {boolean} options.coalesce - Share identical in-flight requests (false for endpoints whose answer changes every call)
+ * @returns {Promise<Array|null>} - Meals array, or null when the API found nothing
+ * @throws {ApiError} - If every attempt fails
+ * @throws {CancelledError} - If the signal is aborted
+ */
+async function requestMeals(endpoint, options = {}) {
+  const { retry, timeoutMs, signal, coalesce = true } = options;
+  const request = requestSignal => requestWithRetry(endpoint, { retry, timeoutMs, signal: requestSignal });
+
+  if (!coalesce) {
+    return request(signal);
+  }
+  return requestCoalescer.run(apiUrl(endpoint), request, signal);
+}
+
+/**
+ * Request an endpoint that returns meals and convert them to Recipes
+ *
+ * @param {string} endpoint - Endpoint path with query string
+ * @param {Object} options - Request options (see requestMeals)
+ * @returns {Promise<Array<Recipe>>} - Recipes (empty if the API found nothing)
+ * @throws {ApiError} - If every attempt fails
+ */
+async function requestRecipes(endpoint, options = {}) {
+  const meals = await requestMeals(endpoint, options);
+  return (meals || []).map(toRecipe);
+}
+
+/**
+ * Search for meals by name
+ * @param {string} query - Search term
+ * @param {Object} options - Request options (retry, timeoutMs, signal)
+ * @returns {Promise<Array<Recipe>>} - Array of recipes (empty if nothing matches)
+ * @throws {ApiError} - If the request fails
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/fetch | MDN: fetch API}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise | MDN: Promise}
+ */
+export async function searchMealsByName(query, options = {}) {
+  return requestRecipes(`search.php?s=${encodeURIComponent(query)}`, options);
+}
+
 /**
  * Get detailed information about a specific meal by ID
- * Implementation includes retry logic for resilience
  *
  * @param {string} id - Meal ID
- * @param {number} attempts - Number of retry attempts (default: 2)
- * @returns {Promise<Object|null>} - Meal details or null if not found
+ * @param {Object} options - Request options (retry, timeoutMs, signal)
+ * @returns {Promise<Recipe>} - Recipe details
+ * @throws {NotFoundError} - If no meal has this ID
+ * @throws {ApiError} - If the request fails on every attempt
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/await | MDN: await}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Control_flow_and_error_handling | MDN: Error handling}
  */
-export async function getMealById(id, attempts = 2) {
-  // CHALLENGE 2: Implement the getMealById function with retry logic
-  // 1. Use fetch to get meal details from `${BASE_URL}/lookup.php?i=${id}`
-  // 2. Check if response is ok
-  // 3. Parse JSON and return the first meal (data.meals[0]) or null if no meals
-  // 4. Add retry logic: if fetch fails and attempts > 1, wait 1 second and retry
-  //    (use "await new Promise(resolve => setTimeout(resolve, 1000))" to wait)
-  // 5. Decrement attempts and call the function recursively
-  // 6. Handle errors with try/catch
+export async function getMealById(id, options = {}) {
+  const recipes = await requestRecipes(`lookup.php?i=${encodeURIComponent(id)}`, options);
 
-  try {
-    const response = await fetch(`${BASE_URL}/lookup.php?i=${id}`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! Status: ${response.status}`);
-    }
-    const data = await response.json();
-    return data.meals ? data.meals[0] : null;
-  } catch (error) {
-    if (attempts > 1) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      return getMealById(id, attempts - 1);
-    }
-    console.error("Error fetching meal by ID:", error);
-    return null;
+  if (recipes.length === 0) {
+    throw new NotFoundError(`Recipe ${id} not found`, { endpoint: 'lookup.php' });
   }
+  return recipes[0];
 }
 
 /**
@@ -81,143 +307,320 @@ export async function getMealById(id, attempts = 2) {
  * Uses Promise.all to fetch results for multiple letters in parallel
  *
  * @param {Array<string>} letters - Array of letters to search by
- * @returns {Promise<Array>} - Combined array of meals starting with any of the letters
+ * @param {Object} options - Request options (retry, timeoutMs, signal)
+ * @returns {Promise<Array<Recipe>>} - Combined array of recipes starting with any of the letters
+ * @throws {ApiError} - If the request for any letter fails
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/map | MDN: Array.map}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set | MDN: Set}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
  */
-export async function searchMealsByFirstLetter(letters) {
-  // CHALLENGE 3: Implement searchMealsByFirstLetter using Promise.all
-  // 1. Create an array of promises by mapping over the letters array
-  // 2. For each letter, create a fetch promise that:
-  //    - Fetches from `${BASE_URL}/search.php?f=${letter.charAt(0)}`
-  //    - Handles the response (checks if ok, parses JSON)
-  //    - Returns meals array or empty array
-  //    - Catches errors and returns empty array
-  // 3. Use Promise.all to wait for all promises to resolve
-  // 4. Combine results and remove duplicates (using meal IDs and Set)
-  // 5. Return the combined array of meals
-  // 6. Wrap in a try/catch block
-
-  try {
-    const promises = letters.map(letter =>
-      fetch(`${BASE_URL}/search.php?f=${letter}`)
-        .then(response => response.ok ? response.json() : Promise.reject(`Error: ${response.status}`))
-        .then(data => data.meals || [])
-        .catch(() => [])
-    );
-
-    const results = await Promise.all(promises);
-    const allMeals = results.flat();
-
-    const uniqueMeals = Array.from(new Map(allMeals.map(meal => [meal.idMeal, meal])).values());
+export async function searchMealsByFirstLetter(letters, options = {}) {
+  const results = await Promise.all(
+    letters.map(letter => requestRecipes(`search.php?f=${encodeURIComponent(letter)}`, options))
+  );
 
-    return uniqueMeals;
-  } catch (error) {
-    return [];
-  }
+  return Array.from(new Map(results.flat().map(recipe => [recipe.id, recipe])).values());
 }
 
 /**
  * Search for meals containing a specific ingredient
- * Implements a timeout using Promise.race
+ * Each attempt times out after 5 seconds unless options.timeoutMs says otherwise
  *
  * @param {string} ingredient - Ingredient to search for
- * @param {number} timeoutMs - Timeout in milliseconds
- * @returns {Promise<Array|string>} - Array of meals or error message if timeout
+ * @param {Object} options - Request options (retry, timeoutMs, signal)
+ * @returns {Promise<Array<Recipe>>} - Array of recipe summaries (empty if nothing matches)
+ * @throws {TimeoutError} - If the API does not answer in time on any attempt
+ * @throws {ApiError} - If the request fails
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/race | MDN: Promise.race}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Using_promises | MDN: Using promises}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/typeof | MDN: typeof}
- */
-export async function getMealsByIngredient(ingredient, timeoutMs = 5000) {
-  // CHALLENGE 4: Implement getMealsByIngredient with timeout using Promise.race
-  // 1. Create a timeout promise that rejects after timeoutMs milliseconds
-  // 2. Create a fetch promise that gets meals by ingredient
-  //    - Fetch from `${BASE_URL}/filter.php?i=${encodeURIComponent(ingredient)}`
-  //    - Handle the response (check if ok, parse JSON)
-  //    - Return meals array or empty array
-  // 3. Use Promise.race to race the fetch against the timeout
-  // 4. Return the result (either meals array or error message)
-  // 5. Handle errors and return a user-friendly message if timeout occurs
-
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error('Request took too long')), timeoutMs)
+ */
+export async function getMealsByIngredient(ingredient, options = {}) {
+  const { timeoutMs = 5000, ...requestOptions } = options;
+  return requestRecipes(`filter.php?i=${encodeURIComponent(ingredient)}`, { ...requestOptions, timeoutMs });
+}
+
+/**
+ * Clean up a list of ingredient names (trim, lowercase, drop blanks and duplicates)
+ *
+ * @param {Array<string>} ingredients - Ingredient names as typed by the user
+ * @returns {Array<string>} - Normalized unique names
+ */
+function normalizeIngredientList(ingredients) {
+  return Array.from(new Set(ingredients.map(name => name.trim().toLowerCase()).filter(Boolean)));
+}
+
+/**
+ * Search for meals by several ingredients at once
+ * Fans out one getMealsByIngredient lookup per ingredient and combines the
+ * results by recipe ID: intersection for `all`, union for `any`, exclusion for `none`
+ *
+ * TheMealDB only matches exact ingredient names, so excluding "cream" does not
+ * exclude a meal made with "double cream". Set verifyExclusions to fetch the
+ * full details of every remaining meal and check the exclusions against them.
+ *
+ * @param {Object} criteria - Ingredient criteria
+ * @param {Array<string>} criteria.all - Meals must use every one of these
+ * @param {Array<string>} criteria.any - Meals must use at least one of these
+ * @param {Array<string>} criteria.none - Meals must not use any of these
+ * @param {Object} options - Search options
+ * @param {boolean} options.verifyExclusions - Check exclusions against full meal details (default: false)
+ * @param {number} options.concurrency - Maximum parallel detail lookups (default: 3)
+ * @param {Object} options.retry - Retry policy overrides for every lookup
+ * @param {AbortSignal} options.signal - Cancels every lookup
+ * @returns {Promise<Array<Recipe>>} - Array of recipe summaries matching all criteria
+ * @throws {Error} - If neither `all` nor `any` contains an ingredient
+ * @throws {ApiError} - If any lookup fails
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set | MDN: Set}
+ */
+export async function searchMealsByIngredients({ all = [], any = [], none = [] } = {}, options = {}) {
+  const { verifyExclusions = false, concurrency = 3, ...requestOptions } = options;
+  const required = normalizeIngredientList(all);
+  const optional = normalizeIngredientList(any);
+  const excluded = normalizeIngredientList(none);
+
+  if (required.length === 0 && optional.length === 0) {
+    throw new Error('At least one ingredient to include is required');
+  }
+
+  // Look every ingredient up once, in parallel
+  const lookups = normalizeIngredientList([...required, ...optional, ...excluded]);
+  const results = await Promise.all(lookups.map(ingredient => getMealsByIngredient(ingredient, requestOptions)));
+  const mealsByIngredient = new Map(lookups.map((ingredient, index) => [ingredient, results[index]]));
+  const idsFor = ingredient => new Set(mealsByIngredient.get(ingredient).map(recipe => recipe.id));
+
+  // Start from the first list so results keep the API's ordering
+  const seed = required.length > 0 ? required : optional;
+  let candidates = Array.from(
+    new Map(seed.flatMap(ingredient => mealsByIngredient.get(ingredient)).map(recipe => [recipe.id, recipe])).values()
   );
 
-  const fetchPromise = fetch(`${BASE_URL}/filter.php?i=${encodeURIComponent(ingredient)}`)
-    .then(response => response.ok ? response.json() : Promise.reject(`Error: ${response.status}`))
-    .then(data => data.meals || [])
-    .catch(() => []);
+  for (const ingredient of required) {
+    const ids = idsFor(ingredient);
+    candidates = candidates.filter(recipe => ids.has(recipe.id));
+  }
 
-  try {
-    return await Promise.race([fetchPromise, timeoutPromise]);
-  } catch (error) {
-    return error.message; // Now matches "took too long"
+  if (required.length > 0 && optional.length > 0) {
+    const anyIds = new Set(optional.flatMap(ingredient => Array.from(idsFor(ingredient))));
+    candidates = candidates.filter(recipe => anyIds.has(recipe.id));
   }
+
+  for (const ingredient of excluded) {
+    const ids = idsFor(ingredient);
+    candidates = candidates.filter(recipe => !ids.has(recipe.id));
+  }
+
+  if (!verifyExclusions || excluded.length === 0 || candidates.length === 0) {
+    return candidates;
+  }
+
+  // Check the exclusions against the full ingredient lists
+  const details = await runWithConcurrency(
+    candidates.map(recipe => () => getMealById(recipe.id, requestOptions).catch(error => ({ error }))),
+    concurrency,
+    { signal: requestOptions.signal }
+  );
+  const failed = details.find(detail => detail && detail.error);
+  if (failed) {
+    throw failed.error;
+  }
+
+  return candidates.filter((recipe, index) => {
+    const names = details[index].ingredients.map(ingredient => ingredient.name.toLowerCase());
+    return !excluded.some(term => names.some(name => name.includes(term)));
+  });
 }
 
 /**
- * Get related recipes based on a recipe's category
- * Used in promise chaining examples
+ * Get recipes related to a recipe, ranked by ingredient similarity
+ * Candidates come from the recipe's category, its area and meals using its
+ * first few ingredients (so related recipes can come from other categories).
+ * The candidates found by the most lookups get their full details fetched and
+ * are ranked by the Jaccard index of their ingredients (see recipe.js).
+ * Lookups and detail fetches that fail are skipped, so a single failed
+ * request only narrows the candidates instead of failing the whole lookup.
  *
- * @param {Object} recipe - Recipe object with strCategory property
+ * @param {Recipe} recipe - Full recipe (with ingredients, category and area)
  * @param {number} limit - Maximum number of related recipes to return
- * @returns {Promise<Array>} - Array of related recipes
+ * @param {Object} options - Request options (retry, timeoutMs, signal) plus:
+ * @param {number} options.candidates - Maximum candidates to fetch details for (default: 5)
+ * @param {number} options.ingredientLookups - Number of ingredients to look up candidates by (default: 3)
+ * @param {number} options.concurrency - Maximum parallel detail lookups (default: 3)
+ * @returns {Promise<Array<Object>>} - { recipe, score, sharedIngredients } entries, most similar first
+ * @throws {ApiError} - If the category, area and ingredient lookups all fail
+ * @throws {CancelledError} - If the signal is aborted
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter | MDN: Array.filter}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice | MDN: Array.slice}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/allSettled | MDN: Promise.allSettled}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/sort | MDN: Array.sort}
  */
-export async function getRelatedRecipes(recipe, limit = 3) {
-  // CHALLENGE 5: Implement getRelatedRecipes function
-  // 1. Check if recipe is valid and has a category (strCategory)
-  // 2. Fetch recipes by category: `${BASE_URL}/filter.php?c=${encodeURIComponent(recipe.strCategory)}`
-  // 3. Handle the response (check if ok, parse JSON)
-  // 4. Remove the original recipe from results using filter
-  // 5. Limit the number of results using slice
-  // 6. Return the filtered & limited array
-  // 7. Handle errors with try/catch
+export async function getRelatedRecipes(recipe, limit = 3, options = {}) {
+  const { candidates: maxCandidates = 5, ingredientLookups = 3, concurrency = 3, ...requestOptions } = options;
+  if (!recipe) return [];
 
+  const lookups = [
+    recipe.category && getMealsByCategory(recipe.category, requestOptions),
+    recipe.area && getMealsByArea(recipe.area, requestOptions),
+    ...recipe.ingredients.slice(0, ingredientLookups).map(ingredient => getMealsByIngredient(ingredient.name, requestOptions))
+  ].filter(Boolean);
+  const settled = await Promise.allSettled(lookups);
 
-  if (!recipe || !recipe.strCategory) return [];
-  try {
-    const response = await fetch(`${BASE_URL}/filter.php?c=${encodeURIComponent(recipe.strCategory)}`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! Status: ${response.status}`);
-    }
-    const data = await response.json();
-    const relatedRecipes = (data.meals || []).filter(meal => meal.idMeal !== recipe.idMeal);
-    return relatedRecipes.slice(0, limit);
-  } catch (error) {
-    console.error("Error fetching related recipes:", error);
-    return [];
+  // Rank whatever the lookups that succeeded found
+  const failed = settled.filter(result => result.status === 'rejected');
+  const cancelled = failed.find(result => result.reason instanceof CancelledError);
+  if (cancelled || (failed.length > 0 && failed.length === settled.length)) {
+    throw (cancelled || failed[0]).reason;
   }
+  const results = settled.filter(result => result.status === 'fulfilled').map(result => result.value);
+
+  // Count how many lookups found each candidate
+  const pool = new Map();
+  for (const summary of results.flat()) {
+    if (summary.id === recipe.id) continue;
+    const entry = pool.get(summary.id) || { summary, hits: 0 };
+    entry.hits++;
+    pool.set(summary.id, entry);
+  }
+
+  const shortlist = Array.from(pool.values())
+    .sort((a, b) => b.hits - a.hits)
+    .slice(0, maxCandidates);
+
+  // Fetch full details to compare ingredients, quietly skipping candidates that fail
+  const details = await runWithConcurrency(
+    shortlist.map(entry => () => getMealById(entry.summary.id, requestOptions).catch(() => null)),
+    concurrency,
+    { signal: requestOptions.signal }
+  );
+
+  return rankBySimilarity(recipe, details.filter(Boolean), limit);
+}
+
+/**
+ * Get all meal categories
+ *
+ * @param {Object} options - Request options (retry, timeoutMs, signal)
+ * @returns {Promise<Array<string>>} - Category names (e.g. 'Beef', 'Seafood')
+ * @throws {ApiError} - If the request fails
+ */
+export async function listCategories(options = {}) {
+  const categories = await requestMeals('list.php?c=list', options);
+  return (categories || []).map(category => category.strCategory);
+}
+
+/**
+ * Get all areas (cuisines)
+ *
+ * @param {Object} options - Request options (retry, timeoutMs, signal)
+ * @returns {Promise<Array<string>>} - Area names (e.g. 'Italian', 'Japanese')
+ * @throws {ApiError} - If the request fails
+ */
+export async function listAreas(options = {}) {
+  const areas = await requestMeals('list.php?a=list', options);
+  return (areas || []).map(area => area.strArea);
+}
+
+/**
+ * Get all ingredients known to the API
+ *
+ * @param {Object} options - Request options (retry, timeoutMs, signal)
+ * @returns {Promise<Array<string>>} - Ingredient names
+ * @throws {ApiError} - If the request fails
+ */
+export async function listIngredients(options = {}) {
+  const ingredients = await requestMeals('list.php?i=list', options);
+  return (ingredients || []).map(ingredient => ingredient.strIngredient);
+}
+
+/**
+ * Get meals in a category
+ *
+ * @param {string} category - Category name
+ * @param {Object} options - Request options (retry, timeoutMs, signal)
+ * @returns {Promise<Array<Recipe>>} - Array of recipe summaries (empty if nothing matches)
+ * @throws {ApiError} - If the request fails
+ */
+export async function getMealsByCategory(category, options = {}) {
+  return requestRecipes(`filter.php?c=${encodeURIComponent(category)}`, options);
+}
+
+/**
+ * Get meals from an area (cuisine)
+ *
+ * @param {string} area - Area name
+ * @param {Object} options - Request options (retry, timeoutMs, signal)
+ * @returns {Promise<Array<Recipe>>} - Array of recipe summaries (empty if nothing matches)
+ * @throws {ApiError} - If the request fails
+ */
+export async function getMealsByArea(area, options = {}) {
+  return requestRecipes(`filter.php?a=${encodeURIComponent(area)}`, options);
 }
 
 /**
  * Get a random meal from the API
  *
- * @returns {Promise<Object|null>} - Random meal or null if error
+ * @param {Object} options - Request options (retry, timeoutMs, signal)
+ * @returns {Promise<Recipe>} - Random recipe
+ * @throws {MalformedResponseError} - If the API returned no meal
+ * @throws {ApiError} - If the request fails
  */
-export async function getRandomMeal() {
-  // CHALLENGE 6: Implement getRandomMeal function
-  // 1. Fetch a random meal from `${BASE_URL}/random.php`
-  // 2. Handle the response (check if ok, parse JSON)
-  // 3. Return the first meal or null if no meals
-  // 4. Handle errors with try/catch
+export async function getRandomMeal(options = {}) {
+  // Every call returns a different meal, so concurrent calls must not share a request
+  const recipes = await requestRecipes('random.php', { ...options, coalesce: false });
+  if (recipes.length === 0) {
+    throw new MalformedResponseError('Random meal response was empty', { endpoint: 'random.php' });
+  }
+  return recipes[0];
+}
 
-  try {
-    const response = await fetch(`${BASE_URL}/random.php`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! Status: ${response.status}`);
+/**
+ * Get several different random meals
+ * random.php returns one meal per call and can repeat itself, so meals are
+ * requested in rounds until there are enough unique ones or the attempts run out
+ *
+ * @param {number} count - Number of meals wanted
+ * @param {Object} options - Request options (retry, timeoutMs, signal) plus discovery options
+ * @param {Array<string>} options.excludeIds - IDs of meals to skip (e.g. favorites)
+ * @param {number} options.maxAttempts - Maximum number of random.php calls
+ * @param {number} options.concurrency - Maximum number of calls at once
+ * @returns {Promise<Array<Recipe>>} - Up to `count` unique recipes (fewer if the attempts ran out)
+ * @throws {ApiError} - If every call failed
+ * @throws {CancelledError} - If the signal is aborted
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
+ */
+export async function getRandomMeals(count, options = {}) {
+  const { excludeIds = [], maxAttempts = count * 4, concurrency = 3, ...requestOptions } = options;
+  const excluded = new Set(excludeIds.map(String));
+  const found = new Map();
+  let attempts = 0;
+  let lastError = null;
+
+  while (found.size < count && attempts < maxAttempts) {
+    const batchSize = Math.min(count - found.size, maxAttempts - attempts);
+    attempts += batchSize;
+
+    const tasks = Array.from({ length: batchSize }, () => signal =>
+      getRandomMeal({ ...requestOptions, signal }).catch(error => {
+        if (error instanceof CancelledError) throw error;
+        lastError = error;
+        return null;
+      })
+    );
+    const recipes = await runWithConcurrency(tasks, concurrency, { signal: requestOptions.signal });
+
+    for (const recipe of recipes) {
+      if (recipe && !excluded.has(recipe.id) && !found.has(recipe.id) && found.size < count) {
+        found.set(recipe.id, recipe);
+      }
     }
-    const data = await response.json();
-    return data.meals ? data.meals[0] : null;
-  } catch (error) {
-    console.error("Error fetching random meal:", error);
-    return null;
   }
+
+  if (found.size === 0 && lastError) {
+    throw lastError;
+  }
+  return Array.from(found.values());
 }
 
 export default {
@@ -225,6 +628,16 @@ export default {
   getMealById,
   searchMealsByFirstLetter,
   getMealsByIngredient,
+  searchMealsByIngredients,
   getRelatedRecipes,
-  getRandomMeal
+  getRandomMeal,
+  getRandomMeals,
+  listCategories,
+  listAreas,
+  listIngredients,
+  getMealsByCategory,
+  getMealsByArea,
+  getRateLimitQueueDepth,
+  onRateLimitQueueChange,
+  getRequestCoalescingStats
 };
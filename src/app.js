@@ -4,11 +4,50 @@
  * Contains the command-line interface and application logic
  */
 
-import readlineSync from 'readline-sync';
+import path from 'path';
 import * as api from './api.js';
 import * as cache from './cache.js';
 import * as favorites from './favorites.js';
+import * as mirror from './mirror.js';
+import * as metrics from './metrics.js';
+import * as searchIndex from './search-index.js';
+import * as prompt from './prompt.js';
 import * as utils from './utils.js';
+import { onInstrumentationEvent } from './instrumentation.js';
+import { getConfig, setConfig } from './config.js';
+import { describeError, ApiError, NotFoundError, CancelledError } from './errors.js';
+
+// Cache key and size of the list of recently seen recipe IDs
+const RECENTLY_SEEN_KEY = 'recently_seen';
+const RECENTLY_SEEN_LIMIT = 50;
+
+// Most saved recipes added to the results of a search
+const LOCAL_SEARCH_LIMIT = 10;
+
+// Request and cache metrics of this session, added to data/stats.json on exit
+const sessionMetrics = metrics.createMetricsCollector();
+
+// Cancels the background prefetch of the last search's recipe details
+let prefetchController = null;
+
+/**
+ * Tell the user what the startup check of a data file found and did
+ *
+ * @param {Object} report - Result of the check (see data-files.js checkDataFile)
+ */
+function reportDataFileCheck({ file, status, fromVersion, backup, error, quarantinedTo }) {
+  switch (status) {
+    case 'migrated':
+      console.log(`Upgraded ${path.basename(file)} from format version ${fromVersion} (the old file was kept as ${path.basename(backup)})`);
+      break;
+    case 'quarantined':
+      console.log(`${error.message}: moved it to ${path.basename(quarantinedTo)} and started a new one`);
+      break;
+    case 'newer':
+      console.log(`${error.message}: it will not be changed, update Recipe Explorer to use it`);
+      break;
+  }
+}
 
 /**
  * Initialize the application
@@ -25,8 +64,27 @@ async function initialize() {
   // 4. Catch any errors, log them, and return false
 
   try {
-    await Promise.all([cache.initialize(), favorites.initialize()]);
-    cache.clearExpired();
+    // Let the user know when requests are being held back by the rate limiter
+    let waiting = false;
+    api.onRateLimitQueueChange(depth => {
+      if (depth > 0 && !waiting) {
+        console.log(`Waiting for rate limit... (${depth} queued)`);
+      }
+      waiting = depth > 0;
+    });
+
+    onInstrumentationEvent(sessionMetrics.record);
+
+    // Move corrupt data files aside and upgrade old ones before anything writes to them
+    const checks = await Promise.all([
+      cache.checkCacheStorage(),
+      favorites.checkFavoritesFile(),
+      favorites.checkCookingHistoryFile()
+    ]);
+    checks.filter(Boolean).forEach(reportDataFileCheck);
+
+    await Promise.all([cache.initializeCache(), favorites.initializeFavorites()]);
+    await cache.clearExpiredCache({ maxStaleMs: getConfig().cacheMaxStale });
     return true;
   } catch (error) {
     console.error('Error initializing application:', error.message);
@@ -34,6 +92,150 @@ async function initialize() {
   }
 }
 
+/**
+ * Run an async task that the user can cancel with Ctrl+C
+ * While the task runs, Ctrl+C aborts it instead of quitting the application
+ *
+ * @param {Function} task - Function receiving an AbortSignal and returning a promise
+ * @returns {Promise<any>} - Result of the task
+ * @throws {CancelledError} - If the user pressed Ctrl+C
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController | MDN: AbortController}
+ * @see {@link https://nodejs.org/api/process.html#signal-events | Node.js: Signal events}
+ */
+async function runCancellable(task) {
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    console.log('\nCancelling...');
+    controller.abort();
+  };
+
+  process.on('SIGINT', onInterrupt);
+  try {
+    return await task(controller.signal);
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * Get data from the cache or fetch it, cancellable with Ctrl+C
+ * Expired entries are shown right away while they are refreshed in the
+ * background, or when TheMealDB cannot be reached, with a note saying how old they are
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetchFn - Function receiving an AbortSignal, called on a cache miss
+ * @returns {Promise<any>} - Cached or fetched data
+ */
+async function fetchCached(key, fetchFn) {
+  const result = await runCancellable(signal =>
+    cache.getCachedOrFetchResult(key, fetchFn, false, { signal, staleWhileRevalidate: true })
+  );
+
+  if (result.stale) {
+    const reason = result.error ? describeError(result.error) : 'refreshing in the background';
+    console.log(`Showing cached results from ${utils.formatAge(result.storedAt)} (${reason})`);
+  }
+  return result.data;
+}
+
+/**
+ * Run a recipe query against TheMealDB (through the cache) or the offline mirror
+ * api.js and mirror.js use the same function names, so `method` picks the query in both.
+ * With preferMirror set, a fully synced mirror answers right away (a partly
+ * synced one would miss recipes); otherwise the mirror is the fallback when
+ * TheMealDB cannot be reached and nothing is cached.
+ *
+ * @param {string|null} cacheKey - Cache key for the network result (null to skip the cache)
+ * @param {string} method - Query function name (e.g. 'searchMealsByName')
+ * @param {Array} args - Query arguments
+ * @param {Object} options - Extra query options (e.g. verifyExclusions)
+ * @returns {Promise<any>} - Query result
+ */
+async function queryRecipes(cacheKey, method, args = [], options = {}) {
+  if (getConfig().preferMirror && await mirror.hasCompleteMirror()) {
+    return mirror[method](...args, options);
+  }
+
+  const fetchFn = signal => api[method](...args, { ...options, signal });
+
+  try {
+    return cacheKey ? await fetchCached(cacheKey, fetchFn) : await runCancellable(fetchFn);
+  } catch (error) {
+    if (error instanceof ApiError && !(error instanceof NotFoundError) && await mirror.hasMirror()) {
+      console.log('Could not reach TheMealDB, using the offline mirror');
+      return mirror[method](...args, options);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the IDs of recipes the user has seen recently, most recent first
+ * The list lives in the cache, so it expires with it
+ *
+ * @returns {Promise<Array<string>>} - Recipe IDs
+ */
+async function getRecentlySeen() {
+  return (await cache.getFromCache(RECENTLY_SEEN_KEY)) || [];
+}
+
+/**
+ * Add recipes to the recently seen list
+ *
+ * @param {Array<string>} ids - IDs of the recipes just shown
+ * @returns {Promise<void>}
+ */
+async function rememberSeen(ids) {
+  const seen = await getRecentlySeen();
+  const updated = [...ids, ...seen.filter(id => !ids.includes(id))].slice(0, RECENTLY_SEEN_LIMIT);
+  await cache.saveToCache(RECENTLY_SEEN_KEY, updated);
+}
+
+/**
+ * Fetch the details of the top search results into the cache in the background
+ * Not awaited: the prompt shows right away and, as it does not block (see
+ * prompt.js), the fetches run while the user reads the results. Opening a
+ * recipe that is still being fetched joins that fetch (see cache.prefetchIntoCache).
+ * The prefetch is cancelled once the user has chosen, or by a new prefetch.
+ *
+ * @param {Array<Object>} recipes - Search results, best first
+ */
+function prefetchRecipeDetails(recipes) {
+  cancelPrefetch();
+
+  const { prefetch, preferMirror } = getConfig();
+  // The mirror answers instantly already
+  if (prefetch.count <= 0 || recipes.length === 0 || preferMirror) {
+    return;
+  }
+
+  const jobs = recipes.slice(0, prefetch.count).map(recipe => ({
+    key: `recipe_${recipe.id}`,
+    fetchFn: signal => api.getMealById(recipe.id, { signal })
+  }));
+
+  const controller = new AbortController();
+  prefetchController = controller;
+  cache.prefetchIntoCache(jobs, { concurrency: prefetch.concurrency, signal: controller.signal })
+    .catch(() => {})
+    .finally(() => {
+      if (prefetchController === controller) {
+        prefetchController = null;
+      }
+    });
+}
+
+/**
+ * Cancel the background prefetch, if one is running
+ */
+function cancelPrefetch() {
+  if (prefetchController) {
+    prefetchController.abort();
+    prefetchController = null;
+  }
+}
+
 /**
  * Search for recipes with caching
  * Demonstrates using cache before making API calls
@@ -42,7 +244,7 @@ async function initialize() {
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/try...catch | MDN: try...catch}
  */
 async function searchRecipes() {
-  const query = readlineSync.question('Enter search term: ');
+  const query = await ask('Enter search term: ');
 
   if (!query.trim()) {
     console.log('Search term cannot be empty');
@@ -53,18 +255,44 @@ async function searchRecipes() {
 
   try {
     const cacheKey = `search_${query.toLowerCase()}`;
-    const results = await cache.getCachedOrFetch(cacheKey, () => api.searchMealsByName(query));
-    console.log(utils.formatRecipeList(results));
+    const [remote, local] = await Promise.allSettled([
+      queryRecipes(cacheKey, 'searchMealsByName', [query]),
+      searchIndex.searchLocalRecipes(query, { limit: LOCAL_SEARCH_LIMIT })
+    ]);
+
+    // Saved recipes can still be searched when TheMealDB cannot
+    const localHits = local.status === 'fulfilled' ? local.value : [];
+    if (remote.status === 'rejected') {
+      if (remote.reason instanceof CancelledError || localHits.length === 0) {
+        throw remote.reason;
+      }
+      console.log(`Could not search TheMealDB (${describeError(remote.reason)}), showing saved recipes only`);
+    }
+
+    // Upstream results first, then saved recipes it did not return (typos, ingredients, instructions)
+    const remoteRecipes = remote.status === 'fulfilled' ? remote.value : [];
+    const remoteIds = new Set(remoteRecipes.map(recipe => recipe.id));
+    const localOnly = localHits.filter(hit => !remoteIds.has(hit.recipe.id));
+    const results = [...remoteRecipes, ...localOnly.map(hit => hit.recipe)];
+    const notes = Object.fromEntries(localOnly.map(hit => [hit.recipe.id, `saved, matches ${hit.matchedTerms.join(', ')}`]));
+
+    console.log(utils.formatRecipeList(results, notes));
 
     if (results.length > 0) {
-      const recipeChoice = readlineSync.questionInt('Enter recipe number to view details or 0 to cancel: ');
+      prefetchRecipeDetails(results);
+      const index = await chooseIndex(results.length, 'Enter recipe number to view details');
 
-      if (recipeChoice > 0) {
-        await viewRecipeDetails(results[recipeChoice - 1].idMeal);
+      if (index >= 0) {
+        // Start opening the recipe before cancelling the rest, so a fetch of it still in flight is kept
+        const opening = viewRecipeDetails(results[index].id);
+        cancelPrefetch();
+        await opening;
+      } else {
+        cancelPrefetch();
       }
     }
   } catch (error) {
-    console.error('Error searching recipes:', error.message);
+    console.error('Error searching recipes:', describeError(error));
   }
 }
 
@@ -79,7 +307,7 @@ async function searchRecipes() {
  */
 async function viewRecipeDetails(recipeId) {
   if (!recipeId) {
-    recipeId = readlineSync.question('Enter recipe ID: ');
+    recipeId = await ask('Enter recipe ID: ');
   }
 
   if (!recipeId.trim()) {
@@ -91,34 +319,134 @@ async function viewRecipeDetails(recipeId) {
 
   try {
     const cacheKey = `recipe_${recipeId}`;
-    const recipeDetails = await cache.getCachedOrFetch(cacheKey, () => api.getMealById(recipeId));
-
-    if (!recipeDetails) {
-      console.log('Recipe not found');
-      return;
-    }
+    const recipeDetails = await queryRecipes(cacheKey, 'getMealById', [recipeId]);
+    await rememberSeen([recipeDetails.id]);
 
     console.log(utils.formatRecipe(recipeDetails));
 
-    const isFavorite = await favorites.isFavorite(recipeId);
+    const [favorite, history, collections] = await Promise.all([
+      favorites.getFavoriteEntry(recipeId),
+      favorites.getCookingHistory(recipeId),
+      favorites.getRecipeCollections(recipeId)
+    ]);
+
+    if (history.length > 0) {
+      console.log(utils.formatCookingHistory(history));
+    }
 
-    if (isFavorite) {
-      const removeFavorite = readlineSync.keyInYNStrict('This recipe is in your favorites. Would you like to remove it?');
-      if (removeFavorite) {
+    if (favorite) {
+      console.log(utils.formatFavoriteDetails(favorite, collections));
+      const actions = ['Log that you cooked it', 'Edit tags or notes', 'Add to or remove from a collection', 'Remove from favorites'];
+      console.log(utils.formatNameList('This recipe is in your favorites', actions));
+
+      const action = await chooseIndex(actions.length, 'Enter action number');
+      if (action === 0) {
+        await logCookingSession(recipeDetails);
+      } else if (action === 1) {
+        await editFavoriteDetails(favorite);
+      } else if (action === 2) {
+        await editRecipeCollections(recipeDetails, collections);
+      } else if (action === 3 && await confirm('Remove this recipe, its tags, notes and cooking history from your favorites and every collection?', { strict: true })) {
         await favorites.removeFavorite(recipeId);
       }
     } else {
-      const addFavorite = readlineSync.keyInYNStrict('Would you like to add this recipe to your favorites?');
+      const addFavorite = await confirm('Would you like to add this recipe to your favorites?', { strict: true });
       if (addFavorite) {
-        await favorites.addFavorite(recipeDetails);
+        const tags = await ask('Tags, comma separated (e.g. weeknight, party) or leave empty: ');
+        await favorites.addFavorite(recipeDetails, { tags });
       }
     }
 
-    const relatedRecipes = await api.getRelatedMeals(recipeDetails.strCategory);
-    console.log('Related Recipes:');
-    console.log(utils.formatRecipeList(relatedRecipes));
+    console.log('Finding related recipes...');
+    const relatedRecipes = await queryRecipes(`related_${recipeDetails.id}`, 'getRelatedRecipes', [recipeDetails, 3]);
+    console.log(utils.formatRelatedRecipes(relatedRecipes));
   } catch (error) {
-    console.error('Error viewing recipe details:', error.message);
+    if (error instanceof NotFoundError) {
+      console.log('Recipe not found');
+      return;
+    }
+    console.error('Error viewing recipe details:', describeError(error));
+  }
+}
+
+/**
+ * Ask how cooking a recipe went and add it to the cooking history
+ *
+ * @param {Recipe} recipe - Recipe that was cooked
+ */
+async function logCookingSession(recipe) {
+  let date = (await ask('Date cooked (YYYY-MM-DD) or leave empty for today: ')).trim();
+  while (date && !favorites.isValidDate(date)) {
+    date = (await ask('Please enter a date like 2024-05-01, or leave empty for today: ')).trim();
+  }
+  const rating = await askNumber('Rating (1-5): ', 1, 5);
+  const servings = await askNumber('Servings made (1-50): ', 1, 50);
+  const comment = await ask('Comment (optional): ');
+
+  if (await favorites.logCooking(recipe.id, { date: date || undefined, rating, servings, comment })) {
+    console.log(`Added to the cooking history of ${recipe.name}`);
+  }
+}
+
+/**
+ * Edit the user's tags and notes on a favorite
+ * Tags are typed as a comma-separated list: plain tags are added and tags
+ * starting with "-" are removed (e.g. "weeknight, -party")
+ *
+ * @param {Object} favorite - Favorite entry to edit ({ recipe, tags, notes }, see favorites.js)
+ */
+async function editFavoriteDetails({ recipe, notes }) {
+  const tags = (await ask('Tags to add, or to remove with a leading "-" (e.g. weeknight, -party): '))
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean);
+  const removed = tags.filter(tag => tag.startsWith('-')).map(tag => tag.slice(1));
+  const added = tags.filter(tag => !tag.startsWith('-'));
+
+  if (added.length > 0) {
+    await favorites.addTags(recipe.id, added);
+  }
+  if (removed.length > 0) {
+    await favorites.removeTags(recipe.id, removed);
+  }
+
+  const newNotes = (await ask(`Notes (leave empty to keep${notes ? ', "-" to clear' : ''}): `)).trim();
+  if (newNotes) {
+    await favorites.setNotes(recipe.id, newNotes === '-' ? '' : newNotes);
+  }
+
+  const updated = await favorites.getFavoriteEntry(recipe.id);
+  if (updated) {
+    console.log(utils.formatFavoriteDetails(updated));
+  }
+}
+
+/**
+ * Put a recipe in a collection or take it out of one
+ *
+ * @param {Recipe} recipe - Favorite recipe
+ * @param {Array<string>} current - Names of the collections it is in
+ */
+async function editRecipeCollections(recipe, current) {
+  const collections = await favorites.listCollections();
+  if (collections.length === 0) {
+    console.log('You have no collections yet, create one from the Collections menu');
+    return;
+  }
+
+  console.log(utils.formatNameList('Collections', collections.map(({ name }) => current.includes(name) ? `${name} (remove from it)` : name)));
+  const index = await chooseIndex(collections.length, 'Enter collection number');
+  if (index < 0) {
+    return;
+  }
+
+  const { name } = collections[index];
+  if (current.includes(name)) {
+    if (await favorites.removeFromCollection(name, recipe.id)) {
+      console.log(`Removed ${recipe.name} from ${name}`);
+    }
+  } else if (await favorites.addToCollection(name, recipe)) {
+    console.log(`Added ${recipe.name} to ${name}`);
   }
 }
 
@@ -127,7 +455,7 @@ async function viewRecipeDetails(recipeId) {
  * Demonstrates using Promise.all
  */
 async function exploreByFirstLetter() {
-  const letters = readlineSync.question('Enter up to 3 letters to search (e.g. abc): ');
+  const letters = await ask('Enter up to 3 letters to search (e.g. abc): ');
 
   if (!letters.trim()) {
     console.log('Please enter at least one letter');
@@ -140,18 +468,18 @@ async function exploreByFirstLetter() {
 
   try {
     const cacheKey = `letters_${uniqueLetters.sort().join('')}`;
-    const recipes = await cache.getCachedOrFetch(cacheKey, () => api.searchMealsByFirstLetter(uniqueLetters));
+    const recipes = await queryRecipes(cacheKey, 'searchMealsByFirstLetter', [uniqueLetters]);
     console.log(utils.formatRecipeList(recipes));
 
     if (recipes.length > 0) {
-      const recipeChoice = readlineSync.questionInt('Enter recipe number to view details or 0 to cancel: ');
+      const index = await chooseIndex(recipes.length, 'Enter recipe number to view details');
 
-      if (recipeChoice > 0) {
-        await viewRecipeDetails(recipes[recipeChoice - 1].idMeal);
+      if (index >= 0) {
+        await viewRecipeDetails(recipes[index].id);
       }
     }
   } catch (error) {
-    console.error('Error exploring recipes by first letter:', error.message);
+    console.error('Error exploring recipes by first letter:', describeError(error));
   }
 }
 /**
@@ -159,7 +487,7 @@ async function exploreByFirstLetter() {
  * Demonstrates using Promise.race for timeout
  */
 async function searchByIngredient() {
-  const ingredient = readlineSync.question('Enter an ingredient: ');
+  const ingredient = await ask('Enter an ingredient: ');
 
   if (!ingredient.trim()) {
     console.log('Ingredient cannot be empty');
@@ -170,52 +498,310 @@ async function searchByIngredient() {
 
   try {
     const cacheKey = `ingredient_${ingredient.toLowerCase()}`;
-    const recipes = await cache.getCachedOrFetch(cacheKey, () => api.getMealsByIngredient(ingredient));
+    const recipes = await queryRecipes(cacheKey, 'getMealsByIngredient', [ingredient]);
+    console.log(utils.formatRecipeList(recipes));
+
+    if (recipes.length > 0) {
+      const index = await chooseIndex(recipes.length, 'Enter recipe number to view details');
+
+      if (index >= 0) {
+        await viewRecipeDetails(recipes[index].id);
+      }
+    }
+  } catch (error) {
+    console.error('Error searching by ingredient:', describeError(error));
+  }
+}
+/**
+ * Split a comma separated answer into a list of trimmed values
+ *
+ * @param {string} input - Raw answer
+ * @returns {Array<string>} - Non-empty values
+ */
+function parseList(input) {
+  return input.split(',').map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * Search recipes by several ingredients (must contain all / any / none)
+ */
+async function advancedIngredientSearch() {
+  const all = parseList(await ask('Must contain ALL of (comma separated, optional): '));
+  const any = parseList(await ask('Must contain ANY of (comma separated, optional): '));
+
+  if (all.length === 0 && any.length === 0) {
+    console.log('Please enter at least one ingredient to include');
+    return;
+  }
+
+  const none = parseList(await ask('Must NOT contain (comma separated, optional): '));
+  const verifyExclusions = none.length > 0 &&
+    await confirm('Check exclusions against full recipe details (slower but more accurate)?');
+
+  console.log('Searching for matching recipes...');
+
+  try {
+    const criteria = { all, any, none };
+    const cacheKey = `ingredients_${JSON.stringify(criteria).toLowerCase()}${verifyExclusions ? '_verified' : ''}`;
+    const recipes = await queryRecipes(cacheKey, 'searchMealsByIngredients', [criteria], { verifyExclusions });
+
+    await chooseRecipe(recipes);
+  } catch (error) {
+    console.error('Error searching by ingredients:', describeError(error));
+  }
+}
+
+/**
+ * Ask the user a question (see prompt.js), exiting the application once the input has ended
+ *
+ * @param {string} text - Prompt text
+ * @returns {Promise<string>} - Answer
+ */
+async function ask(text) {
+  const answer = await prompt.question(text);
+  if (answer === null) {
+    await exitApp();
+  }
+  return answer;
+}
+
+/**
+ * Ask the user a yes or no question, exiting the application once the input has ended
+ *
+ * @param {string} text - Question
+ * @param {Object} options - Question options
+ * @param {boolean} options.strict - Ask again until the answer is yes or no
+ * @returns {Promise<boolean>} - True for yes
+ */
+async function confirm(text, { strict = false } = {}) {
+  const answer = await prompt.askYesNo(text, { strict });
+  if (answer === null) {
+    await exitApp();
+  }
+  return answer;
+}
+
+/**
+ * Ask the user for a whole number within a range
+ *
+ * @param {string} text - Prompt text
+ * @param {number} min - Smallest accepted number
+ * @param {number} max - Largest accepted number
+ * @returns {Promise<number>} - Number entered by the user
+ */
+async function askNumber(text, min, max) {
+  while (true) {
+    const answer = (await ask(text)).trim();
+    const num = Number(answer);
+    if (answer !== '' && Number.isInteger(num) && num >= min && num <= max) {
+      return num;
+    }
+    console.log(`Please enter a number between ${min} and ${max}`);
+  }
+}
+
+/**
+ * Ask the user to pick an entry from a numbered list
+ *
+ * @param {number} count - Number of entries in the list
+ * @param {string} text - Prompt text (the range is appended)
+ * @returns {Promise<number>} - Zero-based index of the choice or -1 if cancelled
+ */
+async function chooseIndex(count, text) {
+  return (await askNumber(`${text} (1-${count}) or 0 to cancel: `, 0, count)) - 1;
+}
+
+/**
+ * Show a list of recipes and open the one the user picks
+ *
+ * @param {Array<Object>} recipes - Recipes to choose from
+ */
+async function chooseRecipe(recipes) {
+  console.log(utils.formatRecipeList(recipes));
+
+  if (recipes.length > 0) {
+    const index = await chooseIndex(recipes.length, 'Enter recipe number to view details');
+
+    if (index >= 0) {
+      await viewRecipeDetails(recipes[index].id);
+    }
+  }
+}
+
+/**
+ * Ways to narrow recipes down when browsing the catalog
+ * Each filter names the queries (see queryRecipes) that list its values and fetch matching meals
+ */
+const BROWSE_FILTERS = {
+  category: {
+    title: 'Categories',
+    listKey: 'categories_list',
+    listMethod: 'listCategories',
+    prefix: 'category_',
+    mealsMethod: 'getMealsByCategory'
+  },
+  area: {
+    title: 'Areas',
+    listKey: 'areas_list',
+    listMethod: 'listAreas',
+    prefix: 'area_',
+    mealsMethod: 'getMealsByArea'
+  }
+};
+
+/**
+ * Let the user pick a category or area from the catalog
+ *
+ * @param {string} type - Filter type ('category' or 'area')
+ * @returns {Promise<string|null>} - Chosen name or null if cancelled
+ */
+async function chooseFilterValue(type) {
+  const filter = BROWSE_FILTERS[type];
+  const names = await queryRecipes(filter.listKey, filter.listMethod);
+
+  console.log(utils.formatNameList(filter.title, names));
 
-    if (typeof recipes === 'string') {
-      console.log(recipes);
+  if (names.length === 0) {
+    return null;
+  }
+
+  const index = await chooseIndex(names.length, `Enter ${type} number`);
+  return index >= 0 ? names[index] : null;
+}
+
+/**
+ * Browse recipes by category or area, optionally narrowing down by the other one
+ * (e.g. Italian -> Seafood -> recipe)
+ *
+ * @param {string} type - Filter to start with ('category' or 'area')
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/has | MDN: Set.has}
+ */
+async function browseBy(type) {
+  const otherType = type === 'area' ? 'category' : 'area';
+
+  try {
+    const name = await chooseFilterValue(type);
+    if (!name) {
       return;
     }
 
-    console.log(utils.formatRecipeList(recipes));
+    const filter = BROWSE_FILTERS[type];
+    let recipes = await queryRecipes(`${filter.prefix}${name.toLowerCase()}`, filter.mealsMethod, [name]);
+    console.log(`Found ${recipes.length} ${name} recipes`);
 
-    if (recipes.length > 0) {
-      const recipeChoice = readlineSync.questionInt('Enter recipe number to view details or 0 to cancel: ');
+    if (recipes.length > 0 && await confirm(`Would you like to narrow them down by ${otherType}?`)) {
+      const otherName = await chooseFilterValue(otherType);
 
-      if (recipeChoice > 0) {
-        await viewRecipeDetails(recipes[recipeChoice - 1].idMeal);
+      if (otherName) {
+        const otherFilter = BROWSE_FILTERS[otherType];
+        const otherRecipes = await queryRecipes(`${otherFilter.prefix}${otherName.toLowerCase()}`, otherFilter.mealsMethod, [otherName]);
+        const otherIds = new Set(otherRecipes.map(recipe => recipe.id));
+        recipes = recipes.filter(recipe => otherIds.has(recipe.id));
       }
     }
+
+    await chooseRecipe(recipes);
+  } catch (error) {
+    console.error(`Error browsing by ${type}:`, describeError(error));
+  }
+}
+
+/**
+ * Browse recipes by category
+ */
+async function browseByCategory() {
+  await browseBy('category');
+}
+
+/**
+ * Browse recipes by area (cuisine)
+ */
+async function browseByArea() {
+  await browseBy('area');
+}
+
+/**
+ * Browse the ingredient catalog and list recipes using the chosen ingredient
+ */
+async function browseIngredients() {
+  try {
+    const ingredients = await queryRecipes('ingredients_list', 'listIngredients');
+    const filterText = (await ask('Filter ingredients (leave blank to list all): ')).trim().toLowerCase();
+    const matches = ingredients.filter(name => name.toLowerCase().includes(filterText));
+
+    console.log(utils.formatNameList('Ingredients', matches));
+
+    if (matches.length === 0) {
+      return;
+    }
+
+    const index = await chooseIndex(matches.length, 'Enter ingredient number');
+    if (index < 0) {
+      return;
+    }
+
+    const ingredient = matches[index];
+    const recipes = await queryRecipes(`ingredient_${ingredient.toLowerCase()}`, 'getMealsByIngredient', [ingredient]);
+    await chooseRecipe(recipes);
   } catch (error) {
-    console.error('Error searching by ingredient:', error.message);
+    console.error('Error browsing ingredients:', describeError(error));
   }
 }
+
 /**
- * View favorite recipes
+ * View favorite recipes with their tags and cooking summary, optionally only
+ * those with one tag, sorted by rating or by how often or recently they were cooked
  */
 async function viewFavorites() {
   try {
-    const favoriteRecipes = await favorites.getFavorites();
+    const entries = await favorites.getFavoriteEntries();
 
-    if (favoriteRecipes.length === 0) {
+    if (entries.length === 0) {
       console.log('You have no favorite recipes');
       return;
     }
 
-    console.log(utils.formatRecipeList(favoriteRecipes));
+    let favoriteRecipes = entries.map(entry => entry.recipe);
+
+    // Offer to show only the favorites with one of the user's tags
+    const tags = await favorites.listTags();
+    if (tags.length > 0 && await confirm('Would you like to show only favorites with a tag?')) {
+      console.log(utils.formatNameList('Tags', tags.map(({ tag, count }) => `${tag} (${count})`)));
+      const index = await chooseIndex(tags.length, 'Enter tag number');
+      if (index >= 0) {
+        favoriteRecipes = await favorites.getFavoritesByTag(tags[index].tag);
+      }
+    }
+
+    // Once something was cooked, offer to sort by the cooking history
+    const summaries = favorites.summarizeCooking(await favorites.getCookingHistory());
+    if (summaries.size > 0) {
+      const orders = Object.keys(favorites.FAVORITE_SORT_ORDERS);
+      console.log(utils.formatNameList('Sort by', Object.values(favorites.FAVORITE_SORT_ORDERS)));
+      const index = await chooseIndex(orders.length, 'Enter sort order number');
+      if (index > 0) {
+        favoriteRecipes = favorites.sortFavorites(favoriteRecipes, orders[index], summaries);
+      }
+    }
+
+    // Show each favorite's tags and cooking summary next to it
+    const details = Object.fromEntries(entries.map(entry => {
+      const summary = summaries.get(entry.recipe.id);
+      const parts = [
+        entry.tags.map(tag => `#${tag}`).join(' '),
+        summary ? utils.formatCookingSummary(summary) : ''
+      ];
+      return [entry.recipe.id, parts.filter(Boolean).join(', ')];
+    }));
+    console.log(utils.formatRecipeList(favoriteRecipes, details));
 
-    const viewDetails = readlineSync.keyInYN('Would you like to view details for a recipe?');
+    const viewDetails = await confirm('Would you like to view details for a recipe?');
 
     if (viewDetails) {
-      const index = readlineSync.questionInt(`Enter recipe number (1-${favoriteRecipes.length}): `, {
-        limit: input => {
-          const num = parseInt(input);
-          return num >= 1 && num <= favoriteRecipes.length;
-        },
-        limitMessage: `Please enter a number between 1 and ${favoriteRecipes.length}`
-      });
-
-      await viewRecipeDetails(favoriteRecipes[index - 1].idMeal);
+      const index = await askNumber(`Enter recipe number (1-${favoriteRecipes.length}): `, 1, favoriteRecipes.length);
+
+      await viewRecipeDetails(favoriteRecipes[index - 1].id);
     }
   } catch (error) {
     console.error('Error viewing favorites:', error.message);
@@ -223,84 +809,327 @@ async function viewFavorites() {
 }
 
 /**
- * Discover random recipes
- * Demonstrates Promise.race to get the first of several random recipes
+ * Ask the user to pick one of the collections
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/race | MDN: Promise.race}
+ * @param {Array<Object>} collections - Collections to choose from ({ name, count }, see favorites.listCollections)
+ * @param {string} text - Prompt text
+ * @returns {Promise<Object|null>} - Chosen collection or null if cancelled
+ */
+async function chooseCollection(collections, text) {
+  if (collections.length === 0) {
+    console.log('You have no collections');
+    return null;
+  }
+  const index = await chooseIndex(collections.length, text);
+  return index >= 0 ? collections[index] : null;
+}
+
+/**
+ * Browse the collections of favorites and create, rename or delete them
+ */
+async function manageCollections() {
+  try {
+    const collections = await favorites.listCollections();
+    console.log(utils.formatNameList('Collections', collections.map(({ name, count }) => `${name} (${count})`)));
+
+    const actions = ['Browse a collection', 'Create a collection', 'Rename a collection', 'Delete a collection'];
+    console.log(utils.formatNameList('Actions', actions));
+
+    const index = await chooseIndex(actions.length, 'Enter action number');
+
+    if (index === 0) {
+      const collection = await chooseCollection(collections, 'Enter collection number to browse');
+      if (collection) {
+        await chooseRecipe(await favorites.getCollectionRecipes(collection.name) || []);
+      }
+    } else if (index === 1) {
+      const name = await ask('Name of the new collection (e.g. Meal prep): ');
+      if (await favorites.createCollection(name)) {
+        console.log(`Created ${name.trim()}`);
+      }
+    } else if (index === 2) {
+      const collection = await chooseCollection(collections, 'Enter collection number to rename');
+      if (collection && favorites.isDefaultCollection(collection.name)) {
+        console.log(`New favorites go to ${collection.name}, so it cannot be renamed`);
+      } else if (collection) {
+        const newName = await ask(`New name for ${collection.name}: `);
+        if (await favorites.renameCollection(collection.name, newName)) {
+          console.log(`Renamed ${collection.name} to ${newName.trim()}`);
+        }
+      }
+    } else if (index === 3) {
+      const collection = await chooseCollection(collections, 'Enter collection number to delete');
+      const recipes = collection && `${collection.count} recipe${collection.count === 1 ? '' : 's'}`;
+      if (collection && favorites.isDefaultCollection(collection.name)) {
+        console.log(`New favorites go to ${collection.name}, so it cannot be deleted`);
+      } else if (collection && await confirm(`Delete ${collection.name}? Its ${recipes} will stay in your favorites`, { strict: true })) {
+        if (await favorites.deleteCollection(collection.name)) {
+          console.log(`Deleted ${collection.name}`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error managing collections:', error.message);
+  }
+}
+
+/**
+ * Discover several different random recipes and open the one the user picks
+ * Recipes in favorites or seen recently can be skipped
  */
 async function discoverRandom() {
+  const count = await askNumber('How many random recipes would you like? (1-10): ', 1, 10);
+  const skipKnown = await confirm('Skip recipes in your favorites or seen recently?');
+
   console.log('Fetching random recipes...');
 
   try {
-    const promises = [api.getRandomMeal(), api.getRandomMeal(), api.getRandomMeal()];
-    const randomRecipe = await Promise.race(promises);
+    let excludeIds = [];
+    if (skipKnown) {
+      const [favoriteRecipes, recentlySeen] = await Promise.all([favorites.getFavorites(), getRecentlySeen()]);
+      excludeIds = [...favoriteRecipes.map(recipe => recipe.id), ...recentlySeen];
+    }
+
+    const recipes = await queryRecipes(null, 'getRandomMeals', [count], { excludeIds });
+    if (recipes.length < count) {
+      console.log(`Only found ${recipes.length} different recipes`);
+    }
 
-    if (!randomRecipe) {
-      console.log('No random recipe found');
+    // Random meals are full recipes, cache them so viewing one does not fetch it again
+    for (const recipe of recipes) {
+      await cache.saveToCache(`recipe_${recipe.id}`, recipe);
+    }
+    await rememberSeen(recipes.map(recipe => recipe.id));
+
+    await chooseRecipe(recipes);
+  } catch (error) {
+    console.error('Error discovering random recipes:', describeError(error));
+  }
+}
+
+/**
+ * Show the offline mirror status and sync it or toggle preferring it
+ * A sync can be interrupted with Ctrl+C and resumed later
+ */
+async function manageMirror() {
+  try {
+    const status = await mirror.getMirrorStatus();
+    const { preferMirror } = getConfig();
+
+    console.log(`\nOffline mirror: ${status.recipeCount} recipes`);
+    console.log(status.lastSynced ? `Last synced: ${new Date(status.lastSynced).toLocaleString()}` : 'Never fully synced');
+    if (!status.complete && status.completedLetters > 0) {
+      console.log(`Sync paused after ${status.completedLetters} of ${status.totalLetters} letters`);
+    }
+    console.log(`Prefer mirror over the network: ${preferMirror ? 'on' : 'off'}${preferMirror && !status.lastSynced ? ' (from the end of the first full sync)' : ''}`);
+
+    const resuming = !status.complete && status.completedLetters > 0;
+    const actions = [resuming ? 'Resume sync' : 'Sync catalog', `Turn ${preferMirror ? 'off' : 'on'} prefer mirror`];
+    console.log(utils.formatNameList('Actions', actions));
+
+    const index = await chooseIndex(actions.length, 'Enter action number');
+
+    if (index === 1) {
+      setConfig({ preferMirror: !preferMirror });
+      console.log(`Prefer mirror is now ${preferMirror ? 'off' : 'on'}`);
+    } else if (index === 0) {
+      console.log('Syncing catalog (Ctrl+C to pause, sync again to resume)...');
+      const result = await runCancellable(signal => mirror.syncMirror({
+        signal,
+        onProgress: progress => {
+          console.log(`Letter ${progress.letter.toUpperCase()} done (${progress.completedLetters}/${progress.totalLetters}), ${progress.recipeCount} recipes`);
+        }
+      }));
+      console.log(`Sync complete: ${result.recipeCount} recipes available offline`);
+    }
+  } catch (error) {
+    if (error instanceof CancelledError) {
+      console.log('Sync paused, choose sync again to resume');
       return;
     }
+    console.error('Error syncing offline mirror:', describeError(error));
+  }
+}
 
-    console.log(utils.formatRecipe(randomRecipe));
+/**
+ * Find how to fetch a cache entry again from its key
+ * Keys are the ones given to queryRecipes, so each maps back to the query that filled it
+ *
+ * @param {string} key - Cache key
+ * @returns {Function|null} - Fetch function receiving an AbortSignal, or null if the entry cannot be refetched
+ */
+function getRefreshFetcher(key) {
+  const query = (method, args = [], options = {}) => signal => api[method](...args, { ...options, signal });
+
+  for (const filter of Object.values(BROWSE_FILTERS)) {
+    if (key === filter.listKey) return query(filter.listMethod);
+    if (key.startsWith(filter.prefix)) return query(filter.mealsMethod, [key.slice(filter.prefix.length)]);
+  }
+  if (key === 'ingredients_list') {
+    return query('listIngredients');
+  }
+
+  const criteria = key.match(/^ingredients_(\{.*\})(_verified)?$/);
+  if (criteria) {
+    try {
+      return query('searchMealsByIngredients', [JSON.parse(criteria[1])], { verifyExclusions: Boolean(criteria[2]) });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const [, namespace, value] = key.match(/^([a-z]+)_(.+)$/) || [];
+  switch (namespace) {
+    case 'search':
+      return query('searchMealsByName', [value]);
+    case 'recipe':
+      return query('getMealById', [value]);
+    case 'letters':
+      return query('searchMealsByFirstLetter', [value.split('')]);
+    case 'ingredient':
+      return query('getMealsByIngredient', [value]);
+    case 'related':
+      return async signal => api.getRelatedRecipes(await api.getMealById(value, { signal }), 3, { signal });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Fetch a cache entry again, keeping the cached copy if TheMealDB cannot be reached
+ *
+ * @param {string} key - Cache key
+ */
+async function refreshCacheEntry(key) {
+  const fetchFn = getRefreshFetcher(key);
+  if (!fetchFn) {
+    console.log(`${key} is not a TheMealDB query and cannot be refreshed`);
+    return;
+  }
 
-    const isFavorite = await favorites.isFavorite(randomRecipe.idMeal);
+  console.log(`Refreshing ${key}...`);
+  const result = await runCancellable(signal => cache.getCachedOrFetchResult(key, fetchFn, true, { signal }));
 
-    if (isFavorite) {
-      const removeFavorite = readlineSync.keyInYNStrict('This recipe is in your favorites. Would you like to remove it?');
-      if (removeFavorite) {
-        await favorites.removeFavorite(randomRecipe.idMeal);
+  if (result.error) {
+    console.log(`Could not refresh ${key} (${describeError(result.error)}), keeping the copy from ${utils.formatAge(result.storedAt)}`);
+  } else {
+    console.log(`${key} refreshed`);
+  }
+}
+
+/**
+ * Show what the cache holds and purge, refresh or clear entries
+ */
+async function manageCache() {
+  try {
+    const entries = await cache.listCacheEntries();
+    console.log(utils.formatCacheSummary(entries));
+
+    const actions = ['List entries', 'Purge entries by prefix or pattern', 'Refresh an entry', 'Clear the whole cache'];
+    console.log(utils.formatNameList('Actions', actions));
+
+    const index = await chooseIndex(actions.length, 'Enter action number');
+
+    if (index === 0) {
+      const prefix = (await ask('Namespace or key prefix to list (leave empty for all): ')).trim().toLowerCase();
+      console.log(utils.formatCacheEntries(entries.filter(entry => entry.key.startsWith(prefix))));
+    } else if (index === 1) {
+      const pattern = (await ask('Key prefix (e.g. search_) or pattern with * and ? (e.g. *chicken*): ')).trim().toLowerCase();
+      const matching = entries.filter(entry => cache.matchesKeyPattern(entry.key, pattern));
+
+      if (!pattern || matching.length === 0) {
+        console.log('No entries match');
+      } else if (await confirm(`Delete ${matching.length} of ${entries.length} entries?`, { strict: true })) {
+        console.log(`Deleted ${await cache.purgeCache(pattern)} entries`);
       }
-    } else {
-      const addFavorite = readlineSync.keyInYNStrict('Would you like to add this recipe to your favorites?');
-      if (addFavorite) {
-        await favorites.addFavorite(randomRecipe);
+    } else if (index === 2) {
+      console.log(utils.formatCacheEntries(entries));
+      if (entries.length > 0) {
+        const entryIndex = await chooseIndex(entries.length, 'Enter entry number to refresh');
+        if (entryIndex >= 0) {
+          await refreshCacheEntry(entries[entryIndex].key);
+        }
+      }
+    } else if (index === 3) {
+      if (entries.length === 0) {
+        console.log('The cache is already empty');
+      } else if (await confirm(`Delete all ${entries.length} cache entries?`, { strict: true })) {
+        console.log(`Deleted ${await cache.clearCache()} entries`);
       }
     }
   } catch (error) {
-    console.error('Error discovering random recipes:', error.message);
+    if (error instanceof CancelledError) {
+      console.log('Refresh cancelled');
+      return;
+    }
+    console.error('Error managing cache:', describeError(error));
   }
 }
 
+/**
+ * Show request and cache statistics for this session and for every session so far
+ */
+async function showStats() {
+  try {
+    const session = sessionMetrics.getSnapshot();
+    const allTime = metrics.mergeSnapshots(await metrics.loadStats(), session);
+
+    console.log(utils.formatStats('This session', metrics.summarizeMetrics(session)));
+    console.log(utils.formatStats('All sessions', metrics.summarizeMetrics(allTime)));
+  } catch (error) {
+    console.error('Error showing statistics:', error.message);
+  }
+}
+
+/**
+ * Exit the application
+ */
+async function exitApp() {
+  cancelPrefetch();
+  // Remember which cache entries were used, so the least recently used are evicted first next time
+  await cache.flushAccessTimes();
+  try {
+    await metrics.saveSessionStats(sessionMetrics.getSnapshot());
+  } catch (error) {
+    console.error('Error saving statistics:', error.message);
+  }
+  console.log('Thank you for using Recipe Explorer!');
+  process.exit(0);
+}
+
+/**
+ * Main menu entries in display order
+ */
+const MENU_ITEMS = [
+  { label: 'Search recipes', action: searchRecipes },
+  { label: 'View recipe details by ID', action: () => viewRecipeDetails() },
+  { label: 'Explore recipes by first letter', action: exploreByFirstLetter },
+  { label: 'Search by ingredient', action: searchByIngredient },
+  { label: 'Advanced ingredient search', action: advancedIngredientSearch },
+  { label: 'Browse by category', action: browseByCategory },
+  { label: 'Browse by area', action: browseByArea },
+  { label: 'Browse ingredients', action: browseIngredients },
+  { label: 'View favorites', action: viewFavorites },
+  { label: 'Collections', action: manageCollections },
+  { label: 'Discover random recipes', action: discoverRandom },
+  { label: 'Offline mirror', action: manageMirror },
+  { label: 'Manage cache', action: manageCache },
+  { label: 'Stats', action: showStats },
+  { label: 'Exit', action: exitApp }
+];
+
 /**
  * Display the main menu and handle user input
  */
 async function showMainMenu() {
   console.log('\n===== RECIPE EXPLORER =====');
-  console.log('1. Search recipes');
-  console.log('2. View recipe details by ID');
-  console.log('3. Explore recipes by first letter');
-  console.log('4. Search by ingredient');
-  console.log('5. View favorites');
-  console.log('6. Discover random recipe');
-  console.log('7. Exit');
-
-  const choice = readlineSync.questionInt('Enter your choice (1-7): ', {
-    limit: [1, 2, 3, 4, 5, 6, 7],
-    limitMessage: 'Please enter a number between 1 and 7'
+  MENU_ITEMS.forEach((item, index) => {
+    console.log(`${index + 1}. ${item.label}`);
   });
 
-  switch (choice) {
-    case 1:
-      await searchRecipes();
-      break;
-    case 2:
-      await viewRecipeDetails();
-      break;
-    case 3:
-      await exploreByFirstLetter();
-      break;
-    case 4:
-      await searchByIngredient();
-      break;
-    case 5:
-      await viewFavorites();
-      break;
-    case 6:
-      await discoverRandom();
-      break;
-    case 7:
-      console.log('Thank you for using Recipe Explorer!');
-      process.exit(0);
-  }
+  const choice = await askNumber(`Enter your choice (1-${MENU_ITEMS.length}): `, 1, MENU_ITEMS.length);
+
+  await MENU_ITEMS[choice - 1].action();
 
   // Return to main menu after function completes
   return showMainMenu();
@@ -351,6 +1180,14 @@ export default {
   viewRecipeDetails,
   exploreByFirstLetter,
   searchByIngredient,
+  advancedIngredientSearch,
+  browseByCategory,
+  browseByArea,
+  browseIngredients,
   viewFavorites,
-  discoverRandom
+  manageCollections,
+  discoverRandom,
+  manageMirror,
+  manageCache,
+  showStats
 };
\ No newline at end of file
@@ -0,0 +1,422 @@
+// src/cache-backends.js
+/**
+ * Storage backends for the cache
+ * cache.js decides what to store and when it expires; a backend only keeps
+ * entries ({ timestamp, ttl, accessedAt, data }) by key. Every backend has the same async interface:
+ *
+ * - init(): prepare the storage (e.g. create the file)
+ * - get(key): the entry for a key, or null
+ * - set(key, entry): store an entry, replacing any previous one
+ * - delete(keys): remove entries, returning how many existed
+ * - entries(): every [key, entry] pair
+ * - update(plan): apply several changes at once. plan receives every entry
+ *   ({ key: entry }, not to be modified) and returns the changes to make
+ *   ({ set: [[key, entry]], delete: [key] }). The json backend reads and
+ *   writes its file once for the whole update.
+ * - check(): run at startup, repair the storage if needed and report what was
+ *   done (see data-files.js), or null if there is nothing to check
+ * - entrySize(key, entry): bytes the entry takes in the storage
+ * - emptySize: bytes the storage takes with no entries, so emptySize plus the
+ *   entry sizes bounds the size of the file (see cache.maxBytes)
+ *
+ * Entries are copied in and out, so changing returned data never changes the cache.
+ * File backends write under a lock and never leave a half-written file (see file-store.js).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { withFileLock, writeFileAtomic } from './file-store.js';
+import { readDataFile, updateDataFile, serializeDataFile, checkDataFile } from './data-files.js';
+
+// Get the directory path using ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const JSON_CACHE_FILE = path.join(__dirname, '../data/cache.json');
+export const LOG_CACHE_FILE = path.join(__dirname, '../data/cache.log');
+
+export const CACHE_BACKENDS = ['memory', 'json', 'log'];
+
+/**
+ * Read a file, treating a missing file as empty
+ *
+ * @param {string} file - File path
+ * @returns {Promise<string|null>} - File contents or null if it does not exist
+ */
+async function readIfExists(file) {
+  try {
+    return await fs.readFile(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a backend that keeps entries in memory, dropping the least recently used
+ * Nothing survives a restart, which makes it handy for tests and short sessions
+ *
+ * @param {Object} options - Backend options
+ * @param {number} options.maxEntries - Most entries kept at once
+ * @returns {Object} - Cache backend
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/structuredClone | MDN: structuredClone}
+ */
+export function createMemoryBackend({ maxEntries = 500 } = {}) {
+  // Map keeps insertion order, so the first key is always the least recently used
+  const store = new Map();
+
+  function put(key, entry) {
+    store.delete(key);
+    store.set(key, structuredClone(entry));
+    while (store.size > maxEntries) {
+      store.delete(store.keys().next().value);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async init() {},
+
+    async get(key) {
+      if (!store.has(key)) {
+        return null;
+      }
+      const entry = store.get(key);
+      store.delete(key);
+      store.set(key, entry);
+      return structuredClone(entry);
+    },
+
+    async set(key, entry) {
+      put(key, entry);
+    },
+
+    async delete(keys) {
+      return keys.filter(key => store.delete(key)).length;
+    },
+
+    async entries() {
+      return Array.from(store.entries(), ([key, entry]) => [key, structuredClone(entry)]);
+    },
+
+    async check() {
+      return null;
+    },
+
+    async update(plan) {
+      const changes = plan(Object.fromEntries(store));
+      changes.delete.forEach(key => store.delete(key));
+      changes.set.forEach(([key, entry]) => put(key, entry));
+    },
+
+    // Nothing is written, so measure entries as compact JSON
+    entrySize(key, entry) {
+      return Buffer.byteLength(JSON.stringify(entry));
+    },
+
+    emptySize: 0
+  };
+}
+
+/**
+ * Create a backend that keeps every entry in one JSON file
+ * The whole file is read for every lookup and rewritten (atomically, under
+ * its lock) for every change. The file has a versioned header (see data-files.js);
+ * while it is corrupt, lookups miss, and the next change moves it aside and
+ * starts an empty cache.
+ *
+ * @param {Object} options - Backend options
+ * @param {string} options.file - JSON file path
+ * @returns {Object} - Cache backend
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fs_promises_api | Node.js: fs/promises}
+ */
+export function createJsonFileBackend({ file = JSON_CACHE_FILE } = {}) {
+  async function readCache() {
+    const stored = await readDataFile(file, 'cache');
+    return stored ? stored.data : {};
+  }
+
+  function updateCache(update) {
+    return updateDataFile(file, 'cache', update, { quarantineCorrupt: true });
+  }
+
+  return {
+    name: 'json',
+
+    async init() {
+      try {
+        // Check if cache file exists
+        await fs.access(file);
+      } catch (error) {
+        // If the file doesn't exist, create the directory and cache file
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, serializeDataFile('cache', {}));
+      }
+    },
+
+    async get(key) {
+      const cache = await readCache();
+      return cache[key] || null;
+    },
+
+    async set(key, entry) {
+      await updateCache(cache => {
+        cache[key] = entry;
+        return cache;
+      });
+    },
+
+    async delete(keys) {
+      let removed = [];
+      await updateCache(cache => {
+        removed = keys.filter(key => key in cache);
+        removed.forEach(key => delete cache[key]);
+        // Skip the write if nothing was removed
+        return removed.length > 0 ? cache : undefined;
+      });
+      return removed.length;
+    },
+
+    async entries() {
+      return Object.entries(await readCache());
+    },
+
+    async check() {
+      return checkDataFile(file, 'cache');
+    },
+
+    async update(plan) {
+      await updateCache(cache => {
+        const changes = plan(cache);
+        changes.delete.forEach(key => delete cache[key]);
+        changes.set.forEach(([key, entry]) => {
+          cache[key] = entry;
+        });
+        // Skip the write if there is nothing to change
+        return changes.set.length + changes.delete.length > 0 ? cache : undefined;
+      });
+    },
+
+    // The entry as serializeDataFile writes it: '    "key": {...},\n', nested two levels deep
+    entrySize(key, entry) {
+      const json = JSON.stringify(entry, null, 2);
+      const lines = json.split('\n').length;
+      return Buffer.byteLength(`    ${JSON.stringify(key)}: ${json},\n`) + 4 * (lines - 1);
+    },
+
+    // Plus the newlines around the entries once data is no longer {}
+    emptySize: Buffer.byteLength(serializeDataFile('cache', {})) + 2
+  };
+}
+
+/**
+ * Create a backend that appends every change to a log file
+ * Each line is one JSON record ({ op: 'set', key, ...entry } or
+ * { op: 'delete', key }). The log is replayed into memory on first use, so
+ * lookups never touch the disk and a save only appends one line. Once most
+ * records are outdated, or the file grows past maxBytes, the log is compacted
+ * into a new file holding one record per live entry. Appends and compaction
+ * run under the log's lock, and compaction replays the file again first so
+ * it keeps records appended by other processes.
+ *
+ * @param {Object} options - Backend options
+ * @param {string} options.file - Log file path
+ * @param {number} options.compactRatio - Compact when the log has this many records per live entry
+ * @param {number} options.minRecords - Never compact logs shorter than this (unless past maxBytes)
+ * @param {number} options.maxBytes - Compact when the file grows past this size
+ * @returns {Object} - Cache backend
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesappendfilepath-data-options | Node.js: fsPromises.appendFile}
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesrenameoldpath-newpath | Node.js: fsPromises.rename}
+ */
+export function createLogFileBackend({ file = LOG_CACHE_FILE, compactRatio = 2, minRecords = 100, maxBytes = Infinity } = {}) {
+  let store = null; // Live entries replayed from the log
+  let records = 0; // Records in the log file
+  let bytes = 0; // Size of the log file
+
+  // One line of the log
+  function toLine(record) {
+    return JSON.stringify(record) + '\n';
+  }
+
+  // Read the log into a Map of live entries
+  async function replay() {
+    const replayed = new Map();
+    let count = 0;
+    const data = await readIfExists(file);
+    const size = Buffer.byteLength(data || '');
+
+    for (const line of (data || '').split('\n')) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A line cut short by a crash is ignored, like the write never happened
+        continue;
+      }
+
+      count++;
+      if (record.op === 'set') {
+        const { op, key, ...entry } = record;
+        replayed.set(key, entry);
+      } else if (record.op === 'delete') {
+        replayed.delete(record.key);
+      }
+    }
+    return { replayed, count, size };
+  }
+
+  // Replay the log into memory (once)
+  async function load() {
+    if (!store) {
+      const { replayed, count, size } = await replay();
+      store = replayed;
+      records = count;
+      bytes = size;
+    }
+    return store;
+  }
+
+  // Rewrite the log with one record per live entry (called with the lock held)
+  async function compact() {
+    const { replayed } = await replay();
+    const data = Array.from(replayed.entries(), ([key, entry]) => toLine({ op: 'set', key, ...entry })).join('');
+
+    await writeFileAtomic(file, data);
+    store = replayed;
+    records = replayed.size;
+    bytes = Buffer.byteLength(data);
+  }
+
+  // Add records for changes already made in memory, compacting the log when it has grown too stale
+  async function append(newRecords) {
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await withFileLock(file, async () => {
+        const data = newRecords.map(toLine).join('');
+        await fs.appendFile(file, data);
+        records += newRecords.length;
+        bytes += Buffer.byteLength(data);
+
+        const stale = records >= minRecords && records > store.size * compactRatio;
+        const tooBig = bytes > maxBytes && records > store.size;
+        if (stale || tooBig) {
+          await compact();
+        }
+      });
+    } catch (error) {
+      // Memory is now ahead of the file, replay the log again on next use
+      store = null;
+      throw error;
+    }
+  }
+
+  return {
+    name: 'log',
+
+    async init() {
+      await load();
+    },
+
+    async get(key) {
+      const entries = await load();
+      return entries.has(key) ? structuredClone(entries.get(key)) : null;
+    },
+
+    async set(key, entry) {
+      const entries = await load();
+      const copy = structuredClone(entry);
+      entries.set(key, copy);
+      await append([{ op: 'set', key, ...copy }]);
+    },
+
+    async delete(keys) {
+      const entries = await load();
+      const removed = keys.filter(key => entries.has(key));
+
+      if (removed.length > 0) {
+        removed.forEach(key => entries.delete(key));
+        await append(removed.map(key => ({ op: 'delete', key })));
+      }
+      return removed.length;
+    },
+
+    async entries() {
+      const entries = await load();
+      return Array.from(entries.entries(), ([key, entry]) => [key, structuredClone(entry)]);
+    },
+
+    async check() {
+      // Damaged lines are skipped when the log is replayed
+      return null;
+    },
+
+    async update(plan) {
+      const entries = await load();
+      const changes = plan(Object.fromEntries(entries));
+      const removed = changes.delete.filter(key => entries.has(key));
+      const copies = changes.set.map(([key, entry]) => [key, structuredClone(entry)]);
+
+      removed.forEach(key => entries.delete(key));
+      copies.forEach(([key, entry]) => entries.set(key, entry));
+
+      const newRecords = [
+        ...removed.map(key => ({ op: 'delete', key })),
+        ...copies.map(([key, entry]) => ({ op: 'set', key, ...entry }))
+      ];
+      if (newRecords.length > 0) {
+        await append(newRecords);
+      }
+    },
+
+    // The entry's line once the log is compacted
+    entrySize(key, entry) {
+      return Buffer.byteLength(toLine({ op: 'set', key, ...entry }));
+    },
+
+    emptySize: 0
+  };
+}
+
+/**
+ * Create the backend named in the cache configuration
+ *
+ * @param {Object} options - Cache configuration (see config.js)
+ * @param {string} options.backend - 'memory', 'json' or 'log'
+ * @param {string} options.file - File for the json and log backends (defaults to one in data/)
+ * @param {number} options.maxEntries - Most entries kept by the memory backend
+ * @param {number} options.maxBytes - Size past which the log backend compacts its file
+ * @returns {Object} - Cache backend
+ * @throws {Error} - If the backend name is unknown
+ */
+export function createCacheBackend({ backend = 'json', file, maxEntries, maxBytes } = {}) {
+  switch (backend) {
+    case 'memory':
+      return createMemoryBackend({ maxEntries });
+    case 'json':
+      return createJsonFileBackend({ file });
+    case 'log':
+      return createLogFileBackend({ file, maxBytes });
+    default:
+      throw new Error(`Unknown cache backend "${backend}" (expected ${CACHE_BACKENDS.join(', ')})`);
+  }
+}
+
+export default {
+  JSON_CACHE_FILE,
+  LOG_CACHE_FILE,
+  CACHE_BACKENDS,
+  createMemoryBackend,
+  createJsonFileBackend,
+  createLogFileBackend,
+  createCacheBackend
+};
@@ -2,21 +2,227 @@
 /**
  * This module provides caching functionality to store API responses locally
  * to reduce API calls and improve performance
+ * Entries are kept by a storage backend (see cache-backends.js) chosen with
+ * the `cache` configuration; everything here works the same on all of them.
+ * Expired entries are not thrown away right away: getCachedOrFetch serves them
+ * (marked as stale) when a fetch fails or while a background refresh runs.
+ * The cache is bounded by entry count and size (cache.maxEntries and
+ * cache.maxBytes in the configuration); saving evicts the least recently used
+ * entries. Sizes are what the backend stores, so the json and log files stay
+ * within maxBytes, and an entry too big for the whole cache is not saved.
+ * Fetched data never replaces an entry saved after its fetch started, so slow
+ * background fetches (see prefetchIntoCache) cannot overwrite fresher data.
  */
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { getConfig } from './config.js';
+import { createCacheBackend } from './cache-backends.js';
+import { CancelledError, throwIfCancelled } from './errors.js';
+import { createCoalescer } from './coalescer.js';
+import { upgradeStoredRecipes } from './recipe.js';
+import { emitInstrumentationEvent } from './instrumentation.js';
+import { runWithConcurrency } from './utils.js';
 
-// Get the directory path using ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Concurrent getCachedOrFetch calls for the same key share one lookup, fetch and write
+const fetchCoalescer = createCoalescer();
 
-const CACHE_FILE = path.join(__dirname, '../data/cache.json');
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+// Background refreshes of stale entries in flight, by key
+const revalidations = new Map();
+
+// When entries were last read, by key, written into the entries with the next save
+const pendingAccess = new Map();
+
+let backend = null;
+let backendConfig = null;
+
+/**
+ * Get the storage backend for the current configuration
+ * The backend is rebuilt when the cache configuration object changes
+ *
+ * @returns {Object} - Cache backend (see cache-backends.js)
+ */
+function getBackend() {
+  const { cache } = getConfig();
+
+  if (!backend || cache !== backendConfig) {
+    backendConfig = cache;
+    backend = createCacheBackend(cache);
+  }
+  return backend;
+}
+
+/**
+ * Get the name of the storage backend in use
+ *
+ * @returns {string} - 'memory', 'json' or 'log'
+ */
+export function getBackendName() {
+  return getBackend().name;
+}
+
+/**
+ * Get the namespace of a cache key, the part before the first underscore
+ *
+ * @param {string} key - Cache key (e.g. 'search_cake')
+ * @returns {string} - Namespace (e.g. 'search')
+ */
+export function getNamespace(key) {
+  const index = key.indexOf('_');
+  return index > 0 ? key.slice(0, index) : key;
+}
+
+/**
+ * Get how long new entries for a key stay fresh
+ * Each namespace can have its own TTL in the configuration (cacheTtls),
+ * other keys use the default one
+ *
+ * @param {string} key - Cache key
+ * @returns {number} - TTL in milliseconds
+ */
+export function getTtl(key) {
+  const { cacheTtls } = getConfig();
+  return cacheTtls[getNamespace(key)] ?? cacheTtls.default;
+}
+
+/**
+ * Check whether a cache entry has expired
+ * Entries keep the TTL they were saved with; older entries without one
+ * use the current TTL of their namespace
+ *
+ * @param {string} key - Cache key
+ * @param {Object} cachedItem - Entry with timestamp, ttl and data
+ * @param {number} currentTime - Current time in milliseconds
+ * @returns {boolean} - True if the entry is no longer fresh
+ */
+function isExpired(key, cachedItem, currentTime = Date.now()) {
+  const ttl = typeof cachedItem.ttl === 'number' ? cachedItem.ttl : getTtl(key);
+  return currentTime - cachedItem.timestamp >= ttl;
+}
+
+/**
+ * Read the stored entry for a key, expired or not
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - Entry ({ timestamp, ttl, data }) or null if not found or unreadable
+ */
+async function readEntry(key) {
+  try {
+    return await getBackend().get(key);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Report the outcome of a getCachedOrFetch lookup or an eviction (see instrumentation.js)
+ *
+ * @param {string} key - Cache key
+ * @param {string} outcome - 'hit', 'miss', 'stale' or 'evicted'
+ */
+function reportLookup(key, outcome) {
+  emitInstrumentationEvent({ type: 'cache', key, namespace: getNamespace(key), outcome });
+}
+
+/**
+ * Note that an entry was just read
+ * Reads don't write to the storage; the time is saved with the next change
+ *
+ * @param {string} key - Cache key
+ */
+function recordAccess(key) {
+  pendingAccess.set(key, Date.now());
+}
 
 /**
- * Initialize the cache file if it doesn't exist
+ * Plan a save: record pending access times, add the new entry and evict the
+ * least recently used entries until the cache is within its limits
+ *
+ * @param {Object} entries - Current entries by key
+ * @param {Map<string, number>} accessTimes - Last read times to record, by key
+ * @param {Object|null} saved - { key, entry, fetchedAt } to save, or null to only record access times.
+ *   With fetchedAt, an entry stored after that time is kept and nothing is saved.
+ * @param {Object} limits - { maxEntries, maxBytes }
+ * @param {Object} backend - Backend measuring the entries (entrySize and emptySize, see cache-backends.js)
+ * @returns {Object} - Changes for the backend's update ({ set, delete, skipped }) where skipped tells
+ *   whether nothing was saved because a fresher entry was kept or the entry is bigger than maxBytes
+ */
+function planSave(entries, accessTimes, saved, { maxEntries = Infinity, maxBytes = Infinity }, backend) {
+  const existing = saved && entries[saved.key];
+  const fresher = existing && saved.fetchedAt !== undefined && existing.timestamp > saved.fetchedAt;
+  if (saved && (fresher || backend.emptySize + backend.entrySize(saved.key, saved.entry) > maxBytes)) {
+    return { ...planSave(entries, accessTimes, null, {}, backend), skipped: true };
+  }
+
+  const touched = [];
+  const others = [];
+
+  for (const [key, entry] of Object.entries(entries)) {
+    if (saved && key === saved.key) continue;
+
+    const accessedAt = accessTimes.get(key);
+    const current = accessedAt ? { ...entry, accessedAt } : entry;
+    if (accessedAt) {
+      touched.push([key, current]);
+    }
+    others.push({ key, lastUsed: current.accessedAt ?? current.timestamp, size: backend.entrySize(key, current) });
+  }
+
+  const evicted = [];
+  if (saved) {
+    let count = others.length + 1;
+    let bytes = others.reduce((sum, other) => sum + other.size, backend.emptySize + backend.entrySize(saved.key, saved.entry));
+
+    // Least recently used first
+    others.sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const other of others) {
+      if (count <= maxEntries && bytes <= maxBytes) break;
+      evicted.push(other.key);
+      count--;
+      bytes -= other.size;
+    }
+  }
+
+  const set = touched.filter(([key]) => !evicted.includes(key));
+  if (saved) {
+    set.push([saved.key, saved.entry]);
+  }
+  return { set, delete: evicted, skipped: false };
+}
+
+/**
+ * Apply a save plan (see planSave) with the access times recorded so far
+ *
+ * @param {Object|null} saved - { key, entry, fetchedAt } to save, or null to only record access times
+ * @returns {Promise<boolean>} - False if nothing was saved (see planSave)
+ */
+async function applySave(saved) {
+  const accessTimes = new Map(pendingAccess);
+  pendingAccess.clear();
+
+  const storage = getBackend();
+  let evicted = [];
+  let skipped = false;
+  try {
+    await storage.update(entries => {
+      const changes = planSave(entries, accessTimes, saved, getConfig().cache, storage);
+      evicted = changes.delete;
+      skipped = changes.skipped;
+      return changes;
+    });
+  } catch (error) {
+    // Keep the access times for the next save, unless the key was read again since
+    accessTimes.forEach((time, key) => {
+      if (!pendingAccess.has(key)) pendingAccess.set(key, time);
+    });
+    throw error;
+  }
+
+  evicted.forEach(key => reportLookup(key, 'evicted'));
+  return !skipped;
+}
+
+/**
+ * Initialize the cache storage (e.g. create the cache file if it doesn't exist)
+ * The steps below are what the json backend does in cache-backends.js
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/try...catch | MDN: try...catch}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
@@ -31,14 +237,17 @@ export async function initializeCache() {
   //    - Write an empty object as JSON to the file using fs.writeFile
   // 3. Handle any errors appropriately
 
-  try {
-    // Check if cache file exists
-    await fs.access(CACHE_FILE);
-  } catch (error) {
-    // If the file doesn't exist, create the directory and cache file
-    await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
-    await fs.writeFile(CACHE_FILE, JSON.stringify({}));
-  }
+  await getBackend().init();
+}
+
+/**
+ * Check the cache storage at startup: a corrupt cache file is moved aside and
+ * one written by an older version is upgraded (see data-files.js)
+ *
+ * @returns {Promise<Object|null>} - What was found and done, or null if the backend has no file to check
+ */
+export async function checkCacheStorage() {
+  return getBackend().check();
 }
 
 /**
@@ -58,42 +267,59 @@ export async function getFromCache(key) {
   // 4. If it exists, check if it has expired by comparing:
   //    - Current time (Date.now())
   //    - Cached item's timestamp
-  //    - CACHE_DURATION
+  //    - Cached item's TTL (see isExpired)
   // 5. If not expired, return the cached data
   // 6. If expired or not found, return null
   // 7. Handle any errors appropriately and return null
 
-  try {
-    // Read the cache file
-    const data = await fs.readFile(CACHE_FILE, 'utf-8');
-    const cache = JSON.parse(data);
-
-    // Check if key exists in cache
-    if (cache[key]) {
-      const cachedItem = cache[key];
-      const currentTime = Date.now();
-
-      // Check if the cache has expired
-      if (currentTime - cachedItem.timestamp < CACHE_DURATION) {
-        return cachedItem.data;
-      }
+  const cachedItem = await readEntry(key);
+
+  // Check if key exists in cache
+  if (cachedItem) {
+    const currentTime = Date.now();
+
+    // Check if the cache has expired
+    if (!isExpired(key, cachedItem, currentTime)) {
+      recordAccess(key);
+      // Entries written before the Recipe model hold raw meals
+      return upgradeStoredRecipes(cachedItem.data);
     }
-    return null;
+  }
+  return null;
+}
+
+/**
+ * Get the data of every cache entry, expired or not
+ * Useful for work that does not need fresh data, like indexing cached recipes
+ *
+ * @returns {Promise<Object>} - Data by cache key (empty if the cache cannot be read)
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/entries | MDN: Object.entries}
+ */
+export async function getAllFromCache() {
+  try {
+    const entries = await getBackend().entries();
+    return Object.fromEntries(entries.map(([key, cachedItem]) => [key, upgradeStoredRecipes(cachedItem.data)]));
   } catch (error) {
-    return null;
+    return {};
   }
 }
 
 /**
  * Save data to cache with a timestamp
+ * Least recently used entries are evicted if the cache would go over its limits
  *
  * @param {string} key - Cache key
  * @param {Object} data - Data to cache
- * @returns {Promise<boolean>} - True if successfully saved to cache
+ * @param {Object} options - Extra options
+ * @param {number} options.ttl - How long the entry stays fresh in milliseconds (defaults to the namespace TTL, see getTtl)
+ * @param {number} options.fetchedAt - When the data was requested; an entry saved after that is fresher and is kept
+ * @returns {Promise<boolean>} - True if successfully saved to cache, false on error, if a fresher entry
+ *   was kept or if the entry is bigger than the whole cache (cache.maxBytes)
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify | MDN: JSON.stringify}
  */
-export async function saveToCache(key, data) {
+export async function saveToCache(key, data, { ttl = getTtl(key), fetchedAt } = {}) {
   // CHALLENGE 9: Implement saveToCache function
   // 1. Make sure cache is initialized by calling initializeCache
   // 2. Read current cache file using fs.readFile
@@ -109,34 +335,51 @@ export async function saveToCache(key, data) {
     // Ensure cache is initialized
     await initializeCache();
 
-    // Read the current cache
-    const fileData = await fs.readFile(CACHE_FILE, 'utf-8');
-    const cache = JSON.parse(fileData);
-
-    // Add the new entry with current timestamp
-    cache[key] = {
-      timestamp: Date.now(),
-      data,
-    };
-
-    // Write the updated cache back to the file
-    await fs.writeFile(CACHE_FILE, JSON.stringify(cache, null, 2));
-
-    return true;
+    // Store the new entry with current timestamp and its own TTL
+    return await applySave({
+      key,
+      fetchedAt,
+      entry: {
+        timestamp: Date.now(),
+        ttl,
+        data,
+      }
+    });
   } catch (error) {
     return false;
   }
 }
 
+/**
+ * Save the access times of the entries read since the last save
+ * Call before exiting so the next session evicts the right entries
+ *
+ * @returns {Promise<void>}
+ */
+export async function flushAccessTimes() {
+  if (pendingAccess.size === 0) {
+    return;
+  }
+  try {
+    await applySave(null);
+  } catch (error) {
+    // Only eviction order is lost
+  }
+}
+
 /**
  * Clear expired entries from the cache
+ * Expired entries can still be served when TheMealDB is unreachable, so
+ * callers may keep them for a while with options.maxStaleMs
  *
+ * @param {Object} options - Extra options
+ * @param {number} options.maxStaleMs - Keep entries expired for less than this many milliseconds
  * @returns {Promise<number>} - Number of entries removed
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/delete | MDN: delete operator}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/for...in | MDN: for...in}
  */
-export async function clearExpiredCache() {
+export async function clearExpiredCache({ maxStaleMs = 0 } = {}) {
   // CHALLENGE 10: Implement clearExpiredCache function
   // 1. Make sure cache is initialized
   // 2. Read and parse the cache file
@@ -152,45 +395,258 @@ export async function clearExpiredCache() {
     // Ensure cache is initialized
     await initializeCache();
 
-    // Read and parse the cache file
-    const data = await fs.readFile(CACHE_FILE, 'utf-8');
-    const cache = JSON.parse(data);
-
     const currentTime = Date.now();
-    let removedCount = 0;
-
-    // Loop through each key in the cache and check for expired items
-    for (const key in cache) {
-      if (cache[key] && currentTime - cache[key].timestamp >= CACHE_DURATION) {
-        delete cache[key];
-        removedCount++;
-      }
-    }
+    const entries = await getBackend().entries();
 
-    // Write the updated cache back to the file if entries were removed
-    if (removedCount > 0) {
-      await fs.writeFile(CACHE_FILE, JSON.stringify(cache, null, 2));
-    }
+    // Check each entry against its own expiry (pushed back by the grace period)
+    const expiredKeys = entries
+      .filter(([key, cachedItem]) => isExpired(key, cachedItem, currentTime - maxStaleMs))
+      .map(([key]) => key);
 
-    return removedCount;
+    // Remove the expired entries (the backend skips the write if there are none)
+    return expiredKeys.length > 0 ? await getBackend().delete(expiredKeys) : 0;
   } catch (error) {
     return 0;
   }
 }
 
+/**
+ * Describe every cache entry, expired or not, for inspecting the cache
+ *
+ * @returns {Promise<Array<Object>>} - { key, namespace, storedAt, accessedAt, size, stale } entries
+ *   sorted by key, where size is in bytes as stored by the backend and accessedAt is null for entries never read
+ * @throws {Error} - If the cache cannot be read
+ */
+export async function listCacheEntries() {
+  const currentTime = Date.now();
+  const storage = getBackend();
+  const entries = await storage.entries();
+
+  return entries
+    .map(([key, entry]) => ({
+      key,
+      namespace: getNamespace(key),
+      storedAt: entry.timestamp,
+      accessedAt: pendingAccess.get(key) ?? entry.accessedAt ?? null,
+      size: storage.entrySize(key, entry),
+      stale: isExpired(key, entry, currentTime)
+    }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Check whether a cache key matches a purge pattern
+ * A pattern with wildcards (* for any characters, ? for one) must match the
+ * whole key; any other pattern is a key prefix (e.g. 'search_')
+ *
+ * @param {string} key - Cache key
+ * @param {string} pattern - Prefix or wildcard pattern
+ * @returns {boolean} - True if the key matches
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Regular_expressions#escaping | MDN: Escaping in regular expressions}
+ */
+export function matchesKeyPattern(key, pattern) {
+  if (!/[*?]/.test(pattern)) {
+    return key.startsWith(pattern);
+  }
+
+  const source = Array.from(pattern, char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`).test(key);
+}
+
+/**
+ * Remove the cache entries whose key matches a prefix or pattern (see matchesKeyPattern)
+ *
+ * @param {string} pattern - Prefix or wildcard pattern
+ * @returns {Promise<number>} - Number of entries removed
+ * @throws {Error} - If the cache cannot be read or written
+ */
+export async function purgeCache(pattern) {
+  await initializeCache();
+
+  const keys = (await getBackend().entries())
+    .map(([key]) => key)
+    .filter(key => matchesKeyPattern(key, pattern));
+  return keys.length > 0 ? getBackend().delete(keys) : 0;
+}
+
+/**
+ * Remove every cache entry
+ *
+ * @returns {Promise<number>} - Number of entries removed
+ * @throws {Error} - If the cache cannot be read or written
+ */
+export async function clearCache() {
+  return purgeCache('');
+}
 
 /**
  * Get a cached API response or fetch it if not available
+ * Calls for a key that is already being fetched join that fetch instead of
+ * starting another one (forced refreshes only join other forced refreshes).
+ * See getCachedOrFetchResult to know whether the data is stale.
  *
  * @param {string} key - Cache key
- * @param {Function} fetchFn - Function to call if cache miss
+ * @param {Function} fetchFn - Function to call if cache miss, receives an AbortSignal
  * @param {boolean} forceRefresh - Force a fresh fetch even if cached
+ * @param {Object} options - Extra options (see getCachedOrFetchResult)
  * @returns {Promise<Object>} - Data from cache or fresh fetch
+ * @throws {CancelledError} - If the signal is aborted
+ * @throws {Error} - The error from fetchFn if it fails and nothing is cached
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Using_promises | MDN: Using promises}
  */
-export async function getCachedOrFetch(key, fetchFn, forceRefresh = false) {
+export async function getCachedOrFetch(key, fetchFn, forceRefresh = false, options = {}) {
+  const result = await getCachedOrFetchResult(key, fetchFn, forceRefresh, options);
+  return result.data;
+}
+
+/**
+ * Get a cached API response or fetch it, telling whether the data is stale
+ * An expired entry is served (stale: true) when the fetch fails, or right away
+ * with staleWhileRevalidate while it is refreshed in the background.
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetchFn - Function to call if cache miss, receives an AbortSignal
+ * @param {boolean} forceRefresh - Force a fresh fetch even if cached
+ * @param {Object} options - Extra options
+ * @param {AbortSignal} options.signal - Cancels the fetch
+ * @param {number} options.ttl - How long fetched data stays fresh in milliseconds (defaults to the namespace TTL)
+ * @param {boolean} options.staleWhileRevalidate - Serve expired entries without waiting and refresh them in the background
+ * @returns {Promise<Object>} - { data, stale, storedAt, error, revalidating } where storedAt is when
+ *   the data was fetched, error is the fetch error a stale entry stands in for, and revalidating
+ *   tells whether a background refresh was started
+ * @throws {CancelledError} - If the signal is aborted
+ * @throws {Error} - The error from fetchFn if it fails and nothing is cached
+ */
+export async function getCachedOrFetchResult(key, fetchFn, forceRefresh = false, { signal, ttl, staleWhileRevalidate = false } = {}) {
+  const coalesceKey = forceRefresh ? `refresh:${key}` : key;
+  const result = await fetchCoalescer.run(
+    coalesceKey,
+    shared => loadOrFetch(key, fetchFn, { forceRefresh, signal: shared, ttl, staleWhileRevalidate }),
+    signal
+  );
+  // Joined calls share the result, so give each its own copy of the details
+  return { ...result };
+}
+
+/**
+ * Get coalescing counters for getCachedOrFetch
+ *
+ * @returns {Object} - { hits, misses, inFlight } where hits are calls that joined a fetch already in flight
+ */
+export function getCoalescingStats() {
+  return fetchCoalescer.getStats();
+}
+
+/**
+ * Wait for the background refreshes started so far to finish
+ *
+ * @returns {Promise<void>} - Resolves once they have all settled
+ */
+export async function waitForRevalidations() {
+  await Promise.allSettled(Array.from(revalidations.values()));
+}
+
+/**
+ * Fetch and cache several keys in the background, a few at a time
+ * Keys with a fresh entry are skipped, and a lookup for a key being prefetched
+ * joins that fetch instead of starting another one. Failures are ignored:
+ * prefetching only saves time for lookups that would happen anyway.
+ *
+ * @param {Array<Object>} jobs - { key, fetchFn } for each key, in priority order
+ * @param {Object} options - Prefetch options
+ * @param {number} options.concurrency - Most fetches in flight at once
+ * @param {AbortSignal} options.signal - Stops the prefetch; fetches in flight are aborted
+ *   unless a lookup has joined them
+ * @returns {Promise<number>} - How many keys now have an entry (fetched or already cached)
+ */
+export async function prefetchIntoCache(jobs, { concurrency = 2, signal } = {}) {
+  let cached = 0;
+  const tasks = jobs.map(({ key, fetchFn }) => async taskSignal => {
+    try {
+      await getCachedOrFetchResult(key, fetchFn, false, { signal: taskSignal });
+      cached++;
+    } catch (error) {
+      // Not cached, the lookup will fetch it when needed
+    }
+  });
+
+  try {
+    await runWithConcurrency(tasks, concurrency, { signal });
+  } catch (error) {
+    if (!(error instanceof CancelledError)) {
+      throw error;
+    }
+  }
+  return cached;
+}
+
+/**
+ * Refresh a stale entry in the background, once per key at a time
+ * Failures are ignored: the stale entry stays and the next lookup tries again
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetchFn - Function fetching the data, receives an AbortSignal
+ * @param {number} ttl - TTL for the fetched data (undefined for the namespace TTL)
+ */
+function revalidate(key, fetchFn, ttl) {
+  if (revalidations.has(key)) {
+    return;
+  }
+
+  // The caller already has its answer, so the refresh is not tied to its signal
+  const refresh = (async () => {
+    try {
+      const fetchedAt = Date.now();
+      await saveToCache(key, await fetchFn(new AbortController().signal), { ttl, fetchedAt });
+    } catch (error) {
+      // Keep serving the stale entry
+    } finally {
+      revalidations.delete(key);
+    }
+  })();
+  revalidations.set(key, refresh);
+}
+
+/**
+ * Build the result of a lookup served from a stored entry
+ *
+ * @param {string} key - Cache key
+ * @param {Object} entry - Stored entry
+ * @param {Object} details - Extra result fields (error, revalidating)
+ * @returns {Object} - Lookup result (see getCachedOrFetchResult)
+ */
+function fromEntry(key, entry, details = {}) {
+  return {
+    // Entries written before the Recipe model hold raw meals
+    data: upgradeStoredRecipes(entry.data),
+    stale: isExpired(key, entry),
+    storedAt: entry.timestamp,
+    error: null,
+    revalidating: false,
+    ...details
+  };
+}
+
+/**
+ * Do the work of getCachedOrFetchResult for one key
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetchFn - Function to call if cache miss, receives the AbortSignal
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.forceRefresh - Force a fresh fetch even if cached
+ * @param {AbortSignal} options.signal - Cancels the fetch
+ * @param {number} options.ttl - TTL for the fetched data (undefined for the namespace TTL)
+ * @param {boolean} options.staleWhileRevalidate - Serve expired entries right away and refresh them in the background
+ * @returns {Promise<Object>} - Lookup result (see getCachedOrFetchResult)
+ */
+async function loadOrFetch(key, fetchFn, { forceRefresh, signal, ttl, staleWhileRevalidate }) {
   // CHALLENGE 11: Implement getCachedOrFetch function
   // 1. If not forcing a refresh, try to get data from cache using getFromCache
   // 2. If data was found in cache, return it
@@ -198,39 +654,68 @@ export async function getCachedOrFetch(key, fetchFn, forceRefresh = false) {
   // 4. Save the fresh data to cache using saveToCache
   // 5. Return the fresh data
   // 6. Add error handling that tries to use expired cache as fallback if fetch fails
-  //    (you can directly read the cache file again to get even expired data)
-
-  let data = null;
-
+  //    (getFromCache skips expired entries, so the fallback reads the stored entry itself)
 
   if (!forceRefresh) {
-    data = await getFromCache(key);
-  }
+    const entry = await readEntry(key);
 
-
-  if (!data) {
-    try {
-      data = await fetchFn();
-      await saveToCache(key, data); // Save fetched data to cache for future use.
-    } catch (fetchError) {
-      console.log('Fetch failed, attempting to use expired cache as fallback');
-      // Try getting expired cache data after fetch fails.
-      data = await getFromCache(key); // Fallback to expired cache
+    if (entry && !isExpired(key, entry)) {
+      reportLookup(key, 'hit');
+      recordAccess(key);
+      return fromEntry(key, entry);
+    }
+    if (entry && staleWhileRevalidate) {
+      reportLookup(key, 'stale');
+      recordAccess(key);
+      revalidate(key, fetchFn, ttl);
+      return fromEntry(key, entry, { revalidating: true });
     }
   }
 
+  throwIfCancelled(signal);
 
-  if (!data) {
-    throw new Error('Failed to fetch data and no cache available');
-  }
+  try {
+    const fetchedAt = Date.now();
+    const data = await fetchFn(signal);
+    reportLookup(key, 'miss');
+    await saveToCache(key, data, { ttl, fetchedAt }); // Save fetched data to cache for future use.
+    return { data, stale: false, storedAt: Date.now(), error: null, revalidating: false };
+  } catch (error) {
+    // A cancelled fetch is not a failure, don't fall back to the cache
+    if (error instanceof CancelledError) {
+      throw error;
+    }
 
-  return data;
+    // Read the entry again, another process may have saved it in the meantime
+    const entry = await readEntry(key);
+    reportLookup(key, entry ? 'stale' : 'miss');
+    if (!entry) {
+      // Report the original fetch error so callers can tell what went wrong
+      throw error;
+    }
+    recordAccess(key);
+    return fromEntry(key, entry, { error });
+  }
 }
 
 export default {
+  getBackendName,
+  getNamespace,
+  getTtl,
   initializeCache,
+  checkCacheStorage,
   getFromCache,
+  getAllFromCache,
   saveToCache,
+  flushAccessTimes,
   clearExpiredCache,
-  getCachedOrFetch
+  listCacheEntries,
+  matchesKeyPattern,
+  purgeCache,
+  clearCache,
+  getCachedOrFetch,
+  getCachedOrFetchResult,
+  getCoalescingStats,
+  waitForRevalidations,
+  prefetchIntoCache
 };
\ No newline at end of file
@@ -0,0 +1,130 @@
+// src/coalescer.js
+/**
+ * In-flight request coalescing
+ * Callers asking for the same key while a request for it is still pending
+ * share that request's promise instead of starting their own, so identical
+ * concurrent calls cost one network request (and one cache write)
+ */
+
+import { CancelledError } from './errors.js';
+
+/**
+ * Create a coalescer
+ * The shared work receives its own AbortSignal. Each caller can still cancel
+ * with its own signal: it stops waiting right away, and the shared work is
+ * only aborted once every caller waiting for it has cancelled.
+ *
+ * @returns {Object} - Coalescer with run, getStats and resetStats functions
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController | MDN: AbortController}
+ */
+export function createCoalescer() {
+  const pending = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  // Stop sharing an entry (later callers start a new request)
+  function forget(key, entry) {
+    if (pending.get(key) === entry) {
+      pending.delete(key);
+    }
+  }
+
+  // Wait for a shared entry on behalf of one caller
+  function join(key, entry, signal) {
+    entry.waiters++;
+
+    return new Promise((resolve, reject) => {
+      let done = false;
+
+      const leave = () => {
+        done = true;
+        entry.waiters--;
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      const onAbort = () => {
+        if (done) return;
+        leave();
+        // Nobody is waiting anymore, stop the shared work
+        if (entry.waiters === 0) {
+          forget(key, entry);
+          entry.controller.abort();
+        }
+        reject(new CancelledError());
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      entry.promise.then(
+        value => {
+          if (done) return;
+          leave();
+          resolve(value);
+        },
+        error => {
+          if (done) return;
+          leave();
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Run fn for a key, or join the call already in flight for that key
+   *
+   * @param {string} key - Identifies identical requests
+   * @param {Function} fn - Function receiving the shared AbortSignal and returning a promise
+   * @param {AbortSignal} signal - Caller's signal (optional)
+   * @returns {Promise<any>} - Result of the shared call
+   * @throws {CancelledError} - If the caller's signal is aborted
+   */
+  function run(key, fn, signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(new CancelledError());
+    }
+
+    let entry = pending.get(key);
+
+    if (entry) {
+      hits++;
+    } else {
+      misses++;
+      entry = { controller: new AbortController(), waiters: 0 };
+      entry.promise = (async () => fn(entry.controller.signal))();
+      entry.promise.then(() => forget(key, entry), () => forget(key, entry));
+      pending.set(key, entry);
+    }
+
+    return join(key, entry, signal);
+  }
+
+  /**
+   * Get coalescing counters
+   *
+   * @returns {Object} - { hits, misses, inFlight } where hits are calls that joined a pending request
+   */
+  function getStats() {
+    return { hits, misses, inFlight: pending.size };
+  }
+
+  /**
+   * Reset the hit and miss counters
+   */
+  function resetStats() {
+    hits = 0;
+    misses = 0;
+  }
+
+  return { run, getStats, resetStats };
+}
+
+export default {
+  createCoalescer
+};
@@ -0,0 +1,120 @@
+// src/config.js
+/**
+ * This module holds the runtime configuration for the application
+ * Values come from built-in defaults, can be overridden with environment
+ * variables and can be changed at runtime with setConfig (useful for tests)
+ */
+
+export const DEFAULT_API_BASE_URL = 'https://www.themealdb.com/api/json/v1/1';
+
+const HOUR = 60 * 60 * 1000;
+
+// How long cache entries stay fresh, by key namespace (the prefix before '_')
+export const DEFAULT_CACHE_TTLS = {
+  default: 24 * HOUR,
+  search: 6 * HOUR, // New meals show up in searches
+  recipe: 7 * 24 * HOUR, // A recipe rarely changes once published
+  letters: 24 * HOUR,
+  ingredient: 24 * HOUR
+};
+
+/**
+ * Read cache TTL overrides from MEALDB_CACHE_TTL_<NAMESPACE> variables (in seconds)
+ * e.g. MEALDB_CACHE_TTL_SEARCH=600 or MEALDB_CACHE_TTL_DEFAULT=3600
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} - TTLs in milliseconds by namespace
+ */
+function loadCacheTtls(env) {
+  const ttls = { ...DEFAULT_CACHE_TTLS };
+
+  for (const [name, value] of Object.entries(env)) {
+    const match = name.match(/^MEALDB_CACHE_TTL_([A-Z]+)$/);
+    if (match && value !== '' && Number.isFinite(Number(value))) {
+      ttls[match[1].toLowerCase()] = Number(value) * 1000;
+    }
+  }
+  return ttls;
+}
+
+/**
+ * Build the configuration from defaults and environment variables
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Configuration object
+ *
+ * @see {@link https://nodejs.org/api/process.html#processenv | Node.js: process.env}
+ */
+export function loadConfig(env = process.env) {
+  return {
+    apiBaseUrl: env.MEALDB_BASE_URL || DEFAULT_API_BASE_URL,
+    // Overrides for the retry policy defaults in retry.js
+    retry: env.MEALDB_MAX_ATTEMPTS ? { maxAttempts: Number(env.MEALDB_MAX_ATTEMPTS) } : {},
+    // Outbound request limit, requestsPerSecond 0 disables it (see rate-limiter.js)
+    rateLimit: {
+      requestsPerSecond: Number(env.MEALDB_REQUESTS_PER_SECOND || 5),
+      burst: Number(env.MEALDB_BURST || 5)
+    },
+    // Where cached responses are stored: 'memory', 'json' or 'log' (see cache-backends.js),
+    // and the limits past which the least recently used entries are evicted (see cache.js)
+    cache: {
+      backend: env.MEALDB_CACHE_BACKEND || 'json',
+      maxEntries: Number(env.MEALDB_CACHE_MAX_ENTRIES || 500),
+      maxBytes: Number(env.MEALDB_CACHE_MAX_BYTES || 5 * 1024 * 1024)
+    },
+    // Cache TTLs in milliseconds by key namespace, 'default' for the others (see cache.js)
+    cacheTtls: loadCacheTtls(env),
+    // How long expired cache entries are kept to be served when TheMealDB is unreachable (milliseconds)
+    cacheMaxStale: Number(env.MEALDB_CACHE_MAX_STALE || 30 * 24 * 60 * 60) * 1000,
+    // Answer queries from the offline mirror (see mirror.js) instead of the network when it has data
+    preferMirror: ['1', 'true'].includes(String(env.MEALDB_PREFER_MIRROR).toLowerCase()),
+    // Details of the top search results fetched into the cache in the background, count 0 disables it
+    prefetch: {
+      count: Number(env.MEALDB_PREFETCH_COUNT || 3),
+      concurrency: Number(env.MEALDB_PREFETCH_CONCURRENCY || 2)
+    }
+  };
+}
+
+let config = loadConfig();
+
+/**
+ * Get the current configuration
+ *
+ * @returns {Object} - Configuration object
+ */
+export function getConfig() {
+  return config;
+}
+
+/**
+ * Override configuration values
+ *
+ * @param {Object} overrides - Values to merge into the current configuration
+ * @returns {Object} - Updated configuration object
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/Spread_syntax | MDN: Spread syntax}
+ */
+export function setConfig(overrides = {}) {
+  config = { ...config, ...overrides };
+  return config;
+}
+
+/**
+ * Reset the configuration to defaults and environment variables
+ *
+ * @returns {Object} - Configuration object
+ */
+export function resetConfig() {
+  config = loadConfig();
+  return config;
+}
+
+export default {
+  DEFAULT_API_BASE_URL,
+  DEFAULT_CACHE_TTLS,
+  loadConfig,
+  getConfig,
+  setConfig,
+  resetConfig
+};
@@ -0,0 +1,311 @@
+// src/data-files.js
+/**
+ * Versioned formats of the JSON data files (cache.json, favorites.json and cooking-history.json)
+ * Each file starts with a header telling what it holds and in which format:
+ *
+ *   { "kind": "cache", "version": 2, "data": { ... } }
+ *
+ * Files written by older versions of the app are migrated when read, one
+ * format version at a time (see DATA_FILES). Files written before headers
+ * existed hold the bare data and count as version 1.
+ *
+ * A file that is not valid JSON or does not hold what its kind expects is
+ * corrupt. checkDataFile runs at startup and moves corrupt files aside
+ * (<file>.corrupt-<time>) before anything can write over them; until then,
+ * updates refuse to touch them. Files from a newer version of the app are
+ * never changed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { withFileLock, writeFileAtomic } from './file-store.js';
+import { DataFileError } from './errors.js';
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} - True for objects like { a: 1 }
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Collection that favorites go to unless another one is chosen
+export const DEFAULT_COLLECTION = 'Favorites';
+
+/**
+ * Formats of the data files, by kind
+ * - version: current format version, written in the header
+ * - empty(): data of a new file
+ * - migrations[n](data): turns version n data into version n + 1 data
+ * - validate(data): why data in the current format is invalid, or null if it is fine
+ */
+export const DATA_FILES = {
+  cache: {
+    version: 2,
+    empty: () => ({}),
+    migrations: {
+      // Version 1 held the same entries, without the header
+      1: entries => entries
+    },
+    validate(entries) {
+      if (!isPlainObject(entries)) {
+        return 'expected an object of cache entries';
+      }
+      const invalid = Object.keys(entries).find(key => {
+        const entry = entries[key];
+        return !isPlainObject(entry) || typeof entry.timestamp !== 'number' || !('data' in entry);
+      });
+      return invalid === undefined ? null : `invalid entry "${invalid}"`;
+    }
+  },
+  favorites: {
+    version: 4,
+    empty: () => ({ favorites: [], collections: [{ name: DEFAULT_COLLECTION, recipeIds: [] }] }),
+    migrations: {
+      // Version 1 held the same meals, without the header
+      1: meals => meals,
+      // Version 3 keeps the user's tags and notes next to each meal
+      2: meals => meals.map(meal => ({ meal, tags: [], notes: '' })),
+      // Version 4 adds named collections, starting with every favorite in the default one
+      3: favorites => ({
+        favorites,
+        collections: [{ name: DEFAULT_COLLECTION, recipeIds: favorites.map(favorite => favorite.meal.idMeal) }]
+      })
+    },
+    validate(data) {
+      if (!isPlainObject(data) || !Array.isArray(data.favorites) || !Array.isArray(data.collections)) {
+        return 'expected favorites and collections';
+      }
+      const { favorites, collections } = data;
+      for (const [index, favorite] of favorites.entries()) {
+        if (!isPlainObject(favorite) || !isPlainObject(favorite.meal) || typeof favorite.meal.idMeal !== 'string') {
+          return `favorite ${index + 1} has no recipe ID`;
+        }
+        if (!Array.isArray(favorite.tags) || !favorite.tags.every(tag => typeof tag === 'string') || typeof favorite.notes !== 'string') {
+          return `favorite ${index + 1} has invalid tags or notes`;
+        }
+      }
+
+      const recipeIds = new Set(favorites.map(favorite => favorite.meal.idMeal));
+      for (const [index, collection] of collections.entries()) {
+        if (!isPlainObject(collection) || typeof collection.name !== 'string' || !collection.name.trim()) {
+          return `collection ${index + 1} has no name`;
+        }
+        if (!Array.isArray(collection.recipeIds) || !collection.recipeIds.every(id => recipeIds.has(id))) {
+          return `collection "${collection.name}" lists recipes that are not favorites`;
+        }
+      }
+      return null;
+    }
+  },
+  history: {
+    version: 1,
+    empty: () => [],
+    migrations: {},
+    validate(entries) {
+      if (!Array.isArray(entries)) {
+        return 'expected a list of cooking log entries';
+      }
+      const invalid = entries.findIndex(entry => !isPlainObject(entry) ||
+        typeof entry.recipeId !== 'string' ||
+        !/^\d{4}-\d{2}-\d{2}$/.test(entry.date) ||
+        !Number.isInteger(entry.rating) || entry.rating < 1 || entry.rating > 5 ||
+        !Number.isInteger(entry.servings) || entry.servings < 1 ||
+        typeof entry.comment !== 'string');
+      return invalid === -1 ? null : `entry ${invalid + 1} is invalid`;
+    }
+  }
+};
+
+/**
+ * Parse the contents of a data file, migrating them to the current format
+ *
+ * @param {string} kind - Kind of data file (a key of DATA_FILES)
+ * @param {string} text - File contents
+ * @param {string} file - File path, for error messages
+ * @returns {Object} - { data, version } where version is the format the file was written in
+ * @throws {DataFileError} - If the contents are corrupt or in a newer format
+ */
+export function parseDataFile(kind, text, file = kind) {
+  const format = DATA_FILES[kind];
+  const name = path.basename(file);
+  const corrupt = (reason, cause) => new DataFileError(`${name} is corrupt (${reason})`, { file, cause });
+
+  let contents;
+  try {
+    contents = JSON.parse(text);
+  } catch (error) {
+    throw corrupt('not valid JSON', error);
+  }
+
+  // Files without a header are version 1
+  let version = 1;
+  let data = contents;
+  if (isPlainObject(contents) && 'kind' in contents && 'version' in contents) {
+    if (contents.kind !== kind) {
+      throw corrupt(`holds ${contents.kind} data`);
+    }
+    if (!Number.isInteger(contents.version) || contents.version < 1) {
+      throw corrupt(`unknown format version ${JSON.stringify(contents.version)}`);
+    }
+    version = contents.version;
+    data = contents.data;
+  }
+
+  if (version > format.version) {
+    throw new DataFileError(
+      `${name} was written by a newer version of Recipe Explorer (format version ${version})`,
+      { file, corrupt: false }
+    );
+  }
+
+  try {
+    for (let from = version; from < format.version; from++) {
+      data = format.migrations[from](data);
+    }
+  } catch (error) {
+    throw corrupt(`could not be upgraded from format version ${version}`, error);
+  }
+
+  const problem = format.validate(data);
+  if (problem) {
+    throw corrupt(problem);
+  }
+  return { data, version };
+}
+
+/**
+ * Turn data into the contents of a data file, with the current header
+ *
+ * @param {string} kind - Kind of data file (a key of DATA_FILES)
+ * @param {any} data - Data in the current format
+ * @returns {string} - File contents
+ */
+export function serializeDataFile(kind, data) {
+  return JSON.stringify({ kind, version: DATA_FILES[kind].version, data }, null, 2);
+}
+
+/**
+ * Read a data file, migrating it to the current format in memory
+ *
+ * @param {string} file - File path
+ * @param {string} kind - Kind of data file (a key of DATA_FILES)
+ * @returns {Promise<Object|null>} - { data, version } (see parseDataFile) or null if the file does not exist
+ * @throws {DataFileError} - If the file is corrupt or in a newer format
+ */
+export async function readDataFile(file, kind) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  return parseDataFile(kind, text, file);
+}
+
+/**
+ * Move a corrupt file aside so it can be inspected or repaired by hand
+ *
+ * @param {string} file - File path
+ * @returns {Promise<string>} - Where the file was moved
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesrenameoldpath-newpath | Node.js: fsPromises.rename}
+ */
+export async function quarantineFile(file) {
+  const target = `${file}.corrupt-${Date.now()}`;
+  await fs.rename(file, target);
+  return target;
+}
+
+/**
+ * Read a data file, update its data and write it back atomically in the
+ * current format, under its lock (see file-store.js)
+ *
+ * @param {string} file - File path
+ * @param {string} kind - Kind of data file (a key of DATA_FILES)
+ * @param {Function} update - Receives the current data, returns the new data or undefined to skip the write
+ * @param {Object} options - Update options
+ * @param {boolean} options.quarantineCorrupt - Move a corrupt file aside and start from empty data
+ *   instead of failing (for files that can be rebuilt, like the cache)
+ * @returns {Promise<any>} - New data, or the current data if the write was skipped
+ * @throws {DataFileError} - If the file is corrupt (without quarantineCorrupt) or in a newer format
+ */
+export function updateDataFile(file, kind, update, { quarantineCorrupt = false } = {}) {
+  return withFileLock(file, async () => {
+    let current;
+    try {
+      const stored = await readDataFile(file, kind);
+      current = stored ? stored.data : DATA_FILES[kind].empty();
+    } catch (error) {
+      if (!quarantineCorrupt || !(error instanceof DataFileError) || !error.corrupt) {
+        throw error;
+      }
+      await quarantineFile(file);
+      current = DATA_FILES[kind].empty();
+    }
+
+    const next = await update(current);
+    if (next === undefined) {
+      return current;
+    }
+    await writeFileAtomic(file, serializeDataFile(kind, next));
+    return next;
+  });
+}
+
+/**
+ * Check a data file at startup: quarantine it if it is corrupt, and migrate it
+ * to the current format if it is older (keeping a copy as <file>.v<version>.bak)
+ *
+ * @param {string} file - File path
+ * @param {string} kind - Kind of data file (a key of DATA_FILES)
+ * @returns {Promise<Object>} - { file, kind, status, ... } where status is 'ok', 'missing',
+ *   'migrated' (with fromVersion and backup), 'quarantined' (with error and quarantinedTo)
+ *   or 'newer' (with error; the file is left alone)
+ * @throws {Error} - If the file cannot be read at all (e.g. permissions)
+ */
+export async function checkDataFile(file, kind) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  return withFileLock(file, async () => {
+    let stored;
+    try {
+      stored = await readDataFile(file, kind);
+    } catch (error) {
+      if (!(error instanceof DataFileError)) {
+        throw error;
+      }
+      if (!error.corrupt) {
+        return { file, kind, status: 'newer', error };
+      }
+      return { file, kind, status: 'quarantined', error, quarantinedTo: await quarantineFile(file) };
+    }
+
+    if (!stored) {
+      return { file, kind, status: 'missing' };
+    }
+    if (stored.version < DATA_FILES[kind].version) {
+      const backup = `${file}.v${stored.version}.bak`;
+      await fs.copyFile(file, backup);
+      await writeFileAtomic(file, serializeDataFile(kind, stored.data));
+      return { file, kind, status: 'migrated', fromVersion: stored.version, backup };
+    }
+    return { file, kind, status: 'ok' };
+  });
+}
+
+export default {
+  DEFAULT_COLLECTION,
+  DATA_FILES,
+  parseDataFile,
+  serializeDataFile,
+  readDataFile,
+  quarantineFile,
+  updateDataFile,
+  checkDataFile
+};
@@ -0,0 +1,163 @@
+// src/errors.js
+/**
+ * Error classes reported by the API layer
+ * Every function in api.js throws one of these instead of returning
+ * empty values on failure, so callers can tell "no results" apart from
+ * "the service is down"
+ */
+
+/**
+ * Base class for all API errors
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types | MDN: Custom error types}
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Extra details
+   * @param {string} options.endpoint - Endpoint that was requested
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, { endpoint, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.endpoint = endpoint;
+  }
+}
+
+/**
+ * The request never got a response (DNS failure, connection refused, offline...)
+ */
+export class NetworkError extends ApiError {}
+
+/**
+ * The server responded with a non-2xx status code
+ */
+export class HttpError extends ApiError {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {Object} options - Extra details (see ApiError)
+   * @param {number|null} options.retryAfterMs - Delay requested by the Retry-After header
+   */
+  constructor(status, { retryAfterMs = null, ...options } = {}) {
+    super(`HTTP error! Status: ${status}`, options);
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The request did not complete in time
+ */
+export class TimeoutError extends ApiError {
+  /**
+   * @param {number} timeoutMs - Timeout that was exceeded
+   * @param {Object} options - Extra details (see ApiError)
+   */
+  constructor(timeoutMs, options = {}) {
+    super(`Request took too long (over ${timeoutMs}ms)`, options);
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * The response body was not the JSON shape TheMealDB returns
+ */
+export class MalformedResponseError extends ApiError {}
+
+/**
+ * A specific resource (e.g. a meal ID) does not exist
+ */
+export class NotFoundError extends ApiError {}
+
+/**
+ * The operation was cancelled through an AbortSignal (e.g. Ctrl+C in the CLI)
+ * Not an ApiError: cache and utility functions report cancellation the same way
+ */
+export class CancelledError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message = 'Operation cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * A file in data/ cannot be used: it is not valid JSON, does not hold what it
+ * should, or was written by a newer version of the app (see data-files.js)
+ * Not an ApiError: it comes from the local files, not TheMealDB
+ */
+export class DataFileError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Extra details
+   * @param {string} options.file - Path of the file
+   * @param {boolean} options.corrupt - False when the file is fine but too new to be read
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, { file, corrupt = true, cause } = {}) {
+    super(message, { cause });
+    this.name = 'DataFileError';
+    this.file = file;
+    this.corrupt = corrupt;
+  }
+}
+
+/**
+ * Throw a CancelledError if a signal has been aborted
+ *
+ * @param {AbortSignal} signal - Signal to check (may be undefined)
+ * @throws {CancelledError} - If the signal is aborted
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal/aborted | MDN: AbortSignal.aborted}
+ */
+export function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new CancelledError();
+  }
+}
+
+/**
+ * Turn an error into a message suitable for showing to the user
+ *
+ * @param {Error} error - Error to describe
+ * @returns {string} - User-friendly message
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/instanceof | MDN: instanceof}
+ */
+export function describeError(error) {
+  if (error instanceof CancelledError) {
+    return 'Cancelled';
+  }
+  if (error instanceof NotFoundError) {
+    return error.message;
+  }
+  if (error instanceof TimeoutError) {
+    return 'TheMealDB did not respond in time, please try again';
+  }
+  if (error instanceof NetworkError) {
+    return 'Could not reach TheMealDB, check your internet connection';
+  }
+  if (error instanceof HttpError) {
+    return `TheMealDB returned an error (HTTP ${error.status}), the service may be down`;
+  }
+  if (error instanceof MalformedResponseError) {
+    return 'TheMealDB returned an unexpected response';
+  }
+  return error.message;
+}
+
+export default {
+  ApiError,
+  NetworkError,
+  HttpError,
+  TimeoutError,
+  MalformedResponseError,
+  NotFoundError,
+  CancelledError,
+  DataFileError,
+  throwIfCancelled,
+  describeError
+};
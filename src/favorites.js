@@ -1,17 +1,62 @@
 // src/favorites.js
 /**
  * This module provides functionality to manage favorite recipes
+ * Favorites are returned as Recipe objects but stored in TheMealDB's meal
+ * format, next to the user's own tags and notes ({ meal, tags, notes }).
+ * Changes are written atomically under the file's lock (see file-store.js),
+ * so quick successive adds and removes never lose each other's changes.
+ * The file has a versioned header (see data-files.js). While it is corrupt,
+ * changes are refused rather than written over it, until checkFavoritesFile
+ * moves it aside at startup.
+ *
+ * Favorites can be grouped into named collections ("Holiday", "Meal prep").
+ * A collection lists recipe IDs, so a favorite can be in several of them and
+ * keeps one set of tags and notes. New favorites go to the default collection
+ * (DEFAULT_COLLECTION in data-files.js) unless others are chosen, so it cannot
+ * be renamed or deleted. Removing a favorite takes it out of every collection,
+ * while deleting a collection keeps its favorites.
+ *
+ * Every time a favorite is cooked can be logged with a rating; the log is
+ * kept in its own file next to favorites.json (cooking-history.json). Only
+ * favorites can be logged, and removing a favorite removes its history too.
+ *
+ * @typedef {Object} FavoriteEntry
+ * @property {Recipe} recipe - The favorite recipe
+ * @property {Array<string>} tags - The user's own tags (e.g. ['weeknight', 'kids-approved'])
+ * @property {string} notes - The user's notes, empty if there are none
+ *
+ * @typedef {Object} CollectionSummary
+ * @property {string} name - Collection name, as the user typed it
+ * @property {number} count - Number of recipes in it
+ *
+ * @typedef {Object} CookingLogEntry
+ * @property {string} recipeId - Recipe that was cooked
+ * @property {string} date - Day it was cooked (YYYY-MM-DD)
+ * @property {number} rating - Rating from 1 to 5
+ * @property {number} servings - Number of servings made
+ * @property {string} comment - The user's comment, may be empty
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { toMeal, upgradeStoredRecipes } from './recipe.js';
+import { DATA_FILES, DEFAULT_COLLECTION, readDataFile, updateDataFile, serializeDataFile, checkDataFile } from './data-files.js';
 
 // Get the directory path using ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const FAVORITES_FILE = path.join(__dirname, '../data/favorites.json');
+const HISTORY_FILE = path.join(__dirname, '../data/cooking-history.json');
+
+// Orders viewFavorites can sort favorites in (see sortFavorites)
+export const FAVORITE_SORT_ORDERS = {
+  added: 'Order added',
+  rating: 'Highest average rating',
+  cooked: 'Most cooked',
+  forgotten: "Haven't cooked in a while"
+};
 
 /**
  * Initialize favorites file if it doesn't exist
@@ -37,8 +82,8 @@ export async function initializeFavorites() {
     try {
       // Ensure the directory exists
       await fs.mkdir(path.dirname(FAVORITES_FILE), { recursive: true });
-      // Write an empty array as JSON to the file
-      await fs.writeFile(FAVORITES_FILE, JSON.stringify([]));
+      // Write an empty list of favorites (and the default collection) to the file
+      await fs.writeFile(FAVORITES_FILE, serializeDataFile('favorites', DATA_FILES.favorites.empty()));
     } catch (e) {
       console.error('Error creating favorites file:', e);
       throw e;
@@ -47,11 +92,99 @@ export async function initializeFavorites() {
 }
 
 /**
- * Get all favorite recipes
+ * Check the favorites file at startup: a corrupt file is moved aside and one
+ * written by an older version is upgraded (see data-files.js)
  *
- * @returns {Promise<Array>} - Array of favorite recipes
+ * @returns {Promise<Object>} - What was found and done (see checkDataFile)
+ */
+export async function checkFavoritesFile() {
+  return checkDataFile(FAVORITES_FILE, 'favorites');
+}
+
+/**
+ * Turn tags typed by the user into stored tags
+ * Tags are lowercase with dashes instead of spaces ("Kids Approved" becomes
+ * "kids-approved"); blank and repeated tags are dropped
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse | MDN: JSON.parse}
+ * @param {string|Array<string>} tags - Comma-separated tags or a list of tags
+ * @returns {Array<string>} - Normalized tags
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const normalized = list.map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean);
+  return Array.from(new Set(normalized));
+}
+
+/**
+ * Turn a stored favorite into a FavoriteEntry
+ *
+ * @param {Object} favorite - Stored favorite ({ meal, tags, notes })
+ * @returns {FavoriteEntry} - Entry with the meal converted to a Recipe
+ */
+function toEntry({ meal, tags, notes }) {
+  return { recipe: upgradeStoredRecipes(meal), tags, notes };
+}
+
+/**
+ * Read the favorites file as stored
+ *
+ * @returns {Promise<Object>} - { favorites, collections } where favorites are { meal, tags, notes }
+ *   objects and collections are { name, recipeIds } objects
+ * @throws {Error} - If the file cannot be read, is corrupt or is in a newer format
+ */
+async function readFavoritesData() {
+  // Make sure favorites file exists
+  await initializeFavorites();
+  // Read the favorites file
+  const stored = await readDataFile(FAVORITES_FILE, 'favorites');
+  return stored ? stored.data : DATA_FILES.favorites.empty();
+}
+
+/**
+ * Read the stored favorites ({ meal, tags, notes } objects)
+ *
+ * @returns {Promise<Array<Object>>} - Stored favorites
+ * @throws {Error} - If the file cannot be read, is corrupt or is in a newer format
+ */
+async function readStoredFavorites() {
+  return (await readFavoritesData()).favorites;
+}
+
+/**
+ * Change the stored favorites and collections while holding the file's lock
+ *
+ * @param {Function} change - Receives the stored { favorites, collections } to modify,
+ *   returns true if it changed anything
+ * @returns {Promise<boolean>} - True if anything was changed
+ */
+async function updateFavoritesData(change) {
+  await initializeFavorites();
+
+  let changed = false;
+  await updateDataFile(FAVORITES_FILE, 'favorites', data => {
+    // Skip the write if nothing changed
+    changed = change(data);
+    return changed ? data : undefined;
+  });
+  return changed;
+}
+
+/**
+ * Find a collection by name, ignoring case and surrounding spaces
+ *
+ * @param {Array<Object>} collections - Stored collections ({ name, recipeIds })
+ * @param {string} name - Collection name
+ * @returns {Object|undefined} - Stored collection, or undefined if there is none by that name
+ */
+function findCollection(collections, name) {
+  const wanted = String(name).trim().toLowerCase();
+  return collections.find(collection => collection.name.toLowerCase() === wanted);
+}
+
+/**
+ * Get all favorite recipes
+ *
+ * @returns {Promise<Array<Recipe>>} - Array of favorite recipes
  */
 export async function getFavorites() {
   // CHALLENGE 13: Implement getFavorites function
@@ -61,29 +194,54 @@ export async function getFavorites() {
   // 4. Handle any errors and return an empty array if something goes wrong
 
   try {
-    // Make sure favorites file exists
-    await initializeFavorites();
-    // Read the favorites file
-    const data = await fs.readFile(FAVORITES_FILE, 'utf8');
-    // Parse the JSON data and return it
-    return JSON.parse(data);
+    // Read the stored meals and convert them to Recipes
+    return (await readStoredFavorites()).map(favorite => upgradeStoredRecipes(favorite.meal));
   } catch (error) {
     console.error('Error reading favorites file:', error);
     return []; // Return an empty array if any error occurs
   }
 }
 
+/**
+ * Get all favorites with the user's tags and notes
+ *
+ * @returns {Promise<Array<FavoriteEntry>>} - Favorites, in the order they were added
+ */
+export async function getFavoriteEntries() {
+  try {
+    return (await readStoredFavorites()).map(toEntry);
+  } catch (error) {
+    console.error('Error reading favorites file:', error);
+    return [];
+  }
+}
+
+/**
+ * Get one favorite with the user's tags and notes
+ *
+ * @param {string} recipeId - Recipe ID
+ * @returns {Promise<FavoriteEntry|null>} - Favorite or null if the recipe is not a favorite
+ */
+export async function getFavoriteEntry(recipeId) {
+  const entries = await getFavoriteEntries();
+  return entries.find(entry => entry.recipe.id === recipeId) || null;
+}
 
 /**
  * Add a recipe to favorites
  *
- * @param {Object} recipe - Recipe to add
+ * @param {Recipe} recipe - Recipe to add
+ * @param {Object} details - The user's own details
+ * @param {string|Array<string>} details.tags - Tags (see normalizeTags)
+ * @param {string} details.notes - Notes
+ * @param {Array<string>} details.collections - Collections to put it in (names that
+ *   don't exist are ignored), the default collection if not given
  * @returns {Promise<boolean>} - True if added successfully
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/some | MDN: Array.some}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/push | MDN: Array.push}
  */
-export async function addFavorite(recipe) {
+export async function addFavorite(recipe, { tags = [], notes = '', collections = [DEFAULT_COLLECTION] } = {}) {
   // CHALLENGE 14: Implement addFavorite function
   // 1. Make sure favorites file exists by calling initializeFavorites
   // 2. Get current favorites by calling getFavorites
@@ -97,29 +255,33 @@ export async function addFavorite(recipe) {
   try {
     // Ensure the favorites file exists
     await initializeFavorites();
-    // Get current favorites
-    const favorites = await getFavorites();
-
-    // Check if recipe already exists in favorites
-    const exists = favorites.some(favorite => favorite.idMeal === recipe.idMeal);
-    if (exists) {
-      return false; // Return false if it already exists
-    }
 
-    // Add the new recipe to favorites
-    favorites.push(recipe);
+    let added = false;
+    // Read, update and save the stored favorites while holding the file's lock
+    await updateDataFile(FAVORITES_FILE, 'favorites', data => {
+      // Check if recipe already exists in favorites (skip the write if so)
+      if (data.favorites.some(favorite => favorite.meal.idMeal === recipe.id)) {
+        return undefined;
+      }
 
-    // Save updated favorites back to the file
-    await fs.writeFile(FAVORITES_FILE, JSON.stringify(favorites, null, 2));
-    return true;
+      // Add the new recipe to favorites in the stored format, and to its collections
+      data.favorites.push({ meal: toMeal(recipe), tags: normalizeTags(tags), notes: notes.trim() });
+      collections
+        .map(name => findCollection(data.collections, name))
+        .filter(Boolean)
+        .forEach(collection => collection.recipeIds.push(recipe.id));
+      added = true;
+      return data;
+    });
+    return added;
   } catch (error) {
-    console.error('Error adding favorite recipe:', error);
+    console.error('Error adding favorite:', error.message);
     return false; // Return false if any error occurs
   }
 }
 
 /**
- * Remove a recipe from favorites
+ * Remove a recipe from favorites, from every collection and from the cooking history
  *
  * @param {string} recipeId - ID of recipe to remove
  * @returns {Promise<boolean>} - True if removed successfully
@@ -141,23 +303,29 @@ export async function removeFavorite(recipeId) {
   try {
     // Ensure the favorites file exists
     await initializeFavorites();
-    // Get current favorites
-    const favorites = await getFavorites();
 
-    // Store the initial length of the favorites array
-    const initialLength = favorites.length;
+    let removed = false;
+    // Read, update and save the stored favorites while holding the file's lock
+    await updateDataFile(FAVORITES_FILE, 'favorites', data => {
+      // Filter out the recipe with the matching ID
+      const updatedFavorites = data.favorites.filter(favorite => favorite.meal.idMeal !== recipeId);
 
-    // Filter out the recipe with the matching ID
-    const updatedFavorites = favorites.filter(favorite => favorite.idMeal !== recipeId);
+      // If the array length didn't change, the recipe wasn't found (skip the write)
+      if (updatedFavorites.length === data.favorites.length) {
+        return undefined;
+      }
+      removed = true;
+      const collections = data.collections.map(collection => ({
+        ...collection,
+        recipeIds: collection.recipeIds.filter(id => id !== recipeId)
+      }));
+      return { favorites: updatedFavorites, collections };
+    });
 
-    // If the array length didn't change, return false (recipe wasn't found)
-    if (updatedFavorites.length === initialLength) {
-      return false;
+    if (removed) {
+      await removeCookingHistory(recipeId);
     }
-
-    // Save updated favorites back to the file
-    await fs.writeFile(FAVORITES_FILE, JSON.stringify(updatedFavorites, null, 2));
-    return true;
+    return removed;
   } catch (error) {
     console.error('Error removing favorite recipe:', error);
     return false; // Return false if any error occurs
@@ -180,8 +348,8 @@ export async function isInFavorites(recipeId) {
   try {
     // Get the favorites array
     const favorites = await getFavorites();
-    // Use Array.some to check if any recipe has a matching idMeal
-    return favorites.some(favorite => favorite.idMeal === recipeId);
+    // Use Array.some to check if any recipe has a matching ID
+    return favorites.some(favorite => favorite.id === recipeId);
   } catch (error) {
     console.error('Error checking if recipe is in favorites:', error);
     return false; // Return false if any error occurs
@@ -192,7 +360,7 @@ export async function isInFavorites(recipeId) {
  * Get a specific favorite recipe by ID
  *
  * @param {string} recipeId - Recipe ID to get
- * @returns {Promise<Object|null>} - Recipe object or null if not found
+ * @returns {Promise<Recipe|null>} - Recipe object or null if not found
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/find | MDN: Array.find}
  */
@@ -206,19 +374,512 @@ export async function getFavoriteById(recipeId) {
   try {
     // Get the favorites array
     const favorites = await getFavorites();
-    // Use Array.find to find the recipe with the matching idMeal
-    return favorites.find(favorite => favorite.idMeal === recipeId) || null;
+    // Use Array.find to find the recipe with the matching ID
+    return favorites.find(favorite => favorite.id === recipeId) || null;
   } catch (error) {
     console.error('Error getting favorite recipe by ID:', error);
     return null; // Return null if any error occurs
   }
 }
 
+/**
+ * Change one stored favorite while holding the file's lock
+ *
+ * @param {string} recipeId - Recipe ID of the favorite
+ * @param {Function} change - Receives the stored favorite ({ meal, tags, notes }) to modify,
+ *   returns true if it changed anything
+ * @returns {Promise<boolean>} - True if the favorite exists and was changed
+ */
+async function updateFavorite(recipeId, change) {
+  return updateFavoritesData(({ favorites }) => {
+    const favorite = favorites.find(stored => stored.meal.idMeal === recipeId);
+    // Nothing changes if the recipe is not a favorite
+    return Boolean(favorite) && change(favorite);
+  });
+}
+
+/**
+ * Add tags to a favorite
+ *
+ * @param {string} recipeId - Recipe ID of the favorite
+ * @param {string|Array<string>} tags - Tags to add (see normalizeTags)
+ * @returns {Promise<boolean>} - True if at least one tag was added, false if the recipe
+ *   is not a favorite, already has them all, or on error
+ */
+export async function addTags(recipeId, tags) {
+  try {
+    return await updateFavorite(recipeId, favorite => {
+      const added = normalizeTags(tags).filter(tag => !favorite.tags.includes(tag));
+      favorite.tags.push(...added);
+      return added.length > 0;
+    });
+  } catch (error) {
+    console.error('Error adding tags:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Remove tags from a favorite
+ *
+ * @param {string} recipeId - Recipe ID of the favorite
+ * @param {string|Array<string>} tags - Tags to remove (see normalizeTags)
+ * @returns {Promise<boolean>} - True if at least one tag was removed
+ */
+export async function removeTags(recipeId, tags) {
+  try {
+    return await updateFavorite(recipeId, favorite => {
+      const removed = normalizeTags(tags);
+      const kept = favorite.tags.filter(tag => !removed.includes(tag));
+      const changed = kept.length !== favorite.tags.length;
+      favorite.tags = kept;
+      return changed;
+    });
+  } catch (error) {
+    console.error('Error removing tags:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Replace the notes of a favorite
+ *
+ * @param {string} recipeId - Recipe ID of the favorite
+ * @param {string} notes - New notes, empty to clear them
+ * @returns {Promise<boolean>} - True if the notes changed
+ */
+export async function setNotes(recipeId, notes) {
+  try {
+    return await updateFavorite(recipeId, favorite => {
+      const trimmed = notes.trim();
+      const changed = trimmed !== favorite.notes;
+      favorite.notes = trimmed;
+      return changed;
+    });
+  } catch (error) {
+    console.error('Error saving notes:', error.message);
+    return false;
+  }
+}
+
+/**
+ * List every tag used on favorites with how many favorites have it
+ *
+ * @returns {Promise<Array<Object>>} - { tag, count } sorted by tag
+ */
+export async function listTags() {
+  const counts = new Map();
+  for (const entry of await getFavoriteEntries()) {
+    entry.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  }
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Get the favorites that have a tag
+ *
+ * @param {string} tag - Tag to filter by (normalized like the stored tags)
+ * @returns {Promise<Array<Recipe>>} - Matching favorite recipes
+ */
+export async function getFavoritesByTag(tag) {
+  const [normalized] = normalizeTags([tag]);
+  const entries = await getFavoriteEntries();
+  return entries.filter(entry => entry.tags.includes(normalized)).map(entry => entry.recipe);
+}
+
+/**
+ * List the collections with how many recipes each holds
+ *
+ * @returns {Promise<Array<CollectionSummary>>} - Collections in the order they were created
+ */
+export async function listCollections() {
+  try {
+    const { collections } = await readFavoritesData();
+    return collections.map(({ name, recipeIds }) => ({ name, count: recipeIds.length }));
+  } catch (error) {
+    console.error('Error reading collections:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the recipes in a collection
+ *
+ * @param {string} name - Collection name (any case)
+ * @returns {Promise<Array<Recipe>|null>} - Recipes in the order they were added to the
+ *   collection, or null if there is no such collection or on error
+ */
+export async function getCollectionRecipes(name) {
+  try {
+    const { favorites, collections } = await readFavoritesData();
+    const collection = findCollection(collections, name);
+    if (!collection) {
+      return null;
+    }
+    const meals = new Map(favorites.map(favorite => [favorite.meal.idMeal, favorite.meal]));
+    return collection.recipeIds.map(id => upgradeStoredRecipes(meals.get(id)));
+  } catch (error) {
+    console.error('Error reading collection:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the names of the collections a recipe is in
+ *
+ * @param {string} recipeId - Recipe ID
+ * @returns {Promise<Array<string>>} - Collection names, empty if it is in none or on error
+ */
+export async function getRecipeCollections(recipeId) {
+  try {
+    const { collections } = await readFavoritesData();
+    return collections.filter(collection => collection.recipeIds.includes(recipeId)).map(collection => collection.name);
+  } catch (error) {
+    console.error('Error reading collections:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Check whether a collection is the default one new favorites go to
+ *
+ * @param {string} name - Collection name (any case)
+ * @returns {boolean} - True for the default collection, which cannot be renamed or deleted
+ */
+export function isDefaultCollection(name) {
+  return String(name).trim().toLowerCase() === DEFAULT_COLLECTION.toLowerCase();
+}
+
+/**
+ * Check a new collection name
+ *
+ * @param {Array<Object>} collections - Stored collections
+ * @param {string} name - Name typed by the user
+ * @param {Object} renamed - Collection being renamed, which may keep its own name in another case
+ * @returns {string} - Trimmed name
+ * @throws {Error} - If the name is empty or another collection already has it
+ */
+function checkCollectionName(collections, name, renamed = null) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('A collection needs a name');
+  }
+  const existing = findCollection(collections, trimmed);
+  if (existing && existing !== renamed) {
+    throw new Error(`There is already a collection named "${existing.name}"`);
+  }
+  return trimmed;
+}
+
+/**
+ * Create an empty collection
+ *
+ * @param {string} name - Collection name
+ * @returns {Promise<boolean>} - True if created, false if the name is empty or taken, or on error
+ */
+export async function createCollection(name) {
+  try {
+    return await updateFavoritesData(({ collections }) => {
+      collections.push({ name: checkCollectionName(collections, name), recipeIds: [] });
+      return true;
+    });
+  } catch (error) {
+    console.error('Error creating collection:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Rename a collection
+ *
+ * @param {string} name - Current collection name (any case)
+ * @param {string} newName - New name
+ * @returns {Promise<boolean>} - True if renamed, false if there is no such collection,
+ *   it is the default collection, the new name is empty or taken, or on error
+ */
+export async function renameCollection(name, newName) {
+  try {
+    return await updateFavoritesData(({ collections }) => {
+      const collection = findCollection(collections, name);
+      if (!collection) {
+        return false;
+      }
+      if (isDefaultCollection(collection.name)) {
+        throw new Error(`${collection.name} is where new favorites go, it cannot be renamed`);
+      }
+      const trimmed = checkCollectionName(collections, newName, collection);
+      const changed = trimmed !== collection.name;
+      collection.name = trimmed;
+      return changed;
+    });
+  } catch (error) {
+    console.error('Error renaming collection:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete a collection; its recipes stay in favorites
+ *
+ * @param {string} name - Collection name (any case)
+ * @returns {Promise<boolean>} - True if deleted, false if there is no such collection,
+ *   it is the default collection, or on error
+ */
+export async function deleteCollection(name) {
+  try {
+    return await updateFavoritesData(data => {
+      const collection = findCollection(data.collections, name);
+      if (collection && isDefaultCollection(collection.name)) {
+        throw new Error(`${collection.name} is where new favorites go, it cannot be deleted`);
+      }
+      data.collections = data.collections.filter(stored => stored !== collection);
+      return Boolean(collection);
+    });
+  } catch (error) {
+    console.error('Error deleting collection:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Add a recipe to a collection, adding it to favorites first if needed
+ *
+ * @param {string} name - Collection name (any case)
+ * @param {Recipe} recipe - Recipe to add
+ * @returns {Promise<boolean>} - True if added, false if there is no such collection,
+ *   the recipe is already in it, or on error
+ */
+export async function addToCollection(name, recipe) {
+  try {
+    return await updateFavoritesData(({ favorites, collections }) => {
+      const collection = findCollection(collections, name);
+      if (!collection || collection.recipeIds.includes(recipe.id)) {
+        return false;
+      }
+      if (!favorites.some(favorite => favorite.meal.idMeal === recipe.id)) {
+        favorites.push({ meal: toMeal(recipe), tags: [], notes: '' });
+      }
+      collection.recipeIds.push(recipe.id);
+      return true;
+    });
+  } catch (error) {
+    console.error('Error adding to collection:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Take a recipe out of a collection; it stays in favorites
+ *
+ * @param {string} name - Collection name (any case)
+ * @param {string} recipeId - Recipe ID
+ * @returns {Promise<boolean>} - True if the recipe was in the collection
+ */
+export async function removeFromCollection(name, recipeId) {
+  try {
+    return await updateFavoritesData(({ collections }) => {
+      const collection = findCollection(collections, name);
+      if (!collection || !collection.recipeIds.includes(recipeId)) {
+        return false;
+      }
+      collection.recipeIds = collection.recipeIds.filter(id => id !== recipeId);
+      return true;
+    });
+  } catch (error) {
+    console.error('Error removing from collection:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Check the cooking history file at startup (see checkFavoritesFile)
+ *
+ * @returns {Promise<Object>} - What was found and done (see checkDataFile)
+ */
+export async function checkCookingHistoryFile() {
+  return checkDataFile(HISTORY_FILE, 'history');
+}
+
+/**
+ * Get today's date in the local time zone
+ *
+ * @returns {string} - Date as YYYY-MM-DD
+ */
+function today() {
+  const now = new Date();
+  const pad = number => String(number).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Check that a string is a real calendar date written as YYYY-MM-DD
+ *
+ * @param {string} date - Date to check
+ * @returns {boolean} - True for dates like '2024-02-29', false for '2023-02-29' or '29/02/2024'
+ */
+export function isValidDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return false;
+  }
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+}
+
+/**
+ * Remove every cooking log entry of a recipe
+ * Errors are reported but not thrown: the favorite is already gone
+ *
+ * @param {string} recipeId - Recipe ID
+ */
+async function removeCookingHistory(recipeId) {
+  try {
+    await updateDataFile(HISTORY_FILE, 'history', history => {
+      const kept = history.filter(entry => entry.recipeId !== recipeId);
+      // Skip the write if the recipe was never logged
+      return kept.length === history.length ? undefined : kept;
+    });
+  } catch (error) {
+    console.error('Error removing cooking history:', error.message);
+  }
+}
+
+/**
+ * Record that a favorite recipe was cooked
+ *
+ * @param {string} recipeId - Favorite recipe that was cooked
+ * @param {Object} details - What happened
+ * @param {string} details.date - Day it was cooked (YYYY-MM-DD, defaults to today)
+ * @param {number} details.rating - Rating from 1 to 5
+ * @param {number} details.servings - Number of servings made
+ * @param {string} details.comment - Comment, may be empty
+ * @returns {Promise<boolean>} - True if recorded, false if the recipe is not a favorite,
+ *   the details are invalid, or on error
+ */
+export async function logCooking(recipeId, { date = today(), rating, servings, comment = '' } = {}) {
+  try {
+    if (!isValidDate(date)) {
+      throw new Error(`Invalid date "${date}", expected YYYY-MM-DD`);
+    }
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new Error('The rating must be a whole number from 1 to 5');
+    }
+    if (!Number.isInteger(servings) || servings < 1) {
+      throw new Error('Servings must be a whole number of at least 1');
+    }
+    if (!(await isInFavorites(recipeId))) {
+      throw new Error(`Recipe ${recipeId} is not in your favorites`);
+    }
+
+    await updateDataFile(HISTORY_FILE, 'history', history => [
+      ...history,
+      { recipeId, date, rating, servings, comment: comment.trim() }
+    ]);
+    return true;
+  } catch (error) {
+    console.error('Error logging cooking:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the cooking log, most recent first
+ *
+ * @param {string} recipeId - Only this recipe's entries (optional)
+ * @returns {Promise<Array<CookingLogEntry>>} - Log entries, empty on error
+ */
+export async function getCookingHistory(recipeId) {
+  try {
+    const stored = await readDataFile(HISTORY_FILE, 'history');
+    const history = stored ? stored.data : [];
+    return history
+      .filter(entry => recipeId === undefined || entry.recipeId === recipeId)
+      // Latest day first, and the entry logged last first within a day
+      .reverse()
+      .sort((a, b) => b.date.localeCompare(a.date));
+  } catch (error) {
+    console.error('Error reading cooking history:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Sum up the cooking log per recipe
+ *
+ * @param {Array<CookingLogEntry>} history - Log entries
+ * @returns {Map<string, Object>} - { timesCooked, averageRating, lastCooked } by recipe ID
+ */
+export function summarizeCooking(history) {
+  const summaries = new Map();
+  for (const entry of history) {
+    const summary = summaries.get(entry.recipeId) || { timesCooked: 0, totalRating: 0, lastCooked: entry.date };
+    summary.timesCooked++;
+    summary.totalRating += entry.rating;
+    if (entry.date > summary.lastCooked) {
+      summary.lastCooked = entry.date;
+    }
+    summaries.set(entry.recipeId, summary);
+  }
+
+  return new Map(Array.from(summaries, ([recipeId, { timesCooked, totalRating, lastCooked }]) => [
+    recipeId,
+    { timesCooked, averageRating: totalRating / timesCooked, lastCooked }
+  ]));
+}
+
+/**
+ * Sort favorites by their cooking history
+ * Ties keep the order the favorites were added in
+ *
+ * @param {Array<Recipe>} recipes - Favorite recipes in the order they were added
+ * @param {string} order - A key of FAVORITE_SORT_ORDERS: 'added', 'rating' (unrated last),
+ *   'cooked' (most cooked first) or 'forgotten' (never cooked first, then longest ago)
+ * @param {Map<string, Object>} summaries - Cooking summaries (see summarizeCooking)
+ * @returns {Array<Recipe>} - Sorted copy of the recipes
+ */
+export function sortFavorites(recipes, order, summaries) {
+  const compare = {
+    added: () => 0,
+    rating: (a, b) => (b ? b.averageRating : 0) - (a ? a.averageRating : 0),
+    cooked: (a, b) => (b ? b.timesCooked : 0) - (a ? a.timesCooked : 0),
+    forgotten: (a, b) => (a ? a.lastCooked : '').localeCompare(b ? b.lastCooked : '')
+  }[order];
+
+  if (!compare) {
+    throw new Error(`Unknown sort order "${order}"`);
+  }
+  return [...recipes].sort((a, b) => compare(summaries.get(a.id), summaries.get(b.id)));
+}
+
 export default {
+  FAVORITE_SORT_ORDERS,
   initializeFavorites,
+  checkFavoritesFile,
+  normalizeTags,
+  getFavoriteEntries,
+  getFavoriteEntry,
   getFavorites,
   addFavorite,
   removeFavorite,
   isInFavorites,
-  getFavoriteById
+  getFavoriteById,
+  addTags,
+  removeTags,
+  setNotes,
+  listTags,
+  getFavoritesByTag,
+  isDefaultCollection,
+  listCollections,
+  getCollectionRecipes,
+  getRecipeCollections,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  addToCollection,
+  removeFromCollection,
+  checkCookingHistoryFile,
+  isValidDate,
+  logCooking,
+  getCookingHistory,
+  summarizeCooking,
+  sortFavorites
 };
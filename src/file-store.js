@@ -0,0 +1,181 @@
+// src/file-store.js
+/**
+ * Safe writes for the JSON files in data/
+ * A file is never written in place: the new contents go to a temporary file
+ * that is then renamed over it, so a crash leaves either the old or the new
+ * contents, never half of each. Read-modify-write updates run under a lock
+ * that queues callers in this process and uses a lock file (<file>.lock)
+ * against other processes, so two quick saves cannot overwrite each other.
+ */
+
+import fs from 'fs/promises';
+import { sleep } from './retry.js';
+
+export const DEFAULT_LOCK_OPTIONS = {
+  retryMs: 20, // Wait between attempts to take a lock held by another process
+  timeoutMs: 5000, // Give up after waiting this long
+  staleMs: 10000 // A lock file older than this was left behind by a crashed process
+};
+
+// Tail of the queue of locked operations per file
+const queues = new Map();
+
+// Makes temporary file names unique within this process
+let tempCounter = 0;
+
+/**
+ * Delete a file, ignoring errors (e.g. it is already gone)
+ *
+ * @param {string} file - File path
+ * @returns {Promise<void>}
+ */
+async function removeQuietly(file) {
+  try {
+    await fs.unlink(file);
+  } catch (error) {
+    // Nothing to clean up
+  }
+}
+
+/**
+ * Replace a file's contents atomically (write a temporary file, then rename it)
+ *
+ * @param {string} file - File path
+ * @param {string} data - New contents
+ * @returns {Promise<void>}
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesrenameoldpath-newpath | Node.js: fsPromises.rename}
+ */
+export async function writeFileAtomic(file, data) {
+  const tempFile = `${file}.${process.pid}.${++tempCounter}.tmp`;
+
+  try {
+    await fs.writeFile(tempFile, data);
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    // Don't leave the temporary file behind, the original is untouched
+    await removeQuietly(tempFile);
+    throw error;
+  }
+}
+
+/**
+ * Take the lock file of a file, waiting while another process holds it
+ *
+ * @param {string} lockFile - Lock file path
+ * @param {Object} options - Lock options (see DEFAULT_LOCK_OPTIONS)
+ * @returns {Promise<void>} - Resolves once the lock file is ours
+ * @throws {Error} - If the lock is still held after options.timeoutMs
+ *
+ * @see {@link https://nodejs.org/api/fs.html#file-system-flags | Node.js: File system flags ('wx')}
+ */
+async function acquireLockFile(lockFile, { retryMs, timeoutMs, staleMs }) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    try {
+      // 'wx' fails if the file exists, so only one process can create it
+      const handle = await fs.open(lockFile, 'wx');
+      await handle.close();
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    // Break locks left behind by a process that crashed while holding them
+    let stats = null;
+    try {
+      stats = await fs.stat(lockFile);
+    } catch (error) {
+      // Released in the meantime, try again right away
+    }
+    if (stats && Date.now() - stats.mtimeMs > staleMs) {
+      await removeQuietly(lockFile);
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for the lock on ${lockFile}`);
+    }
+    await sleep(retryMs);
+  }
+}
+
+/**
+ * Run an operation while holding the lock of a file
+ * Operations on the same file run one at a time, in call order, in this process
+ * and across processes. The file's directory must already exist.
+ *
+ * @param {string} file - File being updated
+ * @param {Function} operation - Async function doing the read-modify-write
+ * @param {Object} options - Lock options (see DEFAULT_LOCK_OPTIONS)
+ * @returns {Promise<any>} - Result of the operation
+ * @throws {Error} - Errors from the operation, or if the lock cannot be taken
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/finally | MDN: Promise.finally}
+ */
+export function withFileLock(file, operation, options = {}) {
+  const lockOptions = { ...DEFAULT_LOCK_OPTIONS, ...options };
+  const lockFile = `${file}.lock`;
+
+  const run = async () => {
+    await acquireLockFile(lockFile, lockOptions);
+    try {
+      return await operation();
+    } finally {
+      await removeQuietly(lockFile);
+    }
+  };
+
+  // Chain onto the previous operation on this file, whether it failed or not
+  const previous = queues.get(file) || Promise.resolve();
+  const result = previous.then(run);
+  const tail = result.catch(() => {});
+  queues.set(file, tail);
+  tail.then(() => {
+    if (queues.get(file) === tail) {
+      queues.delete(file);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Read a file, update its JSON contents and write them back atomically, under its lock
+ *
+ * @param {string} file - JSON file path
+ * @param {Function} update - Receives the parsed contents, returns the new contents or undefined to skip the write
+ * @param {Object} options - Update options
+ * @param {any} options.fallback - Contents to use when the file does not exist
+ * @returns {Promise<any>} - New contents, or the current ones if the write was skipped
+ */
+export function updateJsonFile(file, update, { fallback } = {}) {
+  return withFileLock(file, async () => {
+    let current;
+    try {
+      current = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT' || fallback === undefined) {
+        throw error;
+      }
+      current = structuredClone(fallback);
+    }
+
+    const next = await update(current);
+    if (next === undefined) {
+      return current;
+    }
+    await writeFileAtomic(file, JSON.stringify(next, null, 2));
+    return next;
+  });
+}
+
+export default {
+  DEFAULT_LOCK_OPTIONS,
+  writeFileAtomic,
+  withFileLock,
+  updateJsonFile
+};
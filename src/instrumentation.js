@@ -0,0 +1,60 @@
+// src/instrumentation.js
+/**
+ * Instrumentation events
+ * api.js and cache.js report what each request and cache lookup did here,
+ * and listeners (like the metrics collector in metrics.js) turn them into numbers.
+ * Listeners can never break a request: their errors are ignored.
+ *
+ * @typedef {Object} RequestEvent
+ * @property {'request'} type
+ * @property {string} endpoint - Endpoint without its query string (e.g. 'search.php')
+ * @property {number} latencyMs - Time from the first attempt to the final outcome, retries included
+ * @property {number|null} status - HTTP status of the last response (null if none was received)
+ * @property {number} retries - Number of attempts after the first one
+ * @property {'success'|'error'|'cancelled'} outcome - How the request ended
+ * @property {string|null} error - Error class name when the request failed
+ * @property {number} timestamp - When the event was emitted
+ *
+ * @typedef {Object} CacheEvent
+ * @property {'cache'} type
+ * @property {string} key - Cache key
+ * @property {string} namespace - Key prefix (e.g. 'search' for 'search_cake')
+ * @property {'hit'|'miss'|'stale'|'evicted'} outcome - Fresh entry, fetched, expired entry served
+ *   (the fetch failed or a background refresh runs), or entry evicted to keep the cache within its limits
+ * @property {number} timestamp - When the event was emitted
+ */
+
+const listeners = new Set();
+
+/**
+ * Be notified of every instrumentation event
+ *
+ * @param {Function} listener - Called with a RequestEvent or CacheEvent
+ * @returns {Function} - Call to unsubscribe
+ */
+export function onInstrumentationEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Send an event to every listener
+ *
+ * @param {Object} event - Event without its timestamp
+ */
+export function emitInstrumentationEvent(event) {
+  const stamped = { ...event, timestamp: Date.now() };
+
+  listeners.forEach(listener => {
+    try {
+      listener(stamped);
+    } catch (error) {
+      // Instrumentation must not get in the way of the work it measures
+    }
+  });
+}
+
+export default {
+  onInstrumentationEvent,
+  emitInstrumentationEvent
+};
@@ -0,0 +1,255 @@
+// src/metrics.js
+/**
+ * This module aggregates instrumentation events (see instrumentation.js) into
+ * counters and latency percentiles, and keeps the totals of past sessions
+ * in data/stats.json (updated atomically under its lock, see file-store.js)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { withFileLock, writeFileAtomic } from './file-store.js';
+
+// Get the directory path using ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STATS_FILE = path.join(__dirname, '../data/stats.json');
+
+// Latency samples kept per endpoint, the oldest are dropped first
+export const MAX_LATENCY_SAMPLES = 500;
+
+/**
+ * Create empty metrics
+ *
+ * @returns {Object} - Snapshot with no events recorded
+ */
+function emptySnapshot() {
+  return {
+    since: null, // When the first event was recorded
+    requests: {}, // Per endpoint: { count, errors, cancelled, retries, latencies }
+    statuses: {}, // Responses per HTTP status
+    cache: { hit: 0, miss: 0, stale: 0, evicted: 0 } // Lookup outcomes and evictions
+  };
+}
+
+/**
+ * Get a percentile of a list of numbers (nearest-rank method)
+ *
+ * @param {Array<number>} values - Values in any order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} - Percentile value or null for an empty list
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Percentile#The_nearest-rank_method | Wikipedia: Nearest-rank method}
+ */
+export function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[rank - 1];
+}
+
+/**
+ * Summarize latency samples
+ *
+ * @param {Array<number>} latencies - Latencies in milliseconds
+ * @returns {Object} - { p50, p90, p99, max } (null values without samples)
+ */
+function describeLatency(latencies) {
+  return {
+    p50: percentile(latencies, 50),
+    p90: percentile(latencies, 90),
+    p99: percentile(latencies, 99),
+    max: latencies.length > 0 ? Math.max(...latencies) : null
+  };
+}
+
+/**
+ * Combine two snapshots, e.g. past sessions and the current one
+ *
+ * @param {Object} older - Earlier snapshot
+ * @param {Object} newer - Later snapshot
+ * @returns {Object} - New snapshot with the counters of both
+ */
+export function mergeSnapshots(older, newer) {
+  const merged = emptySnapshot();
+  const sinces = [older.since, newer.since].filter(since => since !== null);
+  merged.since = sinces.length > 0 ? Math.min(...sinces) : null;
+
+  for (const snapshot of [older, newer]) {
+    for (const [endpoint, stats] of Object.entries(snapshot.requests)) {
+      const target = merged.requests[endpoint] || { count: 0, errors: 0, cancelled: 0, retries: 0, latencies: [] };
+      target.count += stats.count;
+      target.errors += stats.errors;
+      target.cancelled += stats.cancelled;
+      target.retries += stats.retries;
+      target.latencies = [...target.latencies, ...stats.latencies].slice(-MAX_LATENCY_SAMPLES);
+      merged.requests[endpoint] = target;
+    }
+    for (const [status, count] of Object.entries(snapshot.statuses)) {
+      merged.statuses[status] = (merged.statuses[status] || 0) + count;
+    }
+    for (const outcome of Object.keys(merged.cache)) {
+      merged.cache[outcome] += snapshot.cache[outcome] || 0;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Turn a snapshot into totals and percentiles for display
+ *
+ * @param {Object} snapshot - Metrics snapshot
+ * @returns {Object} - { since, requests, endpoints, statuses, cache } where requests and
+ *   each endpoint have count, errors, cancelled, retries and latency ({ p50, p90, p99, max })
+ */
+export function summarizeMetrics(snapshot) {
+  const endpoints = Object.entries(snapshot.requests)
+    .map(([endpoint, stats]) => ({
+      endpoint,
+      count: stats.count,
+      errors: stats.errors,
+      cancelled: stats.cancelled,
+      retries: stats.retries,
+      latency: describeLatency(stats.latencies)
+    }))
+    .sort((a, b) => b.count - a.count || a.endpoint.localeCompare(b.endpoint));
+
+  const all = Object.values(snapshot.requests);
+  const total = key => all.reduce((sum, stats) => sum + stats[key], 0);
+  const lookups = snapshot.cache.hit + snapshot.cache.miss + snapshot.cache.stale;
+
+  return {
+    since: snapshot.since,
+    requests: {
+      count: total('count'),
+      errors: total('errors'),
+      cancelled: total('cancelled'),
+      retries: total('retries'),
+      latency: describeLatency(all.flatMap(stats => stats.latencies))
+    },
+    endpoints,
+    statuses: { ...snapshot.statuses },
+    cache: {
+      ...snapshot.cache,
+      lookups,
+      hitRate: lookups > 0 ? snapshot.cache.hit / lookups : null
+    }
+  };
+}
+
+/**
+ * Create a metrics collector
+ * Pass `record` to onInstrumentationEvent to feed it.
+ *
+ * @param {Object} initial - Snapshot to start from (empty by default)
+ * @returns {Object} - Collector with record, getSnapshot, getSummary and reset functions
+ */
+export function createMetricsCollector(initial = emptySnapshot()) {
+  let snapshot = mergeSnapshots(emptySnapshot(), initial);
+
+  /**
+   * Add an event to the metrics
+   *
+   * @param {Object} event - RequestEvent or CacheEvent (see instrumentation.js)
+   */
+  function record(event) {
+    if (snapshot.since === null) {
+      snapshot.since = event.timestamp ?? Date.now();
+    }
+
+    if (event.type === 'request') {
+      const stats = snapshot.requests[event.endpoint] ||
+        (snapshot.requests[event.endpoint] = { count: 0, errors: 0, cancelled: 0, retries: 0, latencies: [] });
+      stats.count++;
+      stats.retries += event.retries;
+      if (event.outcome === 'error') stats.errors++;
+      if (event.outcome === 'cancelled') stats.cancelled++;
+      // Cancelled requests say more about the user than about the server
+      if (event.outcome !== 'cancelled') {
+        stats.latencies.push(Math.round(event.latencyMs));
+        if (stats.latencies.length > MAX_LATENCY_SAMPLES) {
+          stats.latencies.shift();
+        }
+      }
+      if (event.status !== null) {
+        snapshot.statuses[event.status] = (snapshot.statuses[event.status] || 0) + 1;
+      }
+    } else if (event.type === 'cache' && event.outcome in snapshot.cache) {
+      snapshot.cache[event.outcome]++;
+    }
+  }
+
+  /**
+   * Get a copy of the raw metrics (suitable for saving)
+   *
+   * @returns {Object} - Snapshot
+   */
+  function getSnapshot() {
+    return mergeSnapshots(emptySnapshot(), snapshot);
+  }
+
+  /**
+   * Get totals and percentiles
+   *
+   * @returns {Object} - Summary (see summarizeMetrics)
+   */
+  function getSummary() {
+    return summarizeMetrics(snapshot);
+  }
+
+  /**
+   * Forget everything recorded so far
+   */
+  function reset() {
+    snapshot = emptySnapshot();
+  }
+
+  return { record, getSnapshot, getSummary, reset };
+}
+
+/**
+ * Read the metrics saved by previous sessions
+ *
+ * @returns {Promise<Object>} - Snapshot (empty if nothing was saved or the file cannot be read)
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse | MDN: JSON.parse}
+ */
+export async function loadStats() {
+  try {
+    const data = await fs.readFile(STATS_FILE, 'utf-8');
+    return mergeSnapshots(emptySnapshot(), { ...emptySnapshot(), ...JSON.parse(data) });
+  } catch (error) {
+    return emptySnapshot();
+  }
+}
+
+/**
+ * Add a session's metrics to the saved totals
+ * The totals are read, merged and written back under the file's lock, so
+ * sessions exiting at the same time all count
+ *
+ * @param {Object} snapshot - Metrics of the session
+ * @returns {Promise<Object>} - Totals of every session, including this one
+ */
+export async function saveSessionStats(snapshot) {
+  await fs.mkdir(path.dirname(STATS_FILE), { recursive: true });
+  return withFileLock(STATS_FILE, async () => {
+    const totals = mergeSnapshots(await loadStats(), snapshot);
+    await writeFileAtomic(STATS_FILE, JSON.stringify(totals, null, 2));
+    return totals;
+  });
+}
+
+export default {
+  MAX_LATENCY_SAMPLES,
+  percentile,
+  mergeSnapshots,
+  summarizeMetrics,
+  createMetricsCollector,
+  loadStats,
+  saveSessionStats
+};
@@ -0,0 +1,383 @@
+// src/mirror.js
+/**
+ * This module keeps an offline mirror of the whole TheMealDB catalog
+ * syncMirror crawls the catalog letter by letter with searchMealsByFirstLetter
+ * and saves progress after every letter, so an interrupted sync resumes where it stopped.
+ * The query functions answer the same questions as api.js (with the same names)
+ * from the mirror, without touching the network
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as api from './api.js';
+import { NotFoundError, throwIfCancelled } from './errors.js';
+import { writeFileAtomic } from './file-store.js';
+import { rankBySimilarity } from './recipe.js';
+
+// Get the directory path using ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIRROR_FILE = path.join(__dirname, '../data/mirror.json');
+
+export const MIRROR_LETTERS = 'abcdefghijklmnopqrstuvwxyz'.split('');
+
+/**
+ * Create an empty mirror
+ *
+ * @returns {Object} - Mirror with no recipes
+ */
+function emptyMirror() {
+  return {
+    lastSynced: null, // When the last complete sync finished
+    completedLetters: [], // Letters done in the current (or last) sync
+    recipes: {} // Recipes by ID
+  };
+}
+
+/**
+ * Read the mirror file
+ *
+ * @returns {Promise<Object>} - Mirror (empty if it was never synced or cannot be read)
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse | MDN: JSON.parse}
+ */
+export async function loadMirror() {
+  try {
+    const data = await fs.readFile(MIRROR_FILE, 'utf-8');
+    return { ...emptyMirror(), ...JSON.parse(data) };
+  } catch (error) {
+    return emptyMirror();
+  }
+}
+
+/**
+ * Write the mirror file atomically, so a crash never leaves half a mirror (see file-store.js)
+ *
+ * @param {Object} mirror - Mirror to save
+ * @returns {Promise<void>}
+ */
+async function saveMirror(mirror) {
+  await fs.mkdir(path.dirname(MIRROR_FILE), { recursive: true });
+  await writeFileAtomic(MIRROR_FILE, JSON.stringify(mirror, null, 2));
+}
+
+/**
+ * Summarize a mirror
+ *
+ * @param {Object} mirror - Mirror to describe
+ * @returns {Object} - Status with recipeCount, lastSynced, completedLetters, totalLetters and complete
+ */
+function describeMirror(mirror) {
+  return {
+    recipeCount: Object.keys(mirror.recipes).length,
+    lastSynced: mirror.lastSynced,
+    completedLetters: mirror.completedLetters.length,
+    totalLetters: MIRROR_LETTERS.length,
+    complete: mirror.completedLetters.length === MIRROR_LETTERS.length
+  };
+}
+
+/**
+ * Get the state of the offline mirror
+ *
+ * @returns {Promise<Object>} - Status with recipeCount, lastSynced, completedLetters, totalLetters and complete
+ */
+export async function getMirrorStatus() {
+  return describeMirror(await loadMirror());
+}
+
+/**
+ * Check whether the mirror has any recipes to answer queries with
+ *
+ * @returns {Promise<boolean>} - True if the mirror is not empty
+ */
+export async function hasMirror() {
+  return (await getMirrorStatus()).recipeCount > 0;
+}
+
+/**
+ * Check whether the mirror holds the whole catalog and can answer in place of
+ * TheMealDB: a partly synced mirror is missing the recipes of the letters not
+ * synced yet. Once a sync has finished, syncing again keeps every recipe until
+ * its letter is replaced, so the mirror stays whole.
+ *
+ * @returns {Promise<boolean>} - True once a sync has finished
+ */
+export async function hasCompleteMirror() {
+  return (await getMirrorStatus()).lastSynced !== null;
+}
+
+/**
+ * Download the catalog into the mirror, one letter at a time
+ * Requests go through the API module's rate limiter. Progress is saved after
+ * each letter: an interrupted sync resumes with the remaining letters, a
+ * finished one starts over. Recipes of a letter are replaced as a whole, so
+ * meals removed from TheMealDB disappear from the mirror too.
+ *
+ * @param {Object} options - Sync options
+ * @param {AbortSignal} options.signal - Stops the sync (progress so far is kept)
+ * @param {Function} options.onProgress - Called with { letter, completedLetters, totalLetters, recipeCount } after each letter
+ * @param {boolean} options.restart - Start over even if a previous sync was interrupted
+ * @returns {Promise<Object>} - Mirror status after the sync (see getMirrorStatus)
+ * @throws {CancelledError} - If the signal is aborted
+ * @throws {ApiError} - If a letter cannot be downloaded
+ */
+export async function syncMirror({ signal, onProgress = () => {}, restart = false } = {}) {
+  const mirror = await loadMirror();
+
+  if (restart || mirror.completedLetters.length === MIRROR_LETTERS.length) {
+    mirror.completedLetters = [];
+  }
+
+  const pending = MIRROR_LETTERS.filter(letter => !mirror.completedLetters.includes(letter));
+
+  for (const letter of pending) {
+    throwIfCancelled(signal);
+    const recipes = await api.searchMealsByFirstLetter([letter], { signal });
+
+    for (const [id, recipe] of Object.entries(mirror.recipes)) {
+      if (recipe.name.charAt(0).toLowerCase() === letter) {
+        delete mirror.recipes[id];
+      }
+    }
+    recipes.forEach(recipe => {
+      mirror.recipes[recipe.id] = recipe;
+    });
+
+    mirror.completedLetters.push(letter);
+    if (mirror.completedLetters.length === MIRROR_LETTERS.length) {
+      mirror.lastSynced = Date.now();
+    }
+    await saveMirror(mirror);
+
+    const status = describeMirror(mirror);
+    onProgress({
+      letter,
+      completedLetters: status.completedLetters,
+      totalLetters: status.totalLetters,
+      recipeCount: status.recipeCount
+    });
+  }
+
+  return describeMirror(mirror);
+}
+
+/**
+ * Get every recipe in the mirror, sorted by name
+ *
+ * @returns {Promise<Array<Recipe>>} - Recipes
+ */
+async function allRecipes() {
+  const mirror = await loadMirror();
+  return Object.values(mirror.recipes).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the lowercase ingredient names of a recipe
+ *
+ * @param {Recipe} recipe - Recipe
+ * @returns {Array<string>} - Ingredient names
+ */
+function ingredientNames(recipe) {
+  return recipe.ingredients.map(ingredient => ingredient.name.toLowerCase());
+}
+
+/**
+ * Get the unique, sorted values of a recipe field
+ *
+ * @param {Array<string|null>} values - Values (blanks are dropped)
+ * @returns {Array<string>} - Unique values
+ */
+function uniqueSorted(values) {
+  return Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Search the mirror for recipes by name
+ *
+ * @param {string} query - Search term
+ * @returns {Promise<Array<Recipe>>} - Recipes whose name contains the term
+ */
+export async function searchMealsByName(query) {
+  const term = query.trim().toLowerCase();
+  return (await allRecipes()).filter(recipe => recipe.name.toLowerCase().includes(term));
+}
+
+/**
+ * Look a recipe up in the mirror
+ *
+ * @param {string} id - Recipe ID
+ * @returns {Promise<Recipe>} - Recipe
+ * @throws {NotFoundError} - If the mirror has no recipe with this ID
+ */
+export async function getMealById(id) {
+  const mirror = await loadMirror();
+  const recipe = mirror.recipes[String(id).trim()];
+
+  if (!recipe) {
+    throw new NotFoundError(`Recipe ${id} not found`);
+  }
+  return recipe;
+}
+
+/**
+ * Get mirror recipes starting with any of the letters
+ *
+ * @param {Array<string>} letters - Letters to search by
+ * @returns {Promise<Array<Recipe>>} - Matching recipes
+ */
+export async function searchMealsByFirstLetter(letters) {
+  const wanted = new Set(letters.map(letter => letter.toLowerCase()));
+  return (await allRecipes()).filter(recipe => wanted.has(recipe.name.charAt(0).toLowerCase()));
+}
+
+/**
+ * Get mirror recipes using an ingredient (exact name, like TheMealDB's filter)
+ *
+ * @param {string} ingredient - Ingredient name
+ * @returns {Promise<Array<Recipe>>} - Matching recipes
+ */
+export async function getMealsByIngredient(ingredient) {
+  const name = ingredient.trim().toLowerCase();
+  return (await allRecipes()).filter(recipe => ingredientNames(recipe).includes(name));
+}
+
+/**
+ * Search the mirror by several ingredients (see api.searchMealsByIngredients)
+ * The mirror has every recipe's full ingredient list, so verifyExclusions
+ * costs nothing extra here
+ *
+ * @param {Object} criteria - Ingredient criteria with all, any and none lists
+ * @param {Object} options - Search options
+ * @param {boolean} options.verifyExclusions - Also exclude partial matches (e.g. "cream" excludes "double cream")
+ * @returns {Promise<Array<Recipe>>} - Matching recipes
+ * @throws {Error} - If neither `all` nor `any` contains an ingredient
+ */
+export async function searchMealsByIngredients({ all = [], any = [], none = [] } = {}, { verifyExclusions = false } = {}) {
+  const clean = list => list.map(name => name.trim().toLowerCase()).filter(Boolean);
+  const required = clean(all);
+  const optional = clean(any);
+  const excluded = clean(none);
+
+  if (required.length === 0 && optional.length === 0) {
+    throw new Error('At least one ingredient to include is required');
+  }
+
+  return (await allRecipes()).filter(recipe => {
+    const names = ingredientNames(recipe);
+    const isExcluded = term => (verifyExclusions ? names.some(name => name.includes(term)) : names.includes(term));
+
+    return required.every(name => names.includes(name)) &&
+      (optional.length === 0 || optional.some(name => names.includes(name))) &&
+      !excluded.some(isExcluded);
+  });
+}
+
+/**
+ * Get mirror recipes related to a recipe, ranked by ingredient similarity
+ * Every recipe in the mirror is a candidate, whatever its category or area
+ *
+ * @param {Recipe} recipe - Full recipe
+ * @param {number} limit - Maximum number of related recipes to return
+ * @returns {Promise<Array<Object>>} - { recipe, score, sharedIngredients } entries, most similar first
+ */
+export async function getRelatedRecipes(recipe, limit = 3) {
+  if (!recipe) return [];
+
+  return rankBySimilarity(recipe, await allRecipes(), limit);
+}
+
+/**
+ * Pick different random recipes from the mirror
+ *
+ * @param {number} count - Number of recipes wanted
+ * @param {Object} options - Discovery options
+ * @param {Array<string>} options.excludeIds - IDs of recipes to skip
+ * @returns {Promise<Array<Recipe>>} - Up to `count` unique recipes
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Math/random | MDN: Math.random}
+ */
+export async function getRandomMeals(count, { excludeIds = [] } = {}) {
+  const excluded = new Set(excludeIds.map(String));
+  const pool = (await allRecipes()).filter(recipe => !excluded.has(recipe.id));
+
+  // Partial Fisher-Yates shuffle, only the first `count` places are needed
+  const picks = Math.min(count, pool.length);
+  for (let i = 0; i < picks; i++) {
+    const j = i + Math.floor(Math.random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, picks);
+}
+
+/**
+ * Get mirror recipes in a category
+ *
+ * @param {string} category - Category name
+ * @returns {Promise<Array<Recipe>>} - Matching recipes
+ */
+export async function getMealsByCategory(category) {
+  const name = category.trim().toLowerCase();
+  return (await allRecipes()).filter(recipe => (recipe.category || '').toLowerCase() === name);
+}
+
+/**
+ * Get mirror recipes from an area (cuisine)
+ *
+ * @param {string} area - Area name
+ * @returns {Promise<Array<Recipe>>} - Matching recipes
+ */
+export async function getMealsByArea(area) {
+  const name = area.trim().toLowerCase();
+  return (await allRecipes()).filter(recipe => (recipe.area || '').toLowerCase() === name);
+}
+
+/**
+ * Get the categories used by mirror recipes
+ *
+ * @returns {Promise<Array<string>>} - Category names
+ */
+export async function listCategories() {
+  return uniqueSorted((await allRecipes()).map(recipe => recipe.category));
+}
+
+/**
+ * Get the areas used by mirror recipes
+ *
+ * @returns {Promise<Array<string>>} - Area names
+ */
+export async function listAreas() {
+  return uniqueSorted((await allRecipes()).map(recipe => recipe.area));
+}
+
+/**
+ * Get the ingredients used by mirror recipes
+ *
+ * @returns {Promise<Array<string>>} - Ingredient names
+ */
+export async function listIngredients() {
+  return uniqueSorted((await allRecipes()).flatMap(recipe => recipe.ingredients.map(ingredient => ingredient.name)));
+}
+
+export default {
+  MIRROR_LETTERS,
+  loadMirror,
+  getMirrorStatus,
+  hasMirror,
+  hasCompleteMirror,
+  syncMirror,
+  searchMealsByName,
+  getMealById,
+  searchMealsByFirstLetter,
+  getMealsByIngredient,
+  searchMealsByIngredients,
+  getRelatedRecipes,
+  getRandomMeals,
+  getMealsByCategory,
+  getMealsByArea,
+  listCategories,
+  listAreas,
+  listIngredients
+};
@@ -0,0 +1,118 @@
+// src/prompt.js
+/**
+ * Prompts for the command-line interface
+ * One readline interface reads the terminal for the whole session, so waiting
+ * for an answer never blocks the event loop (background work like prefetching
+ * search results keeps running) and lines typed before a question shows are
+ * kept for it instead of being lost.
+ * In a terminal, readline reads keys in raw mode, so Ctrl+C does not reach the
+ * process as a signal. It is raised again as SIGINT, so it still cancels a
+ * running request (see runCancellable in app.js) or quits at a prompt.
+ */
+
+import readline from 'readline/promises';
+
+// Streams for the next interface (the terminal unless set with usePromptStreams)
+let streams = {};
+
+// The open interface and the queue of lines it has read, created on first use
+let session = null;
+
+/**
+ * Get the prompt's readline interface, opening it on first use
+ *
+ * @returns {Object} - { rl, lines, closed } where lines iterates the lines read and closed
+ *   tells whether the input has ended
+ *
+ * @see {@link https://nodejs.org/api/readline.html#rlsymbolasynciterator | Node.js: rl[Symbol.asyncIterator]}
+ */
+function getSession() {
+  if (!session) {
+    const { input = process.stdin, output = process.stdout } = streams;
+    const rl = readline.createInterface({ input, output });
+    const current = { rl, lines: rl[Symbol.asyncIterator](), closed: false };
+
+    rl.on('SIGINT', () => process.kill(process.pid, 'SIGINT'));
+    rl.on('close', () => {
+      current.closed = true;
+    });
+    session = current;
+  }
+  return session;
+}
+
+/**
+ * Ask the user a question
+ *
+ * @param {string} text - Prompt text
+ * @returns {Promise<string|null>} - Answer, or null once the input has ended (e.g. Ctrl+D)
+ *
+ * @see {@link https://nodejs.org/api/readline.html#rlprompt-preservecursor | Node.js: rl.prompt}
+ */
+export async function question(text) {
+  const { rl, lines, closed } = getSession();
+  if (closed) {
+    return null;
+  }
+
+  rl.setPrompt(text);
+  rl.prompt();
+  const { value, done } = await lines.next();
+  return done ? null : value;
+}
+
+/**
+ * Ask the user a yes or no question
+ *
+ * @param {string} text - Question (' [y/n]: ' is appended)
+ * @param {Object} options - Question options
+ * @param {boolean} options.strict - Ask again until the answer is yes or no (otherwise anything but yes is no)
+ * @returns {Promise<boolean|null>} - True for yes, false for no, or null once the input has ended
+ */
+export async function askYesNo(text, { strict = false } = {}) {
+  while (true) {
+    const answer = await question(`${text} [y/n]: `);
+    if (answer === null) {
+      return null;
+    }
+
+    const reply = answer.trim().toLowerCase();
+    if (reply === 'y' || reply === 'yes') {
+      return true;
+    }
+    if (!strict || reply === 'n' || reply === 'no') {
+      return false;
+    }
+  }
+}
+
+/**
+ * Close the prompt's interface, handing the terminal back
+ * The next question opens a new one.
+ */
+export function closePrompt() {
+  if (session) {
+    session.rl.close();
+    session = null;
+  }
+}
+
+/**
+ * Read answers from other streams than the terminal (useful for tests)
+ * Closes the current interface; pass no streams to go back to the terminal.
+ *
+ * @param {Object} options - Streams to use
+ * @param {stream.Readable} options.input - Where answers are read from
+ * @param {stream.Writable} options.output - Where prompts are written
+ */
+export function usePromptStreams({ input, output } = {}) {
+  closePrompt();
+  streams = { input, output };
+}
+
+export default {
+  question,
+  askYesNo,
+  closePrompt,
+  usePromptStreams
+};
@@ -0,0 +1,141 @@
+// src/rate-limiter.js
+/**
+ * Token bucket rate limiter for outbound requests
+ * The bucket holds up to `burst` tokens and refills at `requestsPerSecond`.
+ * Each request takes one token; when the bucket is empty, requests wait in a
+ * FIFO queue instead of being dropped.
+ */
+
+import { CancelledError } from './errors.js';
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} options - Limiter options
+ * @param {number} options.requestsPerSecond - Refill rate (0 or Infinity disables limiting)
+ * @param {number} options.burst - Bucket size, the number of requests allowed back to back
+ * @param {Function} options.onQueueChange - Called with the queue depth whenever it changes
+ * @param {Function} options.now - Clock returning milliseconds (for testing)
+ * @returns {Object} - Limiter with acquire, schedule and getQueueDepth functions
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/setTimeout | MDN: setTimeout}
+ */
+export function createRateLimiter({
+  requestsPerSecond = 5,
+  burst = requestsPerSecond,
+  onQueueChange = () => {},
+  now = () => Date.now()
+} = {}) {
+  const unlimited = !(requestsPerSecond > 0) || !Number.isFinite(requestsPerSecond);
+  const capacity = Math.max(1, burst);
+  const queue = [];
+  let tokens = capacity;
+  let lastRefill = now();
+  let timer = null;
+
+  // Add the tokens earned since the last refill
+  function refill() {
+    const current = now();
+    tokens = Math.min(capacity, tokens + ((current - lastRefill) / 1000) * requestsPerSecond);
+    lastRefill = current;
+  }
+
+  // Hand out tokens to waiting requests and schedule the next wake-up if needed
+  function drain() {
+    refill();
+
+    let released = false;
+    while (queue.length > 0 && tokens >= 1) {
+      tokens -= 1;
+      queue.shift().release();
+      released = true;
+    }
+    if (released) {
+      onQueueChange(queue.length);
+    }
+
+    if (queue.length > 0 && !timer) {
+      const waitMs = Math.ceil(((1 - tokens) / requestsPerSecond) * 1000);
+      timer = setTimeout(() => {
+        timer = null;
+        drain();
+      }, waitMs);
+    }
+  }
+
+  /**
+   * Wait for a token
+   *
+   * @param {AbortSignal} signal - Leaves the queue when aborted
+   * @returns {Promise<void>} - Resolves when the caller may send its request
+   * @throws {CancelledError} - If the signal is aborted before a token is available
+   */
+  function acquire(signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(new CancelledError());
+    }
+    if (unlimited) {
+      return Promise.resolve();
+    }
+
+    // Skip the queue when nobody is waiting and a token is available
+    refill();
+    if (queue.length === 0 && tokens >= 1) {
+      tokens -= 1;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const index = queue.indexOf(entry);
+        if (index !== -1) {
+          queue.splice(index, 1);
+          onQueueChange(queue.length);
+        }
+        reject(new CancelledError());
+      };
+      const entry = {
+        release: () => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          resolve();
+        }
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      queue.push(entry);
+      onQueueChange(queue.length);
+      drain();
+    });
+  }
+
+  /**
+   * Run a function once a token is available
+   *
+   * @param {Function} fn - Function returning a promise
+   * @param {AbortSignal} signal - Leaves the queue when aborted
+   * @returns {Promise<any>} - Result of fn
+   */
+  async function schedule(fn, signal) {
+    await acquire(signal);
+    return fn();
+  }
+
+  /**
+   * Get the number of requests waiting for a token
+   *
+   * @returns {number} - Queue depth
+   */
+  function getQueueDepth() {
+    return queue.length;
+  }
+
+  return { acquire, schedule, getQueueDepth };
+}
+
+export default {
+  createRateLimiter
+};
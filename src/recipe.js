@@ -0,0 +1,201 @@
+// src/recipe.js
+/**
+ * This module defines the Recipe model used throughout the application
+ * TheMealDB returns flat meal objects (strMeal, strIngredient1..20, strMeasure1..20...);
+ * toRecipe turns them into clean Recipe objects and toMeal turns them back,
+ * which keeps favorites.json readable by older versions of the app
+ *
+ * @typedef {Object} Ingredient
+ * @property {string} name - Ingredient name (e.g. 'Chicken')
+ * @property {string} measure - Amount as written by TheMealDB (e.g. '1 lb'), may be empty
+ *
+ * @typedef {Object} Recipe
+ * @property {string} id - Meal ID
+ * @property {string} name - Meal name
+ * @property {string|null} category - Category (e.g. 'Seafood')
+ * @property {string|null} area - Area / cuisine (e.g. 'Italian')
+ * @property {Array<string>} tags - Tags (e.g. ['Pasta', 'Curry'])
+ * @property {Array<Ingredient>} ingredients - Ingredients in recipe order
+ * @property {Array<string>} steps - Instruction steps
+ * @property {string|null} youtube - Video URL
+ * @property {string|null} source - Original recipe URL
+ * @property {string|null} thumbnail - Image URL
+ */
+
+export const MAX_INGREDIENTS = 20;
+
+/**
+ * Trim a text field, turning blank values into null
+ *
+ * @param {string|null|undefined} value - Raw value
+ * @returns {string|null} - Trimmed value or null
+ */
+function cleanText(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const text = value.trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Split instructions into steps
+ * Blank lines and "STEP 1" style headings are dropped
+ *
+ * @param {string|null} instructions - Instructions text
+ * @returns {Array<string>} - Steps
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/split | MDN: String.split}
+ */
+export function parseSteps(instructions) {
+  if (!instructions) {
+    return [];
+  }
+  return instructions
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line !== '' && !/^step\s*\d+\.?$/i.test(line));
+}
+
+/**
+ * Convert a raw TheMealDB meal into a Recipe
+ * Works for full meals and for the summaries returned by filter.php
+ * (which only have an ID, name and thumbnail)
+ *
+ * @param {Object} meal - Raw meal object
+ * @returns {Recipe} - Normalized recipe
+ */
+export function toRecipe(meal) {
+  const ingredients = [];
+  for (let i = 1; i <= MAX_INGREDIENTS; i++) {
+    const name = cleanText(meal[`strIngredient${i}`]);
+    if (name) {
+      ingredients.push({ name, measure: cleanText(meal[`strMeasure${i}`]) || '' });
+    }
+  }
+
+  return {
+    id: String(meal.idMeal),
+    name: cleanText(meal.strMeal) || '',
+    category: cleanText(meal.strCategory),
+    area: cleanText(meal.strArea),
+    tags: (meal.strTags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+    ingredients,
+    steps: parseSteps(meal.strInstructions),
+    youtube: cleanText(meal.strYoutube),
+    source: cleanText(meal.strSource),
+    thumbnail: cleanText(meal.strMealThumb)
+  };
+}
+
+/**
+ * Convert a Recipe back into TheMealDB's meal format
+ *
+ * @param {Recipe} recipe - Recipe to convert
+ * @returns {Object} - Raw meal object
+ */
+export function toMeal(recipe) {
+  const meal = {
+    idMeal: recipe.id,
+    strMeal: recipe.name,
+    strCategory: recipe.category,
+    strArea: recipe.area,
+    strInstructions: recipe.steps.length > 0 ? recipe.steps.join('\r\n') : null,
+    strMealThumb: recipe.thumbnail || null,
+    strTags: recipe.tags.length > 0 ? recipe.tags.join(',') : null,
+    strYoutube: recipe.youtube,
+    strSource: recipe.source
+  };
+
+  recipe.ingredients.slice(0, MAX_INGREDIENTS).forEach((ingredient, index) => {
+    meal[`strIngredient${index + 1}`] = ingredient.name;
+    meal[`strMeasure${index + 1}`] = ingredient.measure;
+  });
+
+  return meal;
+}
+
+/**
+ * Measure how similar two recipes are by their ingredients
+ * The score is the Jaccard index of the two ingredient sets: shared ingredients
+ * divided by all distinct ingredients, from 0 (nothing in common) to 1 (same list)
+ *
+ * @param {Recipe} recipe - Recipe to compare from
+ * @param {Recipe} other - Recipe to compare with
+ * @returns {Object} - { score, sharedIngredients } with the shared names as written in `recipe`
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Jaccard_index | Wikipedia: Jaccard index}
+ */
+export function ingredientSimilarity(recipe, other) {
+  const names = new Set(recipe.ingredients.map(ingredient => ingredient.name.toLowerCase()));
+  const otherNames = new Set(other.ingredients.map(ingredient => ingredient.name.toLowerCase()));
+
+  const sharedIngredients = [];
+  const seen = new Set();
+  for (const ingredient of recipe.ingredients) {
+    const name = ingredient.name.toLowerCase();
+    if (otherNames.has(name) && !seen.has(name)) {
+      seen.add(name);
+      sharedIngredients.push(ingredient.name);
+    }
+  }
+
+  const unionSize = new Set([...names, ...otherNames]).size;
+  return {
+    score: unionSize === 0 ? 0 : sharedIngredients.length / unionSize,
+    sharedIngredients
+  };
+}
+
+/**
+ * Rank recipes by how similar their ingredients are to a recipe
+ * Candidates sharing no ingredient with the recipe are left out
+ *
+ * @param {Recipe} recipe - Recipe to compare from
+ * @param {Array<Recipe>} candidates - Full recipes to rank (the recipe itself is skipped)
+ * @param {number} limit - Maximum number of results
+ * @returns {Array<Object>} - { recipe, score, sharedIngredients } entries, most similar first
+ */
+export function rankBySimilarity(recipe, candidates, limit = Infinity) {
+  return candidates
+    .filter(candidate => candidate.id !== recipe.id)
+    .map(candidate => ({ recipe: candidate, ...ingredientSimilarity(recipe, candidate) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.recipe.name.localeCompare(b.recipe.name))
+    .slice(0, limit);
+}
+
+/**
+ * Check whether a value is a raw TheMealDB meal rather than a Recipe
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} - True for raw meal objects
+ */
+export function isRawMeal(value) {
+  return Boolean(value) && typeof value === 'object' && 'idMeal' in value;
+}
+
+/**
+ * Upgrade data stored before the Recipe model existed
+ * Raw meals (alone or in an array) become Recipes, anything else is returned unchanged
+ *
+ * @param {any} value - Stored value
+ * @returns {any} - Value with raw meals converted
+ */
+export function upgradeStoredRecipes(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => (isRawMeal(item) ? toRecipe(item) : item));
+  }
+  return isRawMeal(value) ? toRecipe(value) : value;
+}
+
+export default {
+  MAX_INGREDIENTS,
+  parseSteps,
+  toRecipe,
+  toMeal,
+  ingredientSimilarity,
+  rankBySimilarity,
+  isRawMeal,
+  upgradeStoredRecipes
+};
@@ -0,0 +1,179 @@
+// src/retry.js
+/**
+ * Retry policy shared by every API call
+ * Failed requests are retried with exponential backoff and jitter, and the
+ * server's Retry-After header is honored when it sends one (waiting at most
+ * maxDelayMs before the next attempt)
+ */
+
+import { getConfig } from './config.js';
+import { NetworkError, HttpError, TimeoutError, CancelledError, throwIfCancelled } from './errors.js';
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3, // Total attempts including the first one
+  baseDelayMs: 500, // Delay before the first retry (before jitter)
+  maxDelayMs: 10000, // Upper bound for a single delay
+  factor: 2, // Multiplier applied to the delay after each attempt
+  jitter: true, // Randomize delays ("full jitter") so clients don't retry in lockstep
+  retryableStatuses: [408, 425, 429, 500, 502, 503, 504]
+};
+
+/**
+ * Build the effective retry policy for a call
+ * Per-call overrides win over the configuration, which wins over the defaults
+ *
+ * @param {Object} overrides - Per-call policy values
+ * @returns {Object} - Complete retry policy
+ */
+export function resolveRetryPolicy(overrides = {}) {
+  return { ...DEFAULT_RETRY_POLICY, ...getConfig().retry, ...overrides };
+}
+
+/**
+ * Parse a Retry-After header value
+ *
+ * @param {string|null} value - Header value, either seconds or an HTTP date
+ * @param {number} now - Current time in milliseconds (for testing)
+ * @returns {number|null} - Delay in milliseconds or null if missing or invalid
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Retry-After | MDN: Retry-After}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000;
+  }
+
+  const date = Date.parse(text);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - now);
+}
+
+/**
+ * Compute the delay before the next attempt
+ *
+ * @param {number} attempt - Attempt that just failed (1 for the first attempt)
+ * @param {Object} policy - Retry policy
+ * @param {Function} random - Random number source returning [0, 1) (for testing)
+ * @returns {number} - Delay in milliseconds
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Math/random | MDN: Math.random}
+ */
+export function computeBackoff(attempt, policy, random = Math.random) {
+  const exponential = policy.baseDelayMs * Math.pow(policy.factor, attempt - 1);
+  const capped = Math.min(policy.maxDelayMs, exponential);
+  return policy.jitter ? Math.floor(random() * capped) : capped;
+}
+
+/**
+ * Check whether an error is worth retrying
+ * Network errors, timeouts and the policy's HTTP statuses are retryable,
+ * anything else (not found, malformed response, bugs) is not
+ *
+ * @param {Error} error - Error thrown by the attempt
+ * @param {Object} policy - Retry policy
+ * @returns {boolean} - True if the request should be retried
+ */
+export function isRetryable(error, policy) {
+  if (error instanceof NetworkError || error instanceof TimeoutError) {
+    return true;
+  }
+  if (error instanceof HttpError) {
+    return policy.retryableStatuses.includes(error.status);
+  }
+  return false;
+}
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Stops the wait early when aborted
+ * @returns {Promise<void>} - Resolves after the delay
+ * @throws {CancelledError} - If the signal is aborted while waiting
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/setTimeout | MDN: setTimeout}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Run an operation, retrying it according to a retry policy
+ * The error that is finally thrown gets an `attempts` property with the number of attempts made
+ *
+ * @param {Function} operation - Function receiving the attempt number and returning a promise
+ * @param {Object} overrides - Per-call retry policy values (see DEFAULT_RETRY_POLICY)
+ * @param {Object} hooks - Optional callbacks
+ * @param {Function} hooks.onRetry - Called with { attempt, delayMs, error } before each wait
+ * @param {AbortSignal} hooks.signal - Stops retrying when aborted
+ * @returns {Promise<any>} - Result of the first successful attempt
+ * @throws {CancelledError} - If the signal is aborted
+ * @throws {Error} - The last error if no attempt succeeded
+ */
+export async function withRetry(operation, overrides = {}, { onRetry, signal } = {}) {
+  const policy = resolveRetryPolicy(overrides);
+
+  for (let attempt = 1; ; attempt++) {
+    throwIfCancelled(signal);
+
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (error && typeof error === 'object') {
+        error.attempts = attempt;
+      }
+
+      if (attempt >= policy.maxAttempts || !isRetryable(error, policy)) {
+        throw error;
+      }
+
+      // Honor Retry-After, but never wait longer than the policy allows for one delay
+      let delayMs = computeBackoff(attempt, policy);
+      if (typeof error.retryAfterMs === 'number') {
+        delayMs = Math.min(error.retryAfterMs, policy.maxDelayMs);
+      }
+
+      if (onRetry) {
+        onRetry({ attempt, delayMs, error });
+      }
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+export default {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  parseRetryAfter,
+  computeBackoff,
+  isRetryable,
+  sleep,
+  withRetry
+};
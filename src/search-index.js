@@ -0,0 +1,287 @@
+// src/search-index.js
+/**
+ * Local full-text search over the recipes already on disk
+ * Recipes from data/cache.json and data/favorites.json go into an inverted
+ * index (word -> recipes containing it) covering names, ingredients, tags and
+ * instructions. Lookups tolerate typos ("chiken" finds "chicken") and partial
+ * words, and results are ranked by where and how well the words matched.
+ */
+
+import * as cache from './cache.js';
+import * as favorites from './favorites.js';
+
+// How much a word counts depending on where it appears in a recipe
+export const FIELD_WEIGHTS = {
+  name: 5,
+  ingredients: 3,
+  tags: 3,
+  steps: 1
+};
+
+// How much a match counts depending on how close it is to the searched word
+const MATCH_FACTORS = {
+  exact: 1,
+  prefix: 0.7,
+  typo: 0.5
+};
+
+// Words too common to tell recipes apart
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'with', 'in', 'on', 'to', 'for', 'or', 'it', 'is']);
+
+/**
+ * Split text into lowercase words, dropping stop words
+ *
+ * @param {string|null} text - Text to split
+ * @returns {Array<string>} - Words in order (may repeat)
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/normalize | MDN: String.normalize}
+ */
+export function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents so "jalapeño" matches "jalapeno"
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Count the edits (insert, delete, substitute, swap neighbors) between two words
+ * Gives up early once the distance is known to exceed `max`
+ *
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - Edit distance, or max + 1 if it is larger than max
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Damerau%E2%80%93Levenshtein_distance | Wikipedia: Damerau-Levenshtein distance}
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+/**
+ * Get the number of typos allowed in a searched word
+ * Short words must match exactly, otherwise "pie" would also find "pig"
+ *
+ * @param {string} word - Searched word
+ * @returns {number} - Allowed edit distance
+ */
+function allowedTypos(word) {
+  if (word.length <= 3) return 0;
+  if (word.length <= 7) return 1;
+  return 2;
+}
+
+/**
+ * Build an inverted index of recipes
+ * Each word points to the recipes containing it, with a weight that adds up
+ * the FIELD_WEIGHTS of every field it appears in
+ *
+ * @param {Array<Recipe>} recipes - Recipes to index (duplicate IDs keep the most complete one)
+ * @returns {Object} - Index with recipes (Map of ID to Recipe) and terms (Map of word to Map of ID to weight)
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Inverted_index | Wikipedia: Inverted index}
+ */
+export function buildIndex(recipes) {
+  const byId = new Map();
+  for (const recipe of recipes) {
+    const existing = byId.get(recipe.id);
+    if (!existing || completeness(recipe) > completeness(existing)) {
+      byId.set(recipe.id, recipe);
+    }
+  }
+
+  const terms = new Map();
+  for (const recipe of byId.values()) {
+    const fields = {
+      name: tokenize(recipe.name),
+      ingredients: recipe.ingredients.flatMap(ingredient => tokenize(ingredient.name)),
+      tags: recipe.tags.flatMap(tokenize),
+      steps: recipe.steps.flatMap(tokenize)
+    };
+
+    for (const [field, words] of Object.entries(fields)) {
+      for (const word of new Set(words)) {
+        const postings = terms.get(word) || new Map();
+        postings.set(recipe.id, (postings.get(recipe.id) || 0) + FIELD_WEIGHTS[field]);
+        terms.set(word, postings);
+      }
+    }
+  }
+
+  return { recipes: byId, terms };
+}
+
+/**
+ * Measure how much of a recipe is known (summaries from filter.php only have a name)
+ *
+ * @param {Recipe} recipe - Recipe
+ * @returns {number} - Number of ingredients, steps and tags
+ */
+function completeness(recipe) {
+  return recipe.ingredients.length + recipe.steps.length + recipe.tags.length;
+}
+
+/**
+ * Find the indexed words matching a searched word
+ *
+ * @param {Object} index - Index from buildIndex
+ * @param {string} word - Searched word
+ * @returns {Array<Object>} - { term, factor } entries, factor being one of MATCH_FACTORS
+ */
+function matchTerms(index, word) {
+  const maxTypos = allowedTypos(word);
+  const matches = [];
+
+  for (const term of index.terms.keys()) {
+    if (term === word) {
+      matches.push({ term, factor: MATCH_FACTORS.exact });
+    } else if (word.length >= 3 && term.startsWith(word)) {
+      matches.push({ term, factor: MATCH_FACTORS.prefix });
+    } else if (maxTypos > 0 && editDistance(word, term, maxTypos) <= maxTypos) {
+      matches.push({ term, factor: MATCH_FACTORS.typo });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Search an index
+ * Each searched word scores its best match in every recipe (weight x match factor).
+ * Recipes matching only some of the words are kept but scaled down, so
+ * "beef pie" ranks pies with beef above other beef recipes.
+ *
+ * @param {Object} index - Index from buildIndex
+ * @param {string} query - Words to look for
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Array<Object>} - { recipe, score, matchedTerms } entries, best first
+ */
+export function searchIndex(index, query, { limit = Infinity } = {}) {
+  const words = Array.from(new Set(tokenize(query)));
+  if (words.length === 0) {
+    return [];
+  }
+
+  const results = new Map();
+  for (const word of words) {
+    const best = new Map(); // Recipe ID -> { score, term } for this word
+
+    for (const { term, factor } of matchTerms(index, word)) {
+      for (const [id, weight] of index.terms.get(term)) {
+        const score = weight * factor;
+        if (!best.has(id) || best.get(id).score < score) {
+          best.set(id, { score, term });
+        }
+      }
+    }
+
+    for (const [id, { score, term }] of best) {
+      const result = results.get(id) || { score: 0, matchedWords: 0, matchedTerms: [] };
+      result.score += score;
+      result.matchedWords++;
+      result.matchedTerms.push(term);
+      results.set(id, result);
+    }
+  }
+
+  return Array.from(results.entries())
+    .map(([id, result]) => ({
+      recipe: index.recipes.get(id),
+      score: result.score * (result.matchedWords / words.length),
+      matchedTerms: result.matchedTerms
+    }))
+    .sort((a, b) => b.score - a.score || a.recipe.name.localeCompare(b.recipe.name))
+    .slice(0, limit);
+}
+
+/**
+ * Check whether a value looks like a Recipe
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} - True for Recipe objects
+ */
+function isRecipe(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.id === 'string' &&
+    typeof value.name === 'string' && Array.isArray(value.ingredients);
+}
+
+/**
+ * Pull the recipes out of stored data
+ * Cache entries hold a recipe, a list of recipes, or related recipe entries ({ recipe, score })
+ *
+ * @param {any} value - Stored value
+ * @returns {Array<Recipe>} - Recipes found
+ */
+function extractRecipes(value) {
+  const items = Array.isArray(value) ? value : [value];
+  return items.flatMap(item => {
+    if (isRecipe(item)) return [item];
+    if (item && isRecipe(item.recipe)) return [item.recipe];
+    return [];
+  });
+}
+
+/**
+ * Build an index of every recipe in the cache (expired entries included) and in favorites
+ *
+ * @returns {Promise<Object>} - Index (see buildIndex)
+ */
+export async function buildLocalIndex() {
+  const [cached, favoriteRecipes] = await Promise.all([cache.getAllFromCache(), favorites.getFavorites()]);
+  const recipes = [...Object.values(cached).flatMap(extractRecipes), ...favoriteRecipes];
+  return buildIndex(recipes);
+}
+
+/**
+ * Search the recipes stored on this machine
+ *
+ * @param {string} query - Words to look for
+ * @param {Object} options - Search options (see searchIndex)
+ * @returns {Promise<Array<Object>>} - { recipe, score, matchedTerms } entries, best first
+ */
+export async function searchLocalRecipes(query, options = {}) {
+  return searchIndex(await buildLocalIndex(), query, options);
+}
+
+export default {
+  FIELD_WEIGHTS,
+  tokenize,
+  editDistance,
+  buildIndex,
+  searchIndex,
+  buildLocalIndex,
+  searchLocalRecipes
+};
@@ -3,13 +3,14 @@
  * Utility functions for the recipe explorer application
  */
 
+import { CancelledError, throwIfCancelled } from './errors.js';
+
 /**
  * Format a recipe for display in the console
  * 
- * @param {Object} recipe - Recipe object
+ * @param {Recipe} recipe - Recipe object (see recipe.js)
  * @returns {string} - Formatted recipe string
  * 
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/trim | MDN: String.trim}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Template_literals | MDN: Template literals}
  */
 export function formatRecipe(recipe) {
@@ -17,33 +18,33 @@ export function formatRecipe(recipe) {
     return 'Recipe not found';
   }
   
-  // Extract ingredients and measures
-  const ingredients = [];
-  for (let i = 1; i <= 20; i++) {
-    const ingredient = recipe[`strIngredient${i}`];
-    const measure = recipe[`strMeasure${i}`];
-    
-    if (ingredient && ingredient.trim() !== '') {
-      ingredients.push(`${measure ? measure.trim() : ''} ${ingredient.trim()}`);
-    }
-  }
-  
   // Build formatted string
   let result = '\n';
-  result += `=== ${recipe.strMeal} ===\n`;
-  result += `Category: ${recipe.strCategory || 'N/A'}\n`;
-  result += `Area: ${recipe.strArea || 'N/A'}\n`;
+  result += `=== ${recipe.name} ===\n`;
+  result += `Category: ${recipe.category || 'N/A'}\n`;
+  result += `Area: ${recipe.area || 'N/A'}\n`;
+  
+  if (recipe.tags.length > 0) {
+    result += `Tags: ${recipe.tags.join(', ')}\n`;
+  }
+  
   result += '\nIngredients:\n';
   
-  for (const ingredient of ingredients) {
-    result += `- ${ingredient}\n`;
+  for (const ingredient of recipe.ingredients) {
+    result += `- ${ingredient.measure ? `${ingredient.measure} ` : ''}${ingredient.name}\n`;
   }
   
   result += '\nInstructions:\n';
-  result += `${recipe.strInstructions}\n`;
+  recipe.steps.forEach((step, index) => {
+    result += `${index + 1}. ${step}\n`;
+  });
+  
+  if (recipe.youtube) {
+    result += `\nVideo Tutorial: ${recipe.youtube}\n`;
+  }
   
-  if (recipe.strYoutube) {
-    result += `\nVideo Tutorial: ${recipe.strYoutube}\n`;
+  if (recipe.source) {
+    result += `Source: ${recipe.source}\n`;
   }
   
   return result;
@@ -52,12 +53,13 @@ export function formatRecipe(recipe) {
 /**
  * Format a list of recipes for display
  * 
- * @param {Array<Object>} recipes - Array of recipe objects
+ * @param {Array<Recipe>} recipes - Array of recipe objects
+ * @param {Object} notes - Optional note to show after a recipe, by recipe ID
  * @returns {string} - Formatted recipe list
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/forEach | MDN: Array.forEach}
  */
-export function formatRecipeList(recipes) {
+export function formatRecipeList(recipes, notes = {}) {
   if (!recipes || recipes.length === 0) {
     return 'No recipes found';
   }
@@ -66,38 +68,282 @@ export function formatRecipeList(recipes) {
   result += '=== Recipe List ===\n';
   
   recipes.forEach((recipe, index) => {
-    result += `${index + 1}. ${recipe.strMeal} (ID: ${recipe.idMeal})\n`;
+    const note = notes[recipe.id] ? ` - ${notes[recipe.id]}` : '';
+    result += `${index + 1}. ${recipe.name} (ID: ${recipe.id})${note}\n`;
   });
   
   return result;
 }
 
+/**
+ * Format related recipes with their similarity score and shared ingredients
+ *
+ * @param {Array<Object>} related - { recipe, score, sharedIngredients } entries (see api.getRelatedRecipes)
+ * @returns {string} - Formatted list
+ */
+export function formatRelatedRecipes(related) {
+  if (!related || related.length === 0) {
+    return 'No related recipes found';
+  }
+
+  let result = '\n';
+  result += '=== Related Recipes ===\n';
+
+  related.forEach(({ recipe, score, sharedIngredients }, index) => {
+    result += `${index + 1}. ${recipe.name} (ID: ${recipe.id}) - ${Math.round(score * 100)}% similar\n`;
+    result += `   Shared: ${sharedIngredients.join(', ')}\n`;
+  });
+
+  return result;
+}
+
+/**
+ * Format the user's own tags and notes on a favorite, and the collections it is in
+ *
+ * @param {Object} favorite - Favorite entry ({ tags, notes }, see favorites.js)
+ * @param {Array<string>} collections - Names of the collections holding it (optional)
+ * @returns {string} - Formatted tags, notes and collections
+ */
+export function formatFavoriteDetails({ tags, notes }, collections = []) {
+  let result = `Your tags: ${tags.length > 0 ? tags.join(', ') : 'none'}\n`;
+  if (notes) {
+    result += `Your notes: ${notes}\n`;
+  }
+  if (collections.length > 0) {
+    result += `In collections: ${collections.join(', ')}\n`;
+  }
+  return result;
+}
+
+/**
+ * Format a short summary of how often a recipe was cooked and how it was rated
+ *
+ * @param {Object} summary - { timesCooked, averageRating, lastCooked } (see favorites.summarizeCooking)
+ * @returns {string} - Summary, e.g. "rated 4.5/5, cooked 2 times, last on 2024-05-01"
+ */
+export function formatCookingSummary({ timesCooked, averageRating, lastCooked }) {
+  const times = timesCooked === 1 ? 'once' : `${timesCooked} times`;
+  return `rated ${Number(averageRating.toFixed(1))}/5, cooked ${times}, last on ${lastCooked}`;
+}
+
+/**
+ * Format the cooking log of a recipe
+ *
+ * @param {Array<Object>} history - Log entries, most recent first (see favorites.getCookingHistory)
+ * @returns {string} - Formatted history
+ */
+export function formatCookingHistory(history) {
+  if (!history || history.length === 0) {
+    return 'Not cooked yet';
+  }
+
+  const total = history.reduce((sum, entry) => sum + entry.rating, 0);
+  let result = '\n=== Cooking History ===\n';
+  result += `Cooked ${history.length === 1 ? 'once' : `${history.length} times`}, average rating ${Number((total / history.length).toFixed(1))}/5\n`;
+
+  for (const entry of history) {
+    const servings = `${entry.servings} serving${entry.servings === 1 ? '' : 's'}`;
+    result += `- ${entry.date}: ${entry.rating}/5, ${servings}${entry.comment ? ` - ${entry.comment}` : ''}\n`;
+  }
+
+  return result;
+}
+
+/**
+ * Format a numbered list of names (categories, areas, ingredients) for display
+ *
+ * @param {string} title - Heading for the list
+ * @param {Array<string>} items - Names to list
+ * @returns {string} - Formatted list
+ */
+export function formatNameList(title, items) {
+  if (!items || items.length === 0) {
+    return `No ${title.toLowerCase()} found`;
+  }
+
+  let result = '\n';
+  result += `=== ${title} ===\n`;
+
+  items.forEach((item, index) => {
+    result += `${index + 1}. ${item}\n`;
+  });
+
+  return result;
+}
+
+/**
+ * Format a latency in milliseconds for display
+ *
+ * @param {number|null} ms - Latency
+ * @returns {string} - e.g. '120ms' or '-' without a value
+ */
+function formatMs(ms) {
+  return ms === null ? '-' : `${Math.round(ms)}ms`;
+}
+
+/**
+ * Format a metrics summary (see metrics.summarizeMetrics) for display
+ *
+ * @param {string} title - Heading (e.g. 'This session')
+ * @param {Object} summary - Metrics summary
+ * @returns {string} - Formatted statistics
+ */
+export function formatStats(title, summary) {
+  const { requests, endpoints, statuses, cache } = summary;
+
+  let result = '\n';
+  result += `=== ${title} ===\n`;
+  if (summary.since) {
+    result += `Since: ${new Date(summary.since).toLocaleString()}\n`;
+  }
+
+  result += `API requests: ${requests.count} (${requests.errors} failed, ${requests.cancelled} cancelled, ${requests.retries} retries)\n`;
+  if (requests.count > 0) {
+    const { p50, p90, p99, max } = requests.latency;
+    result += `Latency: p50 ${formatMs(p50)}, p90 ${formatMs(p90)}, p99 ${formatMs(p99)}, max ${formatMs(max)}\n`;
+
+    endpoints.forEach(stats => {
+      result += `  ${stats.endpoint}: ${stats.count} requests, p50 ${formatMs(stats.latency.p50)}, p90 ${formatMs(stats.latency.p90)}, ${stats.errors} failed\n`;
+    });
+
+    const codes = Object.entries(statuses).map(([status, count]) => `${status} x${count}`);
+    if (codes.length > 0) {
+      result += `Status codes: ${codes.join(', ')}\n`;
+    }
+  }
+
+  result += `Cache lookups: ${cache.lookups} (${cache.hit} hits, ${cache.miss} misses, ${cache.stale} stale)`;
+  if (cache.hitRate !== null) {
+    result += `, ${Math.round(cache.hitRate * 100)}% served from cache`;
+  }
+  result += '\n';
+  result += `Cache evictions: ${cache.evicted}\n`;
+
+  return result;
+}
+
+/**
+ * Describe how long ago something happened
+ *
+ * @param {number} timestamp - Time in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} - e.g. '3 days ago', '1 hour ago' or 'just now'
+ */
+export function formatAge(timestamp, now = Date.now()) {
+  const units = [
+    ['day', 24 * 60 * 60 * 1000],
+    ['hour', 60 * 60 * 1000],
+    ['minute', 60 * 1000]
+  ];
+
+  for (const [unit, ms] of units) {
+    const count = Math.floor((now - timestamp) / ms);
+    if (count >= 1) {
+      return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+    }
+  }
+  return 'just now';
+}
+
+/**
+ * Format a size in bytes for display
+ *
+ * @param {number} bytes - Size
+ * @returns {string} - e.g. '512 B', '4.2 KB' or '1.5 MB'
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format the cache contents by namespace for display
+ *
+ * @param {Array<Object>} entries - Entries from cache.listCacheEntries
+ * @returns {string} - Entry counts and sizes per namespace
+ */
+export function formatCacheSummary(entries) {
+  const namespaces = new Map();
+  for (const entry of entries) {
+    const totals = namespaces.get(entry.namespace) || { count: 0, size: 0, stale: 0 };
+    totals.count++;
+    totals.size += entry.size;
+    if (entry.stale) totals.stale++;
+    namespaces.set(entry.namespace, totals);
+  }
+
+  const size = entries.reduce((sum, entry) => sum + entry.size, 0);
+  let result = '\n';
+  result += '=== Cache ===\n';
+  result += `${entries.length} entries, ${formatBytes(size)}\n`;
+
+  Array.from(namespaces.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([namespace, totals]) => {
+      result += `  ${namespace}: ${totals.count} entries, ${formatBytes(totals.size)}`;
+      result += totals.stale > 0 ? ` (${totals.stale} expired)\n` : '\n';
+    });
+
+  return result;
+}
+
+/**
+ * Format a numbered list of cache entries with their age and size for display
+ *
+ * @param {Array<Object>} entries - Entries from cache.listCacheEntries
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} - Formatted list
+ */
+export function formatCacheEntries(entries, now = Date.now()) {
+  if (entries.length === 0) {
+    return 'No cache entries found';
+  }
+
+  let result = '\n';
+  result += '=== Cache Entries ===\n';
+
+  entries.forEach((entry, index) => {
+    result += `${index + 1}. ${entry.key} - saved ${formatAge(entry.storedAt, now)}, ${formatBytes(entry.size)}`;
+    result += entry.stale ? ' (expired)\n' : '\n';
+  });
+
+  return result;
+}
+
 /**
  * Run tasks with a concurrency limit
  * Useful for API calls with rate limits
  * 
- * @param {Array<Function>} tasks - Array of functions that return promises
+ * @param {Array<Function>} tasks - Array of functions that receive the signal and return promises
  * @param {number} concurrency - Maximum number of tasks to run concurrently
+ * @param {Object} options - Extra options
+ * @param {AbortSignal} options.signal - Stops starting new tasks when aborted
  * @returns {Promise<Array>} - Results in the same order as tasks
+ * @throws {CancelledError} - If the signal is aborted
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise | MDN: Promise}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
  */
-export async function runWithConcurrency(tasks, concurrency = 3) {
+export async function runWithConcurrency(tasks, concurrency = 3, { signal } = {}) {
+  throwIfCancelled(signal);
+
   const results = new Array(tasks.length);
   let currentIndex = 0;
   
   // Function to run a task by index
   async function runTask(index) {
     try {
-      results[index] = await tasks[index]();
+      results[index] = await tasks[index](signal);
     } catch (error) {
-      console.error(`Error in task ${index}:`, error.message);
+      if (!(error instanceof CancelledError)) {
+        console.error(`Error in task ${index}:`, error.message);
+      }
       results[index] = null;
     }
     
-    // If there are more tasks, start the next one
-    if (currentIndex < tasks.length) {
+    // If there are more tasks, start the next one (unless cancelled)
+    if (currentIndex < tasks.length && !(signal && signal.aborted)) {
       return runTask(currentIndex++);
     }
   }
@@ -112,32 +358,44 @@ export async function runWithConcurrency(tasks, concurrency = 3) {
   
   // Wait for all tasks to complete
   await Promise.all(initialPromises);
+  throwIfCancelled(signal);
   
   return results;
 }
 
 /**
  * Execute a function with a timeout
+ * The function receives an AbortSignal that is aborted when the timeout hits,
+ * so it can stop its work (e.g. pass it to fetch) instead of running on in the background
  * 
- * @param {Function} fn - Function that returns a promise
+ * @param {Function} fn - Function that receives an AbortSignal and returns a promise
  * @param {number} timeoutMs - Timeout in milliseconds
  * @param {any} fallbackValue - Value to return if timeout occurs
  * @returns {Promise<any>} - Function result or fallback value
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/race | MDN: Promise.race}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController | MDN: AbortController}
  */
 export async function withTimeout(fn, timeoutMs, fallbackValue) {
-  // Create a promise that rejects after the timeout
+  const controller = new AbortController();
+  let timer;
+
+  // Create a promise that rejects (and aborts the work) after the timeout
   const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('Operation timed out')), timeoutMs);
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error('Operation timed out'));
+    }, timeoutMs);
   });
   
   try {
     // Race the function against the timeout
-    return await Promise.race([fn(), timeoutPromise]);
+    return await Promise.race([fn(controller.signal), timeoutPromise]);
   } catch (error) {
     console.error('Operation timed out:', error.message);
     return fallbackValue;
+  } finally {
+    clearTimeout(timer);
   }
 }
 
@@ -167,6 +425,15 @@ export async function tryStrategies(strategies) {
 export default {
   formatRecipe,
   formatRecipeList,
+  formatRelatedRecipes,
+  formatFavoriteDetails,
+  formatCookingSummary,
+  formatCookingHistory,
+  formatNameList,
+  formatStats,
+  formatAge,
+  formatCacheSummary,
+  formatCacheEntries,
   runWithConcurrency,
   withTimeout,
   tryStrategies
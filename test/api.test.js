@@ -1,10 +1,24 @@
 // test/api.test.js
-import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach, beforeAll, afterAll } from 'vitest';
 import * as api from '../src/api.js';
+import { setConfig, resetConfig } from '../src/config.js';
+import { toRecipe } from '../src/recipe.js';
+import { onInstrumentationEvent } from '../src/instrumentation.js';
+import {
+  NetworkError,
+  HttpError,
+  TimeoutError,
+  MalformedResponseError,
+  NotFoundError,
+  CancelledError
+} from '../src/errors.js';
 
 // Mock global fetch
 global.fetch = vi.fn();
 
+// Every request passes an AbortSignal to fetch
+const withSignal = expect.objectContaining({ signal: expect.any(AbortSignal) });
+
 describe('API Module', () => {
   // Mock response factory
   function createMockResponse(data, ok = true, status = 200) {
@@ -15,6 +29,15 @@ describe('API Module', () => {
     };
   }
   
+  // Fail on the first error unless a test opts into retries, and don't rate limit
+  beforeAll(() => {
+    setConfig({ retry: { maxAttempts: 1 }, rateLimit: { requestsPerSecond: 0 } });
+  });
+  
+  afterAll(() => {
+    resetConfig();
+  });
+  
   // Reset mocks before each test
   beforeEach(() => {
     fetch.mockReset();
@@ -37,10 +60,10 @@ describe('API Module', () => {
       const result = await api.searchMealsByName('test');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=test');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=test', withSignal);
       
       // Verify results
-      expect(result).toEqual(mockMeals.meals);
+      expect(result).toEqual(mockMeals.meals.map(toRecipe));
     });
     
     it('should return empty array when no meals found', async () => {
@@ -54,32 +77,36 @@ describe('API Module', () => {
       const result = await api.searchMealsByName('nonexistent');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=nonexistent');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=nonexistent', withSignal);
       
       // Verify empty array returned
       expect(result).toEqual([]);
     });
     
-    it('should handle API errors gracefully', async () => {
+    it('should report API errors as HttpError', async () => {
       // Mock fetch to return an error response
       fetch.mockResolvedValueOnce(createMockResponse({}, false, 500));
       
-      // Call the function
-      const result = await api.searchMealsByName('test');
-      
-      // Verify empty array returned
-      expect(result).toEqual([]);
+      // Call the function and verify the status is reported
+      const error = await api.searchMealsByName('test').catch(e => e);
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.status).toBe(500);
     });
     
-    it('should handle network errors gracefully', async () => {
+    it('should report network errors as NetworkError', async () => {
       // Mock fetch to throw an error
       fetch.mockRejectedValueOnce(new Error('Network error'));
       
-      // Call the function
-      const result = await api.searchMealsByName('test');
+      // Call the function and verify the error type
+      await expect(api.searchMealsByName('test')).rejects.toBeInstanceOf(NetworkError);
+    });
+    
+    it('should report malformed payloads as MalformedResponseError', async () => {
+      // Mock fetch to return a body without a meals list
+      fetch.mockResolvedValueOnce(createMockResponse({ unexpected: true }));
       
-      // Verify empty array returned
-      expect(result).toEqual([]);
+      // Call the function and verify the error type
+      await expect(api.searchMealsByName('test')).rejects.toBeInstanceOf(MalformedResponseError);
     });
   });
   
@@ -99,24 +126,43 @@ describe('API Module', () => {
       const result = await api.getMealById('123');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/lookup.php?i=123');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/lookup.php?i=123', withSignal);
       
       // Verify result
-      expect(result).toEqual(mockMeal.meals[0]);
+      expect(result).toEqual(toRecipe(mockMeal.meals[0]));
     });
     
-    it('should return null when meal not found', async () => {
+    it('should throw NotFoundError when meal not found', async () => {
       // Mock data with null meals
       const mockResponse = { meals: null };
       
       // Mock fetch to return null meals
       fetch.mockResolvedValueOnce(createMockResponse(mockResponse));
       
-      // Call the function
-      const result = await api.getMealById('999');
+      // Call the function and verify the error type
+      await expect(api.getMealById('999')).rejects.toBeInstanceOf(NotFoundError);
+    });
+    
+    it('should retry retryable HTTP statuses', async () => {
+      // First response is a 503, second succeeds
+      fetch.mockResolvedValueOnce(createMockResponse({}, false, 503));
+      fetch.mockResolvedValueOnce(createMockResponse({ meals: [{ idMeal: '123' }] }));
+      
+      const result = await api.getMealById('123', { retry: { maxAttempts: 3, baseDelayMs: 0 } });
       
-      // Verify null returned
-      expect(result).toBeNull();
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(result).toMatchObject({ id: '123' });
+    });
+    
+    it('should not retry statuses outside the policy', async () => {
+      fetch.mockResolvedValue(createMockResponse({}, false, 400));
+      
+      const error = await api.getMealById('123', { retry: { maxAttempts: 3, baseDelayMs: 0 } }).catch(e => e);
+      
+      // Verify only one attempt was made
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.attempts).toBe(1);
     });
     
     it('should retry on failure', async () => {
@@ -131,14 +177,14 @@ describe('API Module', () => {
       };
       fetch.mockResolvedValueOnce(createMockResponse(mockMeal));
       
-      // Call the function with only 2 attempts
-      const result = await api.getMealById('123', 2);
+      // Call the function with only 2 attempts and no backoff delay
+      const result = await api.getMealById('123', { retry: { maxAttempts: 2, baseDelayMs: 0 } });
       
       // Verify fetch was called twice
       expect(fetch).toHaveBeenCalledTimes(2);
       
       // Verify result
-      expect(result).toEqual(mockMeal.meals[0]);
+      expect(result).toEqual(toRecipe(mockMeal.meals[0]));
     });
   });
   
@@ -169,12 +215,12 @@ describe('API Module', () => {
       
       // Verify fetch was called correctly
       expect(fetch).toHaveBeenCalledTimes(2);
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=a');
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=b');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=a', withSignal);
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=b', withSignal);
       
       // Verify results are combined
       expect(result.length).toBe(4);
-      expect(result).toEqual([...mockMealsA.meals, ...mockMealsB.meals]);
+      expect(result).toEqual([...mockMealsA.meals, ...mockMealsB.meals].map(toRecipe));
     });
     
     it('should remove duplicate meals', async () => {
@@ -221,13 +267,13 @@ describe('API Module', () => {
       const result = await api.getMealsByIngredient('chicken');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?i=chicken');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?i=chicken', withSignal);
       
       // Verify results
-      expect(result).toEqual(mockMeals.meals);
+      expect(result).toEqual(mockMeals.meals.map(toRecipe));
     });
     
-    it('should handle timeout gracefully', async () => {
+    it('should throw TimeoutError when the request takes too long', async () => {
       // This test is complex because we need to mock Promise.race behavior
       // For simplicity, we'll just mock fetch to delay longer than the timeout
       
@@ -241,11 +287,407 @@ describe('API Module', () => {
       });
       
       // Call the function with a very short timeout
-      const result = await api.getMealsByIngredient('chicken', 10); // 10ms timeout
+      const error = await api.getMealsByIngredient('chicken', { timeoutMs: 10 }).catch(e => e); // 10ms timeout
+      
+      // Result should be a TimeoutError
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error.message).toContain('took too long');
+    });
+  });
+  
+  describe('catalog lists', () => {
+    it('should list category names', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({
+        meals: [{ strCategory: 'Beef' }, { strCategory: 'Seafood' }]
+      }));
+      
+      const result = await api.listCategories();
+      
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/list.php?c=list', withSignal);
+      expect(result).toEqual(['Beef', 'Seafood']);
+    });
+    
+    it('should list area names', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({
+        meals: [{ strArea: 'Italian' }, { strArea: 'Japanese' }]
+      }));
+      
+      const result = await api.listAreas();
+      
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/list.php?a=list', withSignal);
+      expect(result).toEqual(['Italian', 'Japanese']);
+    });
+    
+    it('should list ingredient names', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({
+        meals: [{ idIngredient: '1', strIngredient: 'Chicken', strDescription: null, strType: null }]
+      }));
+      
+      const result = await api.listIngredients();
+      
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/list.php?i=list', withSignal);
+      expect(result).toEqual(['Chicken']);
+    });
+  });
+  
+  describe('getMealsByArea', () => {
+    it('should return meals from the area', async () => {
+      const mockMeals = { meals: [{ idMeal: '1', strMeal: 'Lasagne' }] };
+      fetch.mockResolvedValueOnce(createMockResponse(mockMeals));
+      
+      const result = await api.getMealsByArea('Italian');
+      
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?a=Italian', withSignal);
+      expect(result).toEqual(mockMeals.meals.map(toRecipe));
+    });
+    
+    it('should return empty array for an unknown area', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({ meals: null }));
+      
+      const result = await api.getMealsByArea('Atlantis');
+      
+      expect(result).toEqual([]);
+    });
+  });
+  
+  describe('getMealsByCategory', () => {
+    it('should return meals in the category', async () => {
+      const mockMeals = { meals: [{ idMeal: '1', strMeal: 'Beef Wellington' }] };
+      fetch.mockResolvedValueOnce(createMockResponse(mockMeals));
+      
+      const result = await api.getMealsByCategory('Beef');
+      
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?c=Beef', withSignal);
+      expect(result).toEqual(mockMeals.meals.map(toRecipe));
+    });
+  });
+  
+  describe('getRelatedRecipes', () => {
+    const source = toRecipe({
+      idMeal: '1',
+      strMeal: 'Garlic Chicken',
+      strCategory: 'Chicken',
+      strArea: 'French',
+      strIngredient1: 'Chicken',
+      strIngredient2: 'Garlic',
+      strIngredient3: 'Butter'
+    });
+    
+    // Full meals returned by lookup.php
+    const meals = {
+      '2': { idMeal: '2', strMeal: 'Roast Chicken', strCategory: 'Chicken', strIngredient1: 'Chicken', strIngredient2: 'Lemon' },
+      '3': { idMeal: '3', strMeal: 'Garlic Butter Prawns', strCategory: 'Seafood', strIngredient1: 'Prawns', strIngredient2: 'Garlic', strIngredient3: 'Butter' },
+      '4': { idMeal: '4', strMeal: 'Ratatouille', strCategory: 'Vegetarian', strIngredient1: 'Aubergine' }
+    };
+    
+    beforeEach(() => {
+      fetch.mockImplementation(async url => {
+        if (url.includes('lookup.php')) {
+          const id = url.split('i=')[1];
+          return createMockResponse({ meals: meals[id] ? [meals[id]] : null });
+        }
+        if (url.includes('c=Chicken') || url.includes('i=Chicken')) {
+          return createMockResponse({ meals: [{ idMeal: '1', strMeal: 'Garlic Chicken' }, { idMeal: '2', strMeal: 'Roast Chicken' }] });
+        }
+        if (url.includes('a=French')) {
+          return createMockResponse({ meals: [{ idMeal: '4', strMeal: 'Ratatouille' }] });
+        }
+        if (url.includes('i=Garlic') || url.includes('i=Butter')) {
+          return createMockResponse({ meals: [{ idMeal: '3', strMeal: 'Garlic Butter Prawns' }] });
+        }
+        return createMockResponse({ meals: null });
+      });
+    });
+    
+    it('should rank candidates from other categories by shared ingredients', async () => {
+      const result = await api.getRelatedRecipes(source);
+      
+      expect(result.map(entry => entry.recipe.id)).toEqual(['3', '2']);
+      expect(result[0].score).toBe(0.5);
+      expect(result[0].sharedIngredients).toEqual(['Garlic', 'Butter']);
+      expect(result[1].sharedIngredients).toEqual(['Chicken']);
+    });
+    
+    it('should never fetch details of the recipe itself', async () => {
+      await api.getRelatedRecipes(source);
+      
+      expect(fetch).not.toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/lookup.php?i=1', withSignal);
+    });
+    
+    it('should respect the limit', async () => {
+      const result = await api.getRelatedRecipes(source, 1);
+      
+      expect(result).toHaveLength(1);
+    });
+    
+    it('should rank the candidates of the lookups that succeeded', async () => {
+      const respond = fetch.getMockImplementation();
+      fetch.mockImplementation(async url => url.includes('a=French') ? createMockResponse({}, false, 500) : respond(url));
+      
+      const result = await api.getRelatedRecipes(source);
+      
+      expect(result.map(entry => entry.recipe.id)).toEqual(['3', '2']);
+    });
+    
+    it('should fail when every lookup fails', async () => {
+      fetch.mockImplementation(async () => createMockResponse({}, false, 500));
+      
+      await expect(api.getRelatedRecipes(source)).rejects.toBeInstanceOf(HttpError);
+    });
+    
+    it('should quietly skip candidates whose details cannot be fetched', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const respond = fetch.getMockImplementation();
+      fetch.mockImplementation(async url => url.endsWith('lookup.php?i=2') ? createMockResponse({}, false, 500) : respond(url));
+      
+      const result = await api.getRelatedRecipes(source);
+      
+      expect(result.map(entry => entry.recipe.id)).toEqual(['3']);
+      expect(errorSpy).not.toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+  });
+  
+  describe('getRandomMeals', () => {
+    const meal = id => createMockResponse({ meals: [{ idMeal: id, strMeal: `Meal ${id}` }] });
+    
+    it('should keep asking until it has enough different meals', async () => {
+      fetch
+        .mockResolvedValueOnce(meal('1'))
+        .mockResolvedValueOnce(meal('1'))
+        .mockResolvedValueOnce(meal('2'));
+      
+      const result = await api.getRandomMeals(2, { concurrency: 1 });
+      
+      expect(result.map(recipe => recipe.id)).toEqual(['1', '2']);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+    
+    it('should send concurrent random requests separately', async () => {
+      let next = 0;
+      fetch.mockImplementation(async () => meal(String(++next)));
+      
+      const result = await api.getRandomMeals(3);
+      
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(result).toHaveLength(3);
+    });
+    
+    it('should skip excluded meals', async () => {
+      fetch
+        .mockResolvedValueOnce(meal('1'))
+        .mockResolvedValueOnce(meal('2'));
+      
+      const result = await api.getRandomMeals(1, { excludeIds: ['1'] });
+      
+      expect(result.map(recipe => recipe.id)).toEqual(['2']);
+    });
+    
+    it('should return what it found when the attempts run out', async () => {
+      fetch.mockImplementation(async () => meal('1'));
+      
+      const result = await api.getRandomMeals(2, { maxAttempts: 4 });
+      
+      expect(result.map(recipe => recipe.id)).toEqual(['1']);
+      expect(fetch).toHaveBeenCalledTimes(4);
+    });
+    
+    it('should throw when every request fails', async () => {
+      fetch.mockRejectedValue(new Error('offline'));
+      
+      await expect(api.getRandomMeals(2)).rejects.toBeInstanceOf(NetworkError);
+    });
+  });
+  
+  describe('searchMealsByIngredients', () => {
+    // Meals returned by filter.php for each ingredient
+    const mealsByIngredient = {
+      chicken: [
+        { idMeal: '1', strMeal: 'Garlic Chicken' },
+        { idMeal: '2', strMeal: 'Creamy Chicken' },
+        { idMeal: '3', strMeal: 'Chicken Soup' }
+      ],
+      garlic: [
+        { idMeal: '1', strMeal: 'Garlic Chicken' },
+        { idMeal: '2', strMeal: 'Creamy Chicken' },
+        { idMeal: '4', strMeal: 'Garlic Bread' }
+      ],
+      cream: [
+        { idMeal: '2', strMeal: 'Creamy Chicken' }
+      ]
+    };
+    
+    // Full details returned by lookup.php
+    const detailsById = {
+      '1': { idMeal: '1', strMeal: 'Garlic Chicken', strIngredient1: 'Chicken', strIngredient2: 'Garlic', strIngredient3: 'Double Cream' },
+      '3': { idMeal: '3', strMeal: 'Chicken Soup', strIngredient1: 'Chicken', strIngredient2: 'Carrots' }
+    };
+    
+    // Answer each request based on its URL
+    beforeEach(() => {
+      fetch.mockImplementation(url => {
+        const { searchParams, pathname } = new URL(url);
+        if (pathname.endsWith('filter.php')) {
+          return Promise.resolve(createMockResponse({ meals: mealsByIngredient[searchParams.get('i')] || null }));
+        }
+        const meal = detailsById[searchParams.get('i')];
+        return Promise.resolve(createMockResponse({ meals: meal ? [meal] : null }));
+      });
+    });
+    
+    it('should intersect results for ALL ingredients', async () => {
+      const result = await api.searchMealsByIngredients({ all: ['Chicken', 'garlic'] });
+      expect(result.map(recipe => recipe.id)).toEqual(['1', '2']);
+    });
+    
+    it('should union results for ANY ingredients', async () => {
+      const result = await api.searchMealsByIngredients({ any: ['chicken', 'garlic'] });
+      expect(result.map(recipe => recipe.id)).toEqual(['1', '2', '3', '4']);
+    });
+    
+    it('should exclude meals using NONE ingredients', async () => {
+      const result = await api.searchMealsByIngredients({ all: ['chicken', 'garlic'], none: ['cream'] });
+      
+      // Verify each ingredient was only looked up once
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(result.map(recipe => recipe.id)).toEqual(['1']);
+    });
+    
+    it('should verify exclusions against full meal details', async () => {
+      const result = await api.searchMealsByIngredients(
+        { all: ['chicken'], none: ['cream'] },
+        { verifyExclusions: true }
+      );
+      
+      // "Double Cream" in meal 1 matches the "cream" exclusion
+      expect(result.map(recipe => recipe.id)).toEqual(['3']);
+    });
+    
+    it('should require at least one ingredient to include', async () => {
+      await expect(api.searchMealsByIngredients({ none: ['cream'] })).rejects.toThrow('At least one ingredient');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('instrumentation', () => {
+    let events;
+    let unsubscribe;
+    
+    beforeEach(() => {
+      events = [];
+      unsubscribe = onInstrumentationEvent(event => events.push(event));
+    });
+    
+    afterEach(() => {
+      unsubscribe();
+    });
+    
+    it('should report the endpoint, status, latency and retries of a request', async () => {
+      fetch
+        .mockResolvedValueOnce(createMockResponse(null, false, 503))
+        .mockResolvedValueOnce(createMockResponse({ meals: null }));
+      
+      await api.searchMealsByName('cake', { retry: { maxAttempts: 2, baseDelayMs: 0 } });
+      
+      expect(events).toEqual([expect.objectContaining({
+        type: 'request',
+        endpoint: 'search.php',
+        status: 200,
+        retries: 1,
+        outcome: 'success',
+        error: null,
+        latencyMs: expect.any(Number)
+      })]);
+    });
+    
+    it('should report failed requests', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse(null, false, 404));
+      
+      await expect(api.listAreas()).rejects.toBeInstanceOf(HttpError);
+      
+      expect(events[0]).toMatchObject({ endpoint: 'list.php', status: 404, outcome: 'error', error: 'HttpError' });
+    });
+  });
+  
+  describe('request coalescing', () => {
+    it('should send one request for identical concurrent calls', async () => {
+      fetch.mockImplementation(() => Promise.resolve(createMockResponse({ meals: [{ idMeal: '52772', strMeal: 'Teriyaki' }] })));
+      const before = api.getRequestCoalescingStats();
+      
+      const results = await Promise.all([api.getMealById('52772'), api.getMealById('52772'), api.getMealById('52772')]);
+      
+      expect(fetch).toHaveBeenCalledTimes(1);
+      results.forEach(result => expect(result.name).toBe('Teriyaki'));
+      expect(api.getRequestCoalescingStats().hits - before.hits).toBe(2);
+    });
+    
+    it('should send separate requests for different calls or calls made one after another', async () => {
+      fetch.mockImplementation(() => Promise.resolve(createMockResponse({ meals: [{ idMeal: '1', strMeal: 'Test' }] })));
+      
+      await Promise.all([api.getMealById('1'), api.getMealById('2')]);
+      await api.getMealById('1');
+      
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+    
+    it('should keep the shared request going while another caller still waits', async () => {
+      let respond;
+      fetch.mockImplementation(() => new Promise(resolve => {
+        respond = () => resolve(createMockResponse({ meals: [{ idMeal: '7', strMeal: 'Shared' }] }));
+      }));
+      const controller = new AbortController();
+      
+      const cancelled = api.getMealById('7', { signal: controller.signal });
+      const waiting = api.getMealById('7');
+      await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+      controller.abort();
+      await expect(cancelled).rejects.toBeInstanceOf(CancelledError);
+      
+      // The other caller still gets the response
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(false);
+      respond();
+      await expect(waiting).resolves.toMatchObject({ name: 'Shared' });
+    });
+  });
+  
+  describe('cancellation', () => {
+    // Mock a fetch that only settles when its signal is aborted
+    function mockHangingFetch() {
+      fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+    }
+    
+    it('should reject with CancelledError and abort fetch when the signal is aborted', async () => {
+      mockHangingFetch();
+      const controller = new AbortController();
+      
+      const promise = api.searchMealsByName('chicken', { signal: controller.signal });
+      await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+      controller.abort();
+      
+      await expect(promise).rejects.toBeInstanceOf(CancelledError);
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+    
+    it('should not call fetch when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      
+      await expect(api.getMealById('1', { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+    
+    it('should not retry a cancelled request', async () => {
+      mockHangingFetch();
+      const controller = new AbortController();
+      
+      const promise = api.getRandomMeal({ retry: { maxAttempts: 3, baseDelayMs: 0 }, signal: controller.signal });
+      await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+      controller.abort();
       
-      // Result should be the error message string
-      expect(typeof result).toBe('string');
-      expect(result).toContain('took too long');
+      await expect(promise).rejects.toBeInstanceOf(CancelledError);
+      expect(fetch).toHaveBeenCalledTimes(1);
     });
   });
-});
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+// test/app.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { PassThrough } from 'stream';
+import app from '../src/app.js';
+import { setConfig, resetConfig } from '../src/config.js';
+import { usePromptStreams } from '../src/prompt.js';
+
+// Mock global fetch
+global.fetch = vi.fn();
+
+describe('App', () => {
+  function createMockResponse(data) {
+    return { ok: true, status: 200, json: () => Promise.resolve(data) };
+  }
+
+  describe('searchRecipes', () => {
+    let input;
+    // Detail lookups in flight: { id, signal, finish }
+    let lookups;
+
+    beforeEach(() => {
+      setConfig({
+        cache: { backend: 'memory' },
+        retry: { maxAttempts: 1 },
+        rateLimit: { requestsPerSecond: 0 },
+        prefetch: { count: 3, concurrency: 2 }
+      });
+      input = new PassThrough();
+      usePromptStreams({ input, output: new PassThrough() });
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      lookups = [];
+      fetch.mockReset();
+      fetch.mockImplementation(async (url, { signal }) => {
+        if (url.includes('search.php')) {
+          return createMockResponse({ meals: ['1', '2', '3'].map(id => ({ idMeal: id, strMeal: `Pie ${id}` })) });
+        }
+        if (url.includes('lookup.php')) {
+          // Details arrive when the test says so, or never if the fetch is aborted
+          const id = url.split('i=')[1];
+          return new Promise((resolve, reject) => {
+            lookups.push({ id, signal, finish: () => resolve(createMockResponse({ meals: [{ idMeal: id, strMeal: `Pie ${id}` }] })) });
+            signal.addEventListener('abort', () => reject(signal.reason));
+          });
+        }
+        return createMockResponse({ meals: null });
+      });
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+      usePromptStreams();
+      resetConfig();
+    });
+
+    it('should stop prefetching the results once the user cancels', async () => {
+      const search = app.searchRecipes();
+      input.write('pie\n');
+      // The prompt waits without blocking the prefetch
+      await vi.waitFor(() => expect(lookups).toHaveLength(2));
+      input.write('0\n');
+      await search;
+
+      expect(lookups.map(lookup => lookup.signal.aborted)).toEqual([true, true]);
+      expect(lookups.map(lookup => lookup.id)).toEqual(['1', '2']);
+    });
+
+    it('should keep fetching the chosen result and stop prefetching the others', async () => {
+      const search = app.searchRecipes();
+      // Search, choose the second result, then decline adding it to favorites
+      input.write('pie\n2\nn\n');
+      await vi.waitFor(() => expect(lookups).toHaveLength(2));
+      await vi.waitFor(() => expect(lookups[0].signal.aborted).toBe(true));
+      lookups[1].finish();
+      await search;
+
+      expect(lookups[1].signal.aborted).toBe(false);
+      expect(lookups.map(lookup => lookup.id)).toEqual(['1', '2']);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('=== Pie 2 ==='));
+    });
+  });
+});
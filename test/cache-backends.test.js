@@ -0,0 +1,545 @@
+// test/cache-backends.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import * as cache from '../src/cache.js';
+import { question, usePromptStreams } from '../src/prompt.js';
+import { setConfig, resetConfig } from '../src/config.js';
+import { onInstrumentationEvent } from '../src/instrumentation.js';
+import { createMemoryBackend, createJsonFileBackend, createLogFileBackend, createCacheBackend } from '../src/cache-backends.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Cache configuration for each backend, given a fresh temporary directory
+const BACKENDS = [
+  ['memory', () => ({ backend: 'memory' })],
+  ['json', dir => ({ backend: 'json', file: path.join(dir, 'cache.json') })],
+  ['log', dir => ({ backend: 'log', file: path.join(dir, 'cache.log') })]
+];
+
+// Conformance suite: cache.js must behave the same whatever the backend
+describe.each(BACKENDS)('Cache Module on the %s backend', (name, cacheConfig) => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-cache-'));
+    setConfig({ cache: cacheConfig(dir) });
+    await cache.initializeCache();
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    resetConfig();
+    usePromptStreams();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should use the configured backend', () => {
+    expect(cache.getBackendName()).toBe(name);
+  });
+
+  it('should return null for a missing key', async () => {
+    expect(await cache.getFromCache('missing_key')).toBeNull();
+  });
+
+  it('should save data and read it back', async () => {
+    expect(await cache.saveToCache('search_cake', [{ id: '1', name: 'Cake' }])).toBe(true);
+    expect(await cache.getFromCache('search_cake')).toEqual([{ id: '1', name: 'Cake' }]);
+  });
+
+  it('should replace data saved under the same key', async () => {
+    await cache.saveToCache('search_cake', ['old']);
+    await cache.saveToCache('search_cake', ['new']);
+
+    expect(await cache.getFromCache('search_cake')).toEqual(['new']);
+    expect(Object.keys(await cache.getAllFromCache())).toEqual(['search_cake']);
+  });
+
+  it('should not let callers change cached data', async () => {
+    await cache.saveToCache('search_cake', [{ id: '1' }]);
+
+    const data = await cache.getFromCache('search_cake');
+    data.push({ id: '2' });
+
+    expect(await cache.getFromCache('search_cake')).toEqual([{ id: '1' }]);
+  });
+
+  it('should expire entries after 24 hours', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await cache.saveToCache('search_cake', ['cake']);
+
+    vi.setSystemTime(Date.now() + DAY + 1);
+
+    expect(await cache.getFromCache('search_cake')).toBeNull();
+    // Expired entries are still there until they are cleared
+    expect(await cache.getAllFromCache()).toEqual({ search_cake: ['cake'] });
+  });
+
+  it('should clear only expired entries', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await cache.saveToCache('old_one', 1);
+    await cache.saveToCache('old_two', 2);
+    vi.setSystemTime(Date.now() + DAY + 1);
+    await cache.saveToCache('fresh', 3);
+
+    expect(await cache.clearExpiredCache()).toBe(2);
+    expect(await cache.clearExpiredCache()).toBe(0);
+    expect(await cache.getAllFromCache()).toEqual({ fresh: 3 });
+  });
+
+  it('should expire an entry after its own TTL', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await cache.saveToCache('search_cake', ['short'], { ttl: 1000 });
+    await cache.saveToCache('search_pie', ['default']);
+
+    vi.setSystemTime(Date.now() + 1001);
+
+    expect(await cache.getFromCache('search_cake')).toBeNull();
+    expect(await cache.getFromCache('search_pie')).toEqual(['default']);
+    expect(await cache.clearExpiredCache()).toBe(1);
+  });
+
+  it('should use the TTL of the key namespace', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    setConfig({ cacheTtls: { default: DAY, search: 1000 } });
+    await cache.saveToCache('search_cake', ['search']);
+    await cache.saveToCache('recipe_1', ['recipe']);
+
+    // Entries keep the TTL they were saved with
+    setConfig({ cacheTtls: { default: DAY, search: DAY } });
+    vi.setSystemTime(Date.now() + 1001);
+
+    expect(await cache.getFromCache('search_cake')).toBeNull();
+    expect(await cache.getFromCache('recipe_1')).toEqual(['recipe']);
+  });
+
+  it('should save fetched data with the TTL given to getCachedOrFetch', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const fetchFn = vi.fn().mockResolvedValue(['fetched']);
+
+    await cache.getCachedOrFetch('search_pie', fetchFn, false, { ttl: 1000 });
+    vi.setSystemTime(Date.now() + 1001);
+    await cache.getCachedOrFetch('search_pie', fetchFn);
+
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep every entry saved concurrently', async () => {
+    const saves = Array.from({ length: 30 }, (_, i) => cache.saveToCache(`search_${i}`, [i]));
+
+    expect(await Promise.all(saves)).toEqual(Array(30).fill(true));
+    expect(Object.keys(await cache.getAllFromCache())).toHaveLength(30);
+  });
+
+  it('should evict the least recently used entries past the entry limit', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    setConfig({ cache: { ...cacheConfig(dir), maxEntries: 3 } });
+    const evicted = [];
+    const unsubscribe = onInstrumentationEvent(event => event.outcome === 'evicted' && evicted.push(event.key));
+
+    for (const key of ['search_a', 'search_b', 'search_c']) {
+      await cache.saveToCache(key, [key]);
+      vi.setSystemTime(Date.now() + 1000);
+    }
+    // Reading search_a makes search_b the least recently used
+    await cache.getFromCache('search_a');
+    vi.setSystemTime(Date.now() + 1000);
+    await cache.saveToCache('search_d', ['search_d']);
+    unsubscribe();
+
+    expect(evicted).toEqual(['search_b']);
+    expect(Object.keys(await cache.getAllFromCache()).sort()).toEqual(['search_a', 'search_c', 'search_d']);
+  });
+
+  it('should evict the least recently used entries past the size limit', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    setConfig({ cache: { ...cacheConfig(dir), maxBytes: 2500 } });
+    const big = 'x'.repeat(1000);
+
+    for (const key of ['search_a', 'search_b', 'search_c']) {
+      await cache.saveToCache(key, big);
+      vi.setSystemTime(Date.now() + 1000);
+    }
+
+    expect(Object.keys(await cache.getAllFromCache()).sort()).toEqual(['search_b', 'search_c']);
+  });
+
+  it('should not save an entry bigger than the whole cache', async () => {
+    setConfig({ cache: { ...cacheConfig(dir), maxBytes: 2500 } });
+    await cache.saveToCache('search_a', ['a']);
+
+    expect(await cache.saveToCache('search_b', 'x'.repeat(3000))).toBe(false);
+    expect(Object.keys(await cache.getAllFromCache())).toEqual(['search_a']);
+  });
+
+  it.skipIf(name === 'memory')('should keep the cache file within the size limit', async () => {
+    const maxBytes = 4000;
+    setConfig({ cache: { ...cacheConfig(dir), maxBytes } });
+
+    for (let i = 0; i < 20; i++) {
+      // Nested data is indented in the json file
+      await cache.saveToCache(`recipe_${i}`, { id: String(i), name: 'x'.repeat(300), tags: ['a', 'b'] });
+      await cache.getFromCache(`recipe_${i - 1}`);
+    }
+    await cache.flushAccessTimes();
+
+    const { size } = await fs.stat(cacheConfig(dir).file);
+    expect(size).toBeLessThanOrEqual(maxBytes);
+    expect(Object.keys(await cache.getAllFromCache()).length).toBeGreaterThan(5);
+  });
+
+  it('should list entries with their namespace, age and size', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await cache.saveToCache('search_pie', ['pie']);
+    const storedAt = Date.now();
+    vi.setSystemTime(storedAt + DAY);
+    await cache.saveToCache('recipe_1', { id: '1' });
+
+    const entries = await cache.listCacheEntries();
+
+    expect(entries.map(entry => entry.key)).toEqual(['recipe_1', 'search_pie']);
+    expect(entries[1]).toMatchObject({ namespace: 'search', storedAt, accessedAt: null, stale: true });
+    expect(entries[1].size).toBeGreaterThan(0);
+  });
+
+  it('should purge entries by prefix or pattern and clear everything', async () => {
+    for (const key of ['search_chicken', 'search_chicken_curry', 'search_pie', 'ingredient_chicken']) {
+      await cache.saveToCache(key, [key]);
+    }
+
+    expect(await cache.purgeCache('search_chicken')).toBe(2);
+    expect(await cache.purgeCache('*chick*')).toBe(1);
+    expect(Object.keys(await cache.getAllFromCache())).toEqual(['search_pie']);
+    expect(await cache.clearCache()).toBe(1);
+    expect(await cache.getAllFromCache()).toEqual({});
+  });
+
+  it('should fetch on a miss and answer from the cache afterwards', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(['fetched']);
+
+    expect(await cache.getCachedOrFetch('search_pie', fetchFn)).toEqual(['fetched']);
+    expect(await cache.getCachedOrFetch('search_pie', fetchFn)).toEqual(['fetched']);
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fetch again when forced to refresh', async () => {
+    const fetchFn = vi.fn().mockResolvedValueOnce(['first']).mockResolvedValueOnce(['second']);
+
+    await cache.getCachedOrFetch('search_pie', fetchFn);
+    expect(await cache.getCachedOrFetch('search_pie', fetchFn, true)).toEqual(['second']);
+    expect(await cache.getFromCache('search_pie')).toEqual(['second']);
+  });
+
+  it('should serve an expired entry marked as stale when the fetch fails', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await cache.saveToCache('search_pie', ['old']);
+    const storedAt = Date.now();
+    vi.setSystemTime(storedAt + 3 * DAY);
+    const error = new Error('Network error');
+
+    const result = await cache.getCachedOrFetchResult('search_pie', vi.fn().mockRejectedValue(error));
+
+    expect(result).toEqual({ data: ['old'], stale: true, storedAt, error, revalidating: false });
+  });
+
+  it('should serve an expired entry right away while refreshing it in the background', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await cache.saveToCache('search_pie', ['old']);
+    vi.setSystemTime(Date.now() + 3 * DAY);
+    const fetchFn = vi.fn().mockResolvedValue(['new']);
+
+    const results = await Promise.all([
+      cache.getCachedOrFetchResult('search_pie', fetchFn, false, { staleWhileRevalidate: true }),
+      cache.getCachedOrFetchResult('search_pie', fetchFn, true)
+    ]);
+    expect(results[0]).toMatchObject({ data: ['old'], stale: true, revalidating: true });
+    expect(results[1]).toMatchObject({ data: ['new'], stale: false });
+
+    await cache.waitForRevalidations();
+    expect(await cache.getCachedOrFetchResult('search_pie', fetchFn, false, { staleWhileRevalidate: true }))
+      .toMatchObject({ data: ['new'], stale: false, revalidating: false });
+  });
+
+  it('should start one background refresh per key at a time', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await cache.saveToCache('search_pie', ['old']);
+    vi.setSystemTime(Date.now() + 3 * DAY);
+    let failRefresh;
+    const fetchFn = vi.fn(() => new Promise((resolve, reject) => {
+      failRefresh = reject;
+    }));
+
+    await cache.getCachedOrFetch('search_pie', fetchFn, false, { staleWhileRevalidate: true });
+    await cache.getCachedOrFetch('search_pie', fetchFn, false, { staleWhileRevalidate: true });
+    failRefresh(new Error('Network error'));
+    await cache.waitForRevalidations();
+
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+    // A failed refresh keeps the stale entry
+    expect(await cache.getAllFromCache()).toEqual({ search_pie: ['old'] });
+  });
+
+  it('should keep recently expired entries when clearing with a grace period', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await cache.saveToCache('search_old', ['old']);
+    vi.setSystemTime(Date.now() + 10 * DAY);
+    await cache.saveToCache('search_recent', ['recent']);
+    vi.setSystemTime(Date.now() + 3 * DAY);
+
+    expect(await cache.clearExpiredCache({ maxStaleMs: 5 * DAY })).toBe(1);
+    expect(await cache.getAllFromCache()).toEqual({ search_recent: ['recent'] });
+  });
+
+  it('should not overwrite an entry saved after the fetch started', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    let finishFetch;
+    const fetchFn = vi.fn(() => new Promise(resolve => {
+      finishFetch = resolve;
+    }));
+
+    const slow = cache.getCachedOrFetch('recipe_1', fetchFn, true);
+    await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled());
+    vi.setSystemTime(Date.now() + 1000);
+    await cache.saveToCache('recipe_1', { id: '1', name: 'Newer' });
+    finishFetch({ id: '1', name: 'Older' });
+    await slow;
+
+    expect(await cache.getFromCache('recipe_1')).toEqual({ id: '1', name: 'Newer' });
+  });
+
+  it('should prefetch a few keys at a time, skipping fresh entries', async () => {
+    await cache.saveToCache('recipe_1', { id: '1' });
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const jobs = ['1', '2', '3', '4', '5'].map(id => ({
+      key: `recipe_${id}`,
+      fetchFn: vi.fn(async () => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return { id };
+      })
+    }));
+
+    expect(await cache.prefetchIntoCache(jobs, { concurrency: 2 })).toBe(5);
+
+    expect(maxInFlight).toBe(2);
+    expect(jobs[0].fetchFn).not.toHaveBeenCalled();
+    expect(await cache.getFromCache('recipe_5')).toEqual({ id: '5' });
+  });
+
+  it('should ignore prefetch failures', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const jobs = [
+      { key: 'recipe_1', fetchFn: vi.fn().mockRejectedValue(new Error('Network error')) },
+      { key: 'recipe_2', fetchFn: vi.fn().mockResolvedValue({ id: '2' }) }
+    ];
+
+    expect(await cache.prefetchIntoCache(jobs)).toBe(1);
+    expect(error).not.toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  it('should stop prefetching when cancelled', async () => {
+    const controller = new AbortController();
+    const signals = [];
+    const jobs = ['1', '2', '3'].map(id => ({
+      key: `recipe_${id}`,
+      fetchFn: vi.fn(signal => {
+        signals.push(signal);
+        return new Promise(() => {});
+      })
+    }));
+
+    const prefetch = cache.prefetchIntoCache(jobs, { concurrency: 1, signal: controller.signal });
+    await vi.waitFor(() => expect(signals).toHaveLength(1));
+    controller.abort();
+
+    expect(await prefetch).toBe(0);
+    expect(signals[0].aborted).toBe(true);
+    expect(jobs[1].fetchFn).not.toHaveBeenCalled();
+    expect(await cache.getAllFromCache()).toEqual({});
+  });
+
+  it('should let a lookup join a prefetch in flight', async () => {
+    const controller = new AbortController();
+    let finishFetch;
+    const fetchFn = vi.fn(() => new Promise(resolve => {
+      finishFetch = resolve;
+    }));
+
+    const prefetch = cache.prefetchIntoCache([{ key: 'recipe_1', fetchFn }], { signal: controller.signal });
+    await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled());
+    const lookup = cache.getCachedOrFetch('recipe_1', fetchFn);
+    // The lookup still gets its answer when the prefetch is cancelled
+    controller.abort();
+    finishFetch({ id: '1' });
+
+    expect(await lookup).toEqual({ id: '1' });
+    await prefetch;
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should open a result prefetched while the user chooses without fetching it again', async () => {
+    const input = new PassThrough();
+    const fetchFn = vi.fn(async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return { id: '1' };
+    });
+
+    usePromptStreams({ input, output: new PassThrough() });
+
+    // Like searchRecipes: start the prefetch, then wait for the user's choice
+    const prefetch = cache.prefetchIntoCache([{ key: 'recipe_1', fetchFn }]);
+    const choice = question('Enter recipe number: ');
+    // The prompt does not block the prefetch, which finishes before the user answers
+    expect(await prefetch).toBe(1);
+    input.write('1\n');
+    expect(await choice).toBe('1');
+
+    const result = await cache.getCachedOrFetchResult('recipe_1', fetchFn, false, { staleWhileRevalidate: true });
+
+    expect(result.data).toEqual({ id: '1' });
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report the fetch error when nothing is cached', async () => {
+    const fetchFn = vi.fn().mockRejectedValue(new Error('Network error'));
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    await expect(cache.getCachedOrFetch('search_pie', fetchFn)).rejects.toThrow('Network error');
+    log.mockRestore();
+  });
+});
+
+describe('Cache access times', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-cache-'));
+    file = path.join(dir, 'cache.json');
+    setConfig({ cache: { backend: 'json', file } });
+  });
+
+  afterEach(async () => {
+    resetConfig();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should save the time entries were last read without a write per read', async () => {
+    await cache.saveToCache('search_a', ['a']);
+    const saved = await fs.readFile(file, 'utf-8');
+
+    await cache.getFromCache('search_a');
+    expect(await fs.readFile(file, 'utf-8')).toBe(saved);
+
+    await cache.flushAccessTimes();
+    const { data: { search_a: entry } } = JSON.parse(await fs.readFile(file, 'utf-8'));
+    expect(entry.accessedAt).toBeGreaterThanOrEqual(entry.timestamp);
+  });
+});
+
+describe('Memory backend', () => {
+  it('should drop the least recently used entry when full', async () => {
+    const backend = createMemoryBackend({ maxEntries: 2 });
+    await backend.set('a', { timestamp: 1, data: 'a' });
+    await backend.set('b', { timestamp: 1, data: 'b' });
+    await backend.get('a');
+    await backend.set('c', { timestamp: 1, data: 'c' });
+
+    expect((await backend.entries()).map(([key]) => key)).toEqual(['a', 'c']);
+  });
+});
+
+describe('JSON file backend', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-cache-'));
+    file = path.join(dir, 'cache.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should read a cache file written before format versions', async () => {
+    await fs.writeFile(file, JSON.stringify({ a: { timestamp: 1, data: 'a' } }));
+
+    expect(await createJsonFileBackend({ file }).get('a')).toEqual({ timestamp: 1, data: 'a' });
+  });
+
+  it('should move a corrupt cache file aside on the next change', async () => {
+    await fs.writeFile(file, '{"a": {"timestamp": 1, "da');
+    const backend = createJsonFileBackend({ file });
+
+    await expect(backend.get('a')).rejects.toThrow('cache.json is corrupt (not valid JSON)');
+    await backend.set('b', { timestamp: 1, data: 'b' });
+
+    expect(await backend.entries()).toEqual([['b', { timestamp: 1, data: 'b' }]]);
+    const files = await fs.readdir(dir);
+    expect(files.find(name => name.startsWith('cache.json.corrupt-'))).toBeDefined();
+  });
+});
+
+describe('Log file backend', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-cache-'));
+    file = path.join(dir, 'cache.log');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should append one line per change and replay them after a restart', async () => {
+    const backend = createLogFileBackend({ file });
+    await backend.set('a', { timestamp: 1, data: 'a' });
+    await backend.set('b', { timestamp: 1, data: 'b' });
+    await backend.delete(['a']);
+
+    const lines = (await fs.readFile(file, 'utf-8')).trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).op)).toEqual(['set', 'set', 'delete']);
+
+    const restarted = createLogFileBackend({ file });
+    expect(await restarted.entries()).toEqual([['b', { timestamp: 1, data: 'b' }]]);
+  });
+
+  it('should keep the TTL of an entry after a restart', async () => {
+    await createLogFileBackend({ file }).set('a', { timestamp: 1, ttl: 1000, data: 'a' });
+
+    expect(await createLogFileBackend({ file }).get('a')).toEqual({ timestamp: 1, ttl: 1000, data: 'a' });
+  });
+
+  it('should ignore a line cut short by a crash', async () => {
+    await fs.writeFile(file, '{"op":"set","key":"a","timestamp":1,"data":"a"}\n{"op":"set","key":"b","tim');
+
+    const backend = createLogFileBackend({ file });
+
+    expect(await backend.entries()).toEqual([['a', { timestamp: 1, data: 'a' }]]);
+  });
+
+  it('should compact the log once most records are outdated', async () => {
+    const backend = createLogFileBackend({ file, minRecords: 4 });
+    for (let i = 0; i < 4; i++) {
+      await backend.set('a', { timestamp: i, data: i });
+    }
+
+    const lines = (await fs.readFile(file, 'utf-8')).trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0])).toEqual({ op: 'set', key: 'a', timestamp: 3, data: 3 });
+  });
+});
+
+describe('createCacheBackend', () => {
+  it('should reject unknown backends', () => {
+    expect(() => createCacheBackend({ backend: 'redis' })).toThrow('Unknown cache backend "redis"');
+  });
+});
@@ -9,17 +9,27 @@ vi.mock('fs/promises', () => {
   const readFile = vi.fn();
   const writeFile = vi.fn();
   const mkdir = vi.fn();
+  const open = vi.fn();
+  const rename = vi.fn();
+  const unlink = vi.fn();
   return {
     __esModule: true,
-    default: { access, readFile, writeFile, mkdir },
+    default: { access, readFile, writeFile, mkdir, open, rename, unlink },
     access,
     readFile,
     writeFile,
     mkdir,
+    open,
+    rename,
+    unlink,
   };
 });
 
 import * as cache from '../src/cache.js';
+import { CancelledError } from '../src/errors.js';
+import { setConfig, resetConfig, loadConfig, DEFAULT_CACHE_TTLS } from '../src/config.js';
+import { onInstrumentationEvent } from '../src/instrumentation.js';
+import { serializeDataFile } from '../src/data-files.js';
 import * as fs from 'fs/promises';
 
 // Get the cache file path (for reference)
@@ -31,6 +41,41 @@ describe('Cache Module', () => {
   beforeEach(() => {
     vi.resetAllMocks();
     vi.useRealTimers();
+    // Taking the lock file always succeeds
+    fs.open.mockResolvedValue({ close: vi.fn() });
+  });
+
+  describe('getTtl', () => {
+    it('should use the namespace TTL or the default one', () => {
+      expect(cache.getTtl('search_cake')).toBe(DEFAULT_CACHE_TTLS.search);
+      expect(cache.getTtl('recipe_52772')).toBe(DEFAULT_CACHE_TTLS.recipe);
+      expect(cache.getTtl('categories_list')).toBe(DEFAULT_CACHE_TTLS.default);
+    });
+
+    it('should read TTL overrides in seconds from the environment', () => {
+      setConfig({ cacheTtls: loadConfig({ MEALDB_CACHE_TTL_SEARCH: '60', MEALDB_CACHE_TTL_AREA: '120' }).cacheTtls });
+
+      expect(cache.getTtl('search_cake')).toBe(60 * 1000);
+      expect(cache.getTtl('area_italian')).toBe(120 * 1000);
+      expect(cache.getTtl('letters_ab')).toBe(DEFAULT_CACHE_TTLS.letters);
+      resetConfig();
+    });
+  });
+
+  describe('matchesKeyPattern', () => {
+    it('should treat patterns without wildcards as prefixes', () => {
+      expect(cache.matchesKeyPattern('search_chicken', 'search_')).toBe(true);
+      expect(cache.matchesKeyPattern('recipe_1', 'search_')).toBe(false);
+    });
+
+    it('should match wildcard patterns against the whole key', () => {
+      expect(cache.matchesKeyPattern('search_chicken', '*chicken')).toBe(true);
+      expect(cache.matchesKeyPattern('search_chicken_curry', '*chicken')).toBe(false);
+      expect(cache.matchesKeyPattern('letters_ab', 'letters_??')).toBe(true);
+      // Other characters are matched literally
+      expect(cache.matchesKeyPattern('ingredients_{"all":["egg"]}', 'ingredients_{*}')).toBe(true);
+      expect(cache.matchesKeyPattern('searchXpie', 'search.*')).toBe(false);
+    });
   });
 
   describe('initializeCache', () => {
@@ -42,11 +87,11 @@ describe('Cache Module', () => {
 
       await cache.initializeCache();
 
-      // Expect that the directory was created and the file written with an empty object.
+      // Expect that the directory was created and the file written with no entries.
       expect(fs.mkdir).toHaveBeenCalled();
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('cache.json'),
-        JSON.stringify({}, null, 2)
+        serializeDataFile('cache', {})
       );
     });
 
@@ -107,6 +152,40 @@ describe('Cache Module', () => {
     });
   });
 
+  describe('getFromCache with legacy entries', () => {
+    it('should convert raw meals cached before the Recipe model', async () => {
+      const cacheObj = {
+        recipe_1: {
+          timestamp: Date.now(),
+          data: { idMeal: '1', strMeal: 'Old Entry' }
+        }
+      };
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(cacheObj));
+      const result = await cache.getFromCache('recipe_1');
+      expect(result).toMatchObject({ id: '1', name: 'Old Entry', ingredients: [] });
+    });
+  });
+
+  describe('getAllFromCache', () => {
+    it('should return every entry, expired ones included', async () => {
+      const cacheObj = {
+        fresh_key: { timestamp: Date.now(), data: ['Beef'] },
+        old_key: { timestamp: Date.now() - 48 * 60 * 60 * 1000, data: { idMeal: '1', strMeal: 'Old' } }
+      };
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(cacheObj));
+
+      const entries = await cache.getAllFromCache();
+
+      expect(entries.fresh_key).toEqual(['Beef']);
+      expect(entries.old_key).toMatchObject({ id: '1', name: 'Old' });
+    });
+
+    it('should return an empty object if the cache cannot be read', async () => {
+      fs.readFile.mockRejectedValueOnce(new Error('File system error'));
+      expect(await cache.getAllFromCache()).toEqual({});
+    });
+  });
+
   describe('saveToCache', () => {
     it('should save data to cache file', async () => {
       // Simulate that the cache file exists.
@@ -191,5 +270,64 @@ describe('Cache Module', () => {
       const result = await cache.getCachedOrFetch('test_key', fetchFn);
       expect(result).toEqual(expiredCache.test_key.data);
     });
+
+    it('should not fall back to the cache when the fetch is cancelled', async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({}));
+      const fetchFn = vi.fn().mockRejectedValue(new CancelledError());
+      await expect(cache.getCachedOrFetch('test_key', fetchFn)).rejects.toBeInstanceOf(CancelledError);
+      // Only the initial cache lookup reads the file
+      expect(fs.readFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should abort the fetch when the caller cancels', async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({}));
+      const controller = new AbortController();
+      let fetchSignal;
+      const fetchFn = vi.fn(signal => {
+        fetchSignal = signal;
+        return new Promise(() => {});
+      });
+      const promise = cache.getCachedOrFetch('test_key', fetchFn, false, { signal: controller.signal });
+      await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled());
+      controller.abort();
+      await expect(promise).rejects.toBeInstanceOf(CancelledError);
+      expect(fetchSignal.aborted).toBe(true);
+    });
+
+    it('should share one fetch between concurrent calls for the same key', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+      fs.writeFile.mockResolvedValue();
+      const fetchFn = vi.fn().mockResolvedValue({ id: 1 });
+      const before = cache.getCoalescingStats();
+
+      const results = await Promise.all([
+        cache.getCachedOrFetch('shared_key', fetchFn),
+        cache.getCachedOrFetch('shared_key', fetchFn),
+        cache.getCachedOrFetch('shared_key', fetchFn)
+      ]);
+
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      expect(results).toEqual([{ id: 1 }, { id: 1 }, { id: 1 }]);
+      expect(cache.getCoalescingStats().hits - before.hits).toBe(2);
+      expect(cache.getCoalescingStats().inFlight).toBe(0);
+    });
+
+    it('should report cache hits and misses', async () => {
+      const events = [];
+      const unsubscribe = onInstrumentationEvent(event => events.push(event));
+      fs.readFile
+        .mockResolvedValueOnce(JSON.stringify({}))
+        .mockResolvedValueOnce(JSON.stringify({}))
+        .mockResolvedValueOnce(JSON.stringify({ search_cake: { timestamp: Date.now(), data: [] } }));
+      fs.writeFile.mockResolvedValue();
+
+      await cache.getCachedOrFetch('search_cake', vi.fn().mockResolvedValue([]));
+      await cache.getCachedOrFetch('search_cake', vi.fn());
+      unsubscribe();
+
+      expect(events.map(event => event.outcome)).toEqual(['miss', 'hit']);
+      expect(events[0]).toMatchObject({ type: 'cache', key: 'search_cake', namespace: 'search' });
+    });
   });
 });
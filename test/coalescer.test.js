@@ -0,0 +1,54 @@
+// test/coalescer.test.js
+import { describe, it, expect, vi } from 'vitest';
+import { createCoalescer } from '../src/coalescer.js';
+import { CancelledError } from '../src/errors.js';
+
+describe('Coalescer Module', () => {
+  it('should share a pending call and count hits', async () => {
+    const coalescer = createCoalescer();
+    const fn = vi.fn().mockResolvedValue('value');
+
+    const results = await Promise.all([coalescer.run('a', fn), coalescer.run('a', fn), coalescer.run('b', fn)]);
+
+    expect(results).toEqual(['value', 'value', 'value']);
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(coalescer.getStats()).toEqual({ hits: 1, misses: 2, inFlight: 0 });
+
+    coalescer.resetStats();
+    expect(coalescer.getStats()).toEqual({ hits: 0, misses: 0, inFlight: 0 });
+  });
+
+  it('should share failures and start over afterwards', async () => {
+    const coalescer = createCoalescer();
+    const fn = vi.fn().mockRejectedValueOnce(new Error('boom')).mockResolvedValueOnce('retried');
+
+    const failures = await Promise.allSettled([coalescer.run('a', fn), coalescer.run('a', fn)]);
+    expect(failures.map(result => result.reason.message)).toEqual(['boom', 'boom']);
+
+    await expect(coalescer.run('a', fn)).resolves.toBe('retried');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should abort the shared call only when every caller has cancelled', async () => {
+    const coalescer = createCoalescer();
+    let sharedSignal;
+    const fn = signal => {
+      sharedSignal = signal;
+      return new Promise(() => {});
+    };
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const firstCall = coalescer.run('a', fn, first.signal);
+    const secondCall = coalescer.run('a', fn, second.signal);
+
+    first.abort();
+    await expect(firstCall).rejects.toBeInstanceOf(CancelledError);
+    expect(sharedSignal.aborted).toBe(false);
+
+    second.abort();
+    await expect(secondCall).rejects.toBeInstanceOf(CancelledError);
+    expect(sharedSignal.aborted).toBe(true);
+    expect(coalescer.getStats().inFlight).toBe(0);
+  });
+});
@@ -0,0 +1,121 @@
+// test/data-files.test.js
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseDataFile, serializeDataFile, updateDataFile, checkDataFile } from '../src/data-files.js';
+import { DataFileError } from '../src/errors.js';
+
+const meal = { idMeal: '1', strMeal: 'Cake' };
+const favorite = { meal, tags: [], notes: '' };
+// favorites.json data once migrated: every favorite in the default collection
+const favoritesData = { favorites: [favorite], collections: [{ name: 'Favorites', recipeIds: ['1'] }] };
+
+describe('Data Files Module', () => {
+  describe('parseDataFile', () => {
+    it('should read files in the current format', () => {
+      expect(parseDataFile('favorites', serializeDataFile('favorites', favoritesData))).toEqual({ data: favoritesData, version: 4 });
+    });
+
+    it('should migrate files written before format versions', () => {
+      expect(parseDataFile('favorites', JSON.stringify([meal]))).toEqual({ data: favoritesData, version: 1 });
+      expect(parseDataFile('favorites', JSON.stringify({ kind: 'favorites', version: 2, data: [meal] })))
+        .toEqual({ data: favoritesData, version: 2 });
+      expect(parseDataFile('favorites', JSON.stringify({ kind: 'favorites', version: 3, data: [favorite] })))
+        .toEqual({ data: favoritesData, version: 3 });
+    });
+
+    it('should report corrupt contents', () => {
+      expect(() => parseDataFile('favorites', '[{"idMeal": "1"', 'data/favorites.json'))
+        .toThrow('favorites.json is corrupt (not valid JSON)');
+      expect(() => parseDataFile('favorites', JSON.stringify([{ strMeal: 'Cake' }])))
+        .toThrow('favorite 1 has no recipe ID');
+      expect(() => parseDataFile('favorites', serializeDataFile('favorites', { favorites: [{ meal, tags: 'party', notes: '' }], collections: [] })))
+        .toThrow('favorite 1 has invalid tags or notes');
+      expect(() => parseDataFile('favorites', serializeDataFile('favorites', { favorites: [], collections: [{ name: 'Holiday', recipeIds: ['1'] }] })))
+        .toThrow('collection "Holiday" lists recipes that are not favorites');
+      expect(() => parseDataFile('favorites', serializeDataFile('cache', {})))
+        .toThrow('holds cache data');
+      expect(() => parseDataFile('cache', JSON.stringify({ search_a: ['a'] })))
+        .toThrow('invalid entry "search_a"');
+      expect(() => parseDataFile('history', serializeDataFile('history', [
+        { recipeId: '1', date: '2024-05-01', rating: 5, servings: 2, comment: '' },
+        { recipeId: '1', date: '2024-05-02', rating: 6, servings: 2, comment: '' }
+      ]))).toThrow('entry 2 is invalid');
+    });
+
+    it('should refuse files from a newer version without calling them corrupt', () => {
+      const text = JSON.stringify({ kind: 'favorites', version: 99, data: [] });
+
+      let error;
+      try {
+        parseDataFile('favorites', text);
+      } catch (thrown) {
+        error = thrown;
+      }
+
+      expect(error).toBeInstanceOf(DataFileError);
+      expect(error.corrupt).toBe(false);
+      expect(error.message).toContain('newer version');
+    });
+  });
+
+  describe('files on disk', () => {
+    let dir;
+    let file;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-data-'));
+      file = path.join(dir, 'favorites.json');
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should upgrade an old file at startup and keep a copy', async () => {
+      await fs.writeFile(file, JSON.stringify([meal]));
+
+      const report = await checkDataFile(file, 'favorites');
+
+      expect(report).toMatchObject({ status: 'migrated', fromVersion: 1, backup: `${file}.v1.bak` });
+      expect(await fs.readFile(file, 'utf-8')).toBe(serializeDataFile('favorites', favoritesData));
+      expect(await fs.readFile(report.backup, 'utf-8')).toBe(JSON.stringify([meal]));
+      expect(await checkDataFile(file, 'favorites')).toMatchObject({ status: 'ok' });
+    });
+
+    it('should move a corrupt file aside at startup', async () => {
+      await fs.writeFile(file, '[{"idMeal": "1"');
+
+      const report = await checkDataFile(file, 'favorites');
+
+      expect(report.status).toBe('quarantined');
+      expect(report.error.message).toContain('not valid JSON');
+      expect(await fs.readFile(report.quarantinedTo, 'utf-8')).toBe('[{"idMeal": "1"');
+      expect(await fs.readdir(dir)).toEqual([path.basename(report.quarantinedTo)]);
+    });
+
+    it('should leave a file from a newer version alone', async () => {
+      const text = JSON.stringify({ kind: 'favorites', version: 99, data: [] });
+      await fs.writeFile(file, text);
+
+      expect(await checkDataFile(file, 'favorites')).toMatchObject({ status: 'newer' });
+      await expect(updateDataFile(file, 'favorites', () => favoritesData, { quarantineCorrupt: true }))
+        .rejects.toThrow('newer version');
+      expect(await fs.readFile(file, 'utf-8')).toBe(text);
+    });
+
+    it('should never write over a corrupt file unless asked to move it aside', async () => {
+      await fs.writeFile(file, '[{"idMeal": "1"');
+
+      const addFavorite = data => ({ ...data, favorites: [...data.favorites, favorite] });
+
+      await expect(updateDataFile(file, 'favorites', addFavorite)).rejects.toThrow(DataFileError);
+      expect(await fs.readFile(file, 'utf-8')).toBe('[{"idMeal": "1"');
+
+      expect((await updateDataFile(file, 'favorites', addFavorite, { quarantineCorrupt: true })).favorites)
+        .toEqual([favorite]);
+      expect(await fs.readdir(dir)).toHaveLength(2);
+    });
+  });
+});
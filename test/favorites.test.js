@@ -12,18 +12,26 @@ vi.mock('fs/promises', () => {
     readFile: vi.fn(),
     writeFile: vi.fn(),
     mkdir: vi.fn(),
+    open: vi.fn(),
+    rename: vi.fn(),
+    unlink: vi.fn(),
     // Include a default export that references the same functions
     default: {
       access: vi.fn(),
       readFile: vi.fn(),
       writeFile: vi.fn(),
-      mkdir: vi.fn()
+      mkdir: vi.fn(),
+      open: vi.fn(),
+      rename: vi.fn(),
+      unlink: vi.fn()
     }
   };
 });
 
 // Import modules after mocking
 import * as favorites from '../src/favorites.js';
+import { toRecipe, toMeal } from '../src/recipe.js';
+import { serializeDataFile } from '../src/data-files.js';
 import fs from 'fs/promises';
 
 // Spy on console.log and console.error for additional test checks
@@ -35,10 +43,48 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const FAVORITES_FILE = path.join(__dirname, '../data/favorites.json');
 
+// A meal as stored in favorites.json, with no tags or notes yet
+const stored = meal => ({ meal, tags: [], notes: '' });
+
+// favorites.json data holding meals, all of them in the default collection
+const storedData = meals => ({
+  favorites: meals.map(stored),
+  collections: [{ name: 'Favorites', recipeIds: meals.map(meal => meal.idMeal) }]
+});
+
+// favorites.json written before format versions, holding two favorites
+const TWO_FAVORITES = JSON.stringify([
+  { idMeal: '1', strMeal: 'Favorite 1' },
+  { idMeal: '2', strMeal: 'Favorite 2' }
+]);
+
+// Back the file system mocks with in-memory files (by path) and return them
+// A missing file fails to read with ENOENT, like on disk
+function useInMemoryFiles(initialFiles = {}) {
+  const files = new Map(Object.entries(initialFiles));
+  fs.access.mockResolvedValue(undefined);
+  fs.readFile.mockImplementation(async file => {
+    if (!files.has(file)) {
+      throw Object.assign(new Error('File not found'), { code: 'ENOENT' });
+    }
+    return files.get(file);
+  });
+  fs.writeFile.mockImplementation(async (file, data) => {
+    files.set(file, data);
+  });
+  fs.rename.mockImplementation(async (from, to) => {
+    files.set(to, files.get(from));
+    files.delete(from);
+  });
+  return files;
+}
+
 describe('Favorites Module', () => {
   // Reset mocks before each test
   beforeEach(() => {
     vi.resetAllMocks();
+    // Taking the lock file always succeeds
+    fs.open.mockResolvedValue({ close: vi.fn() });
   });
 
   describe('initializeFavorites', () => {
@@ -54,10 +100,10 @@ describe('Favorites Module', () => {
       // Verify that mkdir was called to create the directory
       expect(fs.mkdir).toHaveBeenCalled();
 
-      // Verify that writeFile was called with an empty favorites array
+      // Verify that writeFile was called with no favorites and an empty default collection
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('favorites.json'),
-        JSON.stringify([], null, 2)
+        serializeDataFile('favorites', storedData([]))
       );
     });
 
@@ -90,8 +136,9 @@ describe('Favorites Module', () => {
       // Call the function
       const result = await favorites.getFavorites();
 
-      // Verify result matches mock data
-      expect(result).toEqual(mockFavorites);
+      // Verify stored meals are returned as Recipes
+      expect(result).toEqual(mockFavorites.map(toRecipe));
+      expect(result[0]).toMatchObject({ id: '1', name: 'Favorite 1' });
     });
 
     it('should handle file system errors gracefully', async () => {
@@ -126,7 +173,7 @@ describe('Favorites Module', () => {
       fs.readFile.mockResolvedValueOnce(JSON.stringify(mockExistingFavorites));
 
       // New recipe to add
-      const newRecipe = { idMeal: '2', strMeal: 'New Favorite' };
+      const newRecipe = toRecipe({ idMeal: '2', strMeal: 'New Favorite' });
 
       // Call the function
       const result = await favorites.addFavorite(newRecipe);
@@ -134,10 +181,10 @@ describe('Favorites Module', () => {
       // Verify result is true (add successful)
       expect(result).toBe(true);
 
-      // Verify writeFile was called with combined favorites
+      // Verify writeFile was called with combined favorites in the stored format
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('favorites.json'),
-        JSON.stringify([...mockExistingFavorites, newRecipe], null, 2)
+        serializeDataFile('favorites', storedData([...mockExistingFavorites, toMeal(newRecipe)]))
       );
     });
 
@@ -156,7 +203,7 @@ describe('Favorites Module', () => {
       fs.readFile.mockResolvedValueOnce(JSON.stringify(mockExistingFavorites));
 
       // Call the function with the same recipe
-      const result = await favorites.addFavorite(existingRecipe);
+      const result = await favorites.addFavorite(toRecipe(existingRecipe));
 
       // Verify result is false (add skipped)
       expect(result).toBe(false);
@@ -165,6 +212,19 @@ describe('Favorites Module', () => {
       expect(fs.writeFile).not.toHaveBeenCalled();
     });
 
+    it('should not write over a corrupt favorites file', async () => {
+      // The file exists but was cut short
+      fs.access.mockResolvedValueOnce(undefined);
+      fs.readFile.mockResolvedValueOnce('[{"idMeal": "1", "strMeal": "Fav');
+
+      const result = await favorites.addFavorite(toRecipe({ idMeal: '2', strMeal: 'New Favorite' }));
+
+      // Verify result is false and the user's favorites were left alone
+      expect(result).toBe(false);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(fs.rename).not.toHaveBeenCalled();
+    });
+
     it('should handle file system errors gracefully', async () => {
       // For initializeFavorites, simulate file exists so no creation is needed
       fs.access.mockResolvedValueOnce(undefined);
@@ -178,7 +238,7 @@ describe('Favorites Module', () => {
       // Spy on writeFile to check that it was indeed attempted
       const writeFileSpy = vi.spyOn(fs, 'writeFile');
 
-      const result = await favorites.addFavorite({ idMeal: '1', strMeal: 'Test Recipe' });
+      const result = await favorites.addFavorite(toRecipe({ idMeal: '1', strMeal: 'Test Recipe' }));
 
       // Verify result is false (add failed)
       expect(result).toBe(false);
@@ -194,6 +254,218 @@ describe('Favorites Module', () => {
     });
   });
 
+  describe('concurrent changes', () => {
+    it('should not lose favorites added and removed at the same time', async () => {
+      const files = useInMemoryFiles({ [FAVORITES_FILE]: JSON.stringify([{ idMeal: 'old', strMeal: 'Old Favorite' }]) });
+
+      const results = await Promise.all([
+        ...Array.from({ length: 20 }, (_, i) => favorites.addFavorite(toRecipe({ idMeal: String(i), strMeal: `Recipe ${i}` }))),
+        favorites.removeFavorite('old')
+      ]);
+
+      expect(results.every(Boolean)).toBe(true);
+      const { data } = JSON.parse(files.get(FAVORITES_FILE));
+      expect(data.favorites.map(favorite => favorite.meal.idMeal))
+        .toEqual(Array.from({ length: 20 }, (_, i) => String(i)));
+      expect(data.collections[0].recipeIds).toEqual(Array.from({ length: 20 }, (_, i) => String(i)));
+      // Every write went through a temporary file renamed over favorites.json
+      expect(fs.rename).toHaveBeenCalledTimes(21);
+      expect(Array.from(files.keys())).toEqual([FAVORITES_FILE]);
+    });
+  });
+
+  describe('tags and notes', () => {
+    let files;
+
+    beforeEach(() => {
+      files = useInMemoryFiles({ [FAVORITES_FILE]: TWO_FAVORITES });
+    });
+
+    it('should normalize tags', () => {
+      expect(favorites.normalizeTags(' Weeknight, Kids  Approved,,weeknight ')).toEqual(['weeknight', 'kids-approved']);
+      expect(favorites.normalizeTags(['Party'])).toEqual(['party']);
+    });
+
+    it('should add and remove tags and save notes', async () => {
+      expect(await favorites.addTags('1', 'weeknight, party')).toBe(true);
+      expect(await favorites.addTags('1', 'Party')).toBe(false);
+      expect(await favorites.removeTags('1', ['party'])).toBe(true);
+      expect(await favorites.setNotes('1', ' Double the garlic ')).toBe(true);
+
+      expect(await favorites.getFavoriteEntry('1')).toEqual({
+        recipe: toRecipe({ idMeal: '1', strMeal: 'Favorite 1' }),
+        tags: ['weeknight'],
+        notes: 'Double the garlic'
+      });
+    });
+
+    it('should not change recipes that are not favorites', async () => {
+      expect(await favorites.addTags('3', 'party')).toBe(false);
+      expect(await favorites.setNotes('3', 'Notes')).toBe(false);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should list tags and filter favorites by tag', async () => {
+      await favorites.addTags('1', 'weeknight, party');
+      await favorites.addTags('2', 'weeknight');
+
+      expect(await favorites.listTags()).toEqual([{ tag: 'party', count: 1 }, { tag: 'weeknight', count: 2 }]);
+      expect((await favorites.getFavoritesByTag('Weeknight')).map(recipe => recipe.id)).toEqual(['1', '2']);
+      expect((await favorites.getFavoritesByTag('party')).map(recipe => recipe.id)).toEqual(['1']);
+    });
+
+    it('should keep tags and notes given when adding a favorite', async () => {
+      await favorites.addFavorite(toRecipe({ idMeal: '3', strMeal: 'Favorite 3' }), { tags: 'Party', notes: 'For birthdays' });
+
+      expect(await favorites.getFavoriteEntry('3')).toMatchObject({ tags: ['party'], notes: 'For birthdays' });
+    });
+  });
+
+  describe('collections', () => {
+    let files;
+
+    beforeEach(() => {
+      files = useInMemoryFiles({ [FAVORITES_FILE]: TWO_FAVORITES });
+    });
+
+    const recipeIds = recipes => recipes.map(recipe => recipe.id);
+
+    it('should start with every existing favorite in the default collection', async () => {
+      expect(await favorites.listCollections()).toEqual([{ name: 'Favorites', count: 2 }]);
+      expect(recipeIds(await favorites.getCollectionRecipes('favorites'))).toEqual(['1', '2']);
+      expect(await favorites.getCollectionRecipes('Holiday')).toBeNull();
+    });
+
+    it('should create, rename and delete collections', async () => {
+      expect(await favorites.createCollection(' Holiday ')).toBe(true);
+      expect(await favorites.createCollection('holiday')).toBe(false);
+      expect(await favorites.createCollection('  ')).toBe(false);
+      expect(await favorites.renameCollection('HOLIDAY', 'Christmas')).toBe(true);
+      expect(await favorites.renameCollection('Christmas', 'Favorites')).toBe(false);
+      expect(await favorites.renameCollection('Easter', 'Spring')).toBe(false);
+
+      expect(await favorites.listCollections()).toEqual([{ name: 'Favorites', count: 2 }, { name: 'Christmas', count: 0 }]);
+
+      await favorites.addToCollection('Christmas', toRecipe({ idMeal: '1', strMeal: 'Favorite 1' }));
+      expect(await favorites.deleteCollection('christmas')).toBe(true);
+      expect(await favorites.deleteCollection('christmas')).toBe(false);
+      expect(await favorites.listCollections()).toEqual([{ name: 'Favorites', count: 2 }]);
+      // Deleting a collection keeps its favorites
+      expect(recipeIds(await favorites.getFavorites())).toEqual(['1', '2']);
+    });
+
+    it('should keep the default collection new favorites go to', async () => {
+      expect(favorites.isDefaultCollection(' FAVORITES ')).toBe(true);
+      expect(await favorites.deleteCollection('Favorites')).toBe(false);
+      expect(await favorites.renameCollection('Favorites', 'Everything')).toBe(false);
+
+      await favorites.addFavorite(toRecipe({ idMeal: '3', strMeal: 'Favorite 3' }));
+      expect(await favorites.listCollections()).toEqual([{ name: 'Favorites', count: 3 }]);
+    });
+
+    it('should keep a recipe in several collections', async () => {
+      await favorites.createCollection('Meal prep');
+      const newRecipe = toRecipe({ idMeal: '3', strMeal: 'Favorite 3' });
+
+      expect(await favorites.addToCollection('Meal prep', newRecipe)).toBe(true);
+      expect(await favorites.addToCollection('Meal prep', newRecipe)).toBe(false);
+      expect(await favorites.addToCollection('Favorites', newRecipe)).toBe(true);
+      expect(await favorites.addToCollection('Meal prep', toRecipe({ idMeal: '1', strMeal: 'Favorite 1' }))).toBe(true);
+
+      // Adding to a collection makes the recipe a favorite, once
+      expect(recipeIds(await favorites.getFavorites())).toEqual(['1', '2', '3']);
+      expect(await favorites.getRecipeCollections('3')).toEqual(['Favorites', 'Meal prep']);
+      expect(recipeIds(await favorites.getCollectionRecipes('Meal prep'))).toEqual(['3', '1']);
+
+      expect(await favorites.removeFromCollection('Meal prep', '3')).toBe(true);
+      expect(await favorites.removeFromCollection('Meal prep', '3')).toBe(false);
+      expect(await favorites.isInFavorites('3')).toBe(true);
+    });
+
+    it('should add new favorites to the chosen collections and remove them from all', async () => {
+      await favorites.createCollection('Try next');
+      await favorites.addFavorite(toRecipe({ idMeal: '3', strMeal: 'Favorite 3' }), { collections: ['try next', 'Unknown'] });
+      await favorites.addFavorite(toRecipe({ idMeal: '4', strMeal: 'Favorite 4' }));
+
+      expect(await favorites.getRecipeCollections('3')).toEqual(['Try next']);
+      expect(await favorites.getRecipeCollections('4')).toEqual(['Favorites']);
+
+      await favorites.removeFavorite('1');
+      expect(await favorites.listCollections()).toEqual([{ name: 'Favorites', count: 2 }, { name: 'Try next', count: 1 }]);
+    });
+  });
+
+  describe('cooking history', () => {
+    const HISTORY_FILE = path.join(__dirname, '../data/cooking-history.json');
+    let files;
+
+    beforeEach(() => {
+      // Start with two favorites and no history
+      files = useInMemoryFiles({ [FAVORITES_FILE]: TWO_FAVORITES });
+    });
+
+    it('should log cooking and return the history most recent first', async () => {
+      expect(await favorites.logCooking('1', { date: '2024-04-10', rating: 4, servings: 2 })).toBe(true);
+      expect(await favorites.logCooking('2', { date: '2024-05-01', rating: 3, servings: 4, comment: ' Too dry ' })).toBe(true);
+      expect(await favorites.logCooking('1', { date: '2024-05-01', rating: 5, servings: 2 })).toBe(true);
+
+      expect((await favorites.getCookingHistory()).map(entry => `${entry.recipeId} ${entry.date}`))
+        .toEqual(['1 2024-05-01', '2 2024-05-01', '1 2024-04-10']);
+      expect(await favorites.getCookingHistory('2')).toEqual([
+        { recipeId: '2', date: '2024-05-01', rating: 3, servings: 4, comment: 'Too dry' }
+      ]);
+      expect(JSON.parse(files.get(HISTORY_FILE)).kind).toBe('history');
+    });
+
+    it('should refuse invalid dates, ratings and servings', async () => {
+      expect(await favorites.logCooking('1', { date: '2023-02-29', rating: 4, servings: 2 })).toBe(false);
+      expect(await favorites.logCooking('1', { date: '2024-05-01', rating: 6, servings: 2 })).toBe(false);
+      expect(await favorites.logCooking('1', { date: '2024-05-01', rating: 4, servings: 0 })).toBe(false);
+
+      expect(files.has(HISTORY_FILE)).toBe(false);
+      expect(await favorites.getCookingHistory()).toEqual([]);
+    });
+
+    it('should only log favorites', async () => {
+      expect(await favorites.logCooking('3', { date: '2024-05-01', rating: 4, servings: 2 })).toBe(false);
+
+      expect(files.has(HISTORY_FILE)).toBe(false);
+    });
+
+    it('should remove the history of a recipe removed from favorites', async () => {
+      await favorites.logCooking('1', { date: '2024-05-01', rating: 4, servings: 2 });
+      await favorites.logCooking('2', { date: '2024-05-02', rating: 5, servings: 2 });
+
+      expect(await favorites.removeFavorite('1')).toBe(true);
+
+      expect((await favorites.getCookingHistory()).map(entry => entry.recipeId)).toEqual(['2']);
+    });
+
+    it('should default the date to today', async () => {
+      await favorites.logCooking('1', { rating: 4, servings: 2 });
+
+      const [entry] = await favorites.getCookingHistory('1');
+      expect(favorites.isValidDate(entry.date)).toBe(true);
+    });
+
+    it('should sort favorites by rating, times cooked and last cooked', () => {
+      const recipes = ['1', '2', '3'].map(id => toRecipe({ idMeal: id, strMeal: `Favorite ${id}` }));
+      const summaries = favorites.summarizeCooking([
+        { recipeId: '2', date: '2024-05-01', rating: 3, servings: 2, comment: '' },
+        { recipeId: '2', date: '2024-03-01', rating: 4, servings: 2, comment: '' },
+        { recipeId: '1', date: '2024-04-10', rating: 5, servings: 2, comment: '' }
+      ]);
+      const sortedIds = order => favorites.sortFavorites(recipes, order, summaries).map(recipe => recipe.id);
+
+      expect(summaries.get('2')).toEqual({ timesCooked: 2, averageRating: 3.5, lastCooked: '2024-05-01' });
+      expect(sortedIds('added')).toEqual(['1', '2', '3']);
+      expect(sortedIds('rating')).toEqual(['1', '2', '3']);
+      expect(sortedIds('cooked')).toEqual(['2', '1', '3']);
+      expect(sortedIds('forgotten')).toEqual(['3', '1', '2']);
+      expect(() => sortedIds('name')).toThrow('Unknown sort order');
+    });
+  });
+
   describe('removeFavorite', () => {
     it('should remove a recipe from favorites', async () => {
       // Mock existing favorites
@@ -220,7 +492,7 @@ describe('Favorites Module', () => {
       // Verify writeFile was called with updated favorites (only recipe with ID '2')
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('favorites.json'),
-        JSON.stringify([{ idMeal: '2', strMeal: 'Favorite 2' }], null, 2)
+        serializeDataFile('favorites', storedData([{ idMeal: '2', strMeal: 'Favorite 2' }]))
       );
     });
 
@@ -333,7 +605,7 @@ describe('Favorites Module', () => {
       const result = await favorites.getFavoriteById('1');
 
       // Verify result is the correct recipe
-      expect(result).toEqual({ idMeal: '1', strMeal: 'Favorite 1' });
+      expect(result).toEqual(toRecipe({ idMeal: '1', strMeal: 'Favorite 1' }));
     });
 
     it('should return null if recipe is not found', async () => {
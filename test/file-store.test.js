@@ -0,0 +1,121 @@
+// test/file-store.test.js
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { writeFileAtomic, withFileLock, updateJsonFile } from '../src/file-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const FILE_STORE_URL = pathToFileURL(path.join(__dirname, '../src/file-store.js')).href;
+
+// Add 1 to the counter in a JSON file, `times` times, from a separate Node.js process
+function incrementInChildProcess(file, times) {
+  const script = `
+    const { updateJsonFile } = await import(${JSON.stringify(FILE_STORE_URL)});
+    for (let i = 0; i < ${times}; i++) {
+      await updateJsonFile(${JSON.stringify(file)}, data => ({ count: data.count + 1 }), { fallback: { count: 0 } });
+    }
+  `;
+  return promisify(execFile)(process.execPath, ['--input-type=module', '-e', script]);
+}
+
+describe('File Store Module', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-store-'));
+    file = path.join(dir, 'data.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('writeFileAtomic', () => {
+    it('should replace the file without leaving temporary files', async () => {
+      await fs.writeFile(file, 'old');
+
+      await writeFileAtomic(file, 'new');
+
+      expect(await fs.readFile(file, 'utf-8')).toBe('new');
+      expect(await fs.readdir(dir)).toEqual(['data.json']);
+    });
+  });
+
+  describe('withFileLock', () => {
+    it('should run operations on the same file one at a time, in call order', async () => {
+      const order = [];
+      const slow = withFileLock(file, async () => {
+        order.push('slow start');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        order.push('slow end');
+      });
+      const fast = withFileLock(file, async () => {
+        order.push('fast');
+      });
+
+      await Promise.all([slow, fast]);
+
+      expect(order).toEqual(['slow start', 'slow end', 'fast']);
+      expect(await fs.readdir(dir)).toEqual([]);
+    });
+
+    it('should release the lock when the operation fails', async () => {
+      await expect(withFileLock(file, async () => {
+        throw new Error('Write error');
+      })).rejects.toThrow('Write error');
+
+      expect(await withFileLock(file, async () => 'next')).toBe('next');
+    });
+
+    it('should wait for a lock held by another process and give up after the timeout', async () => {
+      await fs.writeFile(`${file}.lock`, '');
+
+      await expect(withFileLock(file, async () => 'never', { timeoutMs: 50 }))
+        .rejects.toThrow('Timed out waiting for the lock');
+    });
+
+    it('should break a lock left behind by a crashed process', async () => {
+      await fs.writeFile(`${file}.lock`, '');
+      const longAgo = new Date(Date.now() - 60 * 1000);
+      await fs.utimes(`${file}.lock`, longAgo, longAgo);
+
+      expect(await withFileLock(file, async () => 'done', { timeoutMs: 50 })).toBe('done');
+    });
+  });
+
+  describe('updateJsonFile', () => {
+    it('should not lose updates made concurrently', async () => {
+      const updates = Array.from({ length: 50 }, (_, i) =>
+        updateJsonFile(file, data => ({ ...data, [`key${i}`]: i }), { fallback: {} })
+      );
+
+      await Promise.all(updates);
+
+      expect(Object.keys(JSON.parse(await fs.readFile(file, 'utf-8')))).toHaveLength(50);
+    });
+
+    it('should skip the write when the update returns undefined', async () => {
+      await fs.writeFile(file, '{"a":1}');
+
+      expect(await updateJsonFile(file, () => undefined)).toEqual({ a: 1 });
+      expect(await fs.readFile(file, 'utf-8')).toBe('{"a":1}');
+    });
+
+    it('should not lose updates made by several processes at once', async () => {
+      await Promise.all([
+        incrementInChildProcess(file, 25),
+        incrementInChildProcess(file, 25),
+        incrementInChildProcess(file, 25)
+      ]);
+
+      expect(JSON.parse(await fs.readFile(file, 'utf-8'))).toEqual({ count: 75 });
+      expect(await fs.readdir(dir)).toEqual(['data.json']);
+    }, 20000);
+  });
+});
@@ -0,0 +1,154 @@
+// test/metrics.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Keep the stats file in memory
+const { files } = vi.hoisted(() => ({ files: new Map() }));
+
+vi.mock('fs/promises', () => {
+  const readFile = vi.fn(async file => {
+    if (!files.has(file)) {
+      throw Object.assign(new Error('File not found'), { code: 'ENOENT' });
+    }
+    return files.get(file);
+  });
+  const writeFile = vi.fn(async (file, data) => {
+    files.set(file, data);
+  });
+  const mkdir = vi.fn(async () => {});
+  // Taking the lock file always succeeds
+  const open = vi.fn(async () => ({ close: async () => {} }));
+  const rename = vi.fn(async (from, to) => {
+    files.set(to, files.get(from));
+    files.delete(from);
+  });
+  const unlink = vi.fn(async file => {
+    files.delete(file);
+  });
+  return {
+    default: { readFile, writeFile, mkdir, open, rename, unlink },
+    readFile,
+    writeFile,
+    mkdir,
+    open,
+    rename,
+    unlink
+  };
+});
+
+import {
+  MAX_LATENCY_SAMPLES,
+  percentile,
+  mergeSnapshots,
+  summarizeMetrics,
+  createMetricsCollector,
+  loadStats,
+  saveSessionStats
+} from '../src/metrics.js';
+
+// A request event as emitted by api.js
+function request(endpoint, latencyMs, overrides = {}) {
+  return { type: 'request', endpoint, latencyMs, status: 200, retries: 0, outcome: 'success', error: null, timestamp: 1000, ...overrides };
+}
+
+describe('Metrics Module', () => {
+  beforeEach(() => {
+    files.clear();
+  });
+
+  describe('percentile', () => {
+    it('should use the nearest rank', () => {
+      const values = [50, 10, 40, 20, 30];
+
+      expect(percentile(values, 50)).toBe(30);
+      expect(percentile(values, 90)).toBe(50);
+      expect(percentile(values, 0)).toBe(10);
+      expect(percentile([], 50)).toBeNull();
+    });
+  });
+
+  describe('createMetricsCollector', () => {
+    it('should count requests, failures and retries per endpoint', () => {
+      const collector = createMetricsCollector();
+
+      collector.record(request('search.php', 100));
+      collector.record(request('search.php', 300, { retries: 2, status: 503, outcome: 'error', error: 'HttpError' }));
+      collector.record(request('lookup.php', 50));
+      collector.record(request('lookup.php', 9000, { status: null, outcome: 'cancelled', error: 'CancelledError' }));
+
+      const summary = collector.getSummary();
+
+      expect(summary.since).toBe(1000);
+      expect(summary.requests).toMatchObject({ count: 4, errors: 1, cancelled: 1, retries: 2 });
+      // Cancelled requests are left out of the latency figures
+      expect(summary.requests.latency).toEqual({ p50: 100, p90: 300, p99: 300, max: 300 });
+      expect(summary.endpoints.map(stats => stats.endpoint)).toEqual(['lookup.php', 'search.php']);
+      expect(summary.statuses).toEqual({ 200: 2, 503: 1 });
+    });
+
+    it('should count cache outcomes and the hit rate', () => {
+      const collector = createMetricsCollector();
+
+      ['hit', 'hit', 'hit', 'miss', 'evicted'].forEach(outcome => collector.record({ type: 'cache', key: 'search_cake', outcome }));
+
+      // Evictions are not lookups
+      expect(collector.getSummary().cache).toEqual({ hit: 3, miss: 1, stale: 0, evicted: 1, lookups: 4, hitRate: 0.75 });
+    });
+
+    it('should keep a bounded number of latency samples', () => {
+      const collector = createMetricsCollector();
+
+      for (let i = 0; i < MAX_LATENCY_SAMPLES + 10; i++) {
+        collector.record(request('random.php', i));
+      }
+
+      const { requests } = collector.getSnapshot();
+      expect(requests['random.php'].count).toBe(MAX_LATENCY_SAMPLES + 10);
+      expect(requests['random.php'].latencies).toHaveLength(MAX_LATENCY_SAMPLES);
+      expect(requests['random.php'].latencies[0]).toBe(10);
+    });
+  });
+
+  describe('mergeSnapshots', () => {
+    it('should add up two snapshots', () => {
+      const first = createMetricsCollector();
+      const second = createMetricsCollector();
+      first.record(request('search.php', 100));
+      first.record({ type: 'cache', key: 'search_cake', outcome: 'miss', timestamp: 2000 });
+      second.record(request('search.php', 200, { timestamp: 500 }));
+
+      const summary = summarizeMetrics(mergeSnapshots(first.getSnapshot(), second.getSnapshot()));
+
+      expect(summary.since).toBe(500);
+      expect(summary.endpoints[0]).toMatchObject({ endpoint: 'search.php', count: 2 });
+      expect(summary.cache.miss).toBe(1);
+    });
+  });
+
+  describe('saveSessionStats', () => {
+    it('should add each session to the saved totals', async () => {
+      const session = createMetricsCollector();
+      session.record(request('search.php', 100));
+
+      await saveSessionStats(session.getSnapshot());
+      const totals = await saveSessionStats(session.getSnapshot());
+
+      expect(totals.requests['search.php'].count).toBe(2);
+      expect((await loadStats()).requests['search.php'].count).toBe(2);
+    });
+
+    it('should not lose sessions saved at the same time', async () => {
+      const session = createMetricsCollector();
+      session.record(request('search.php', 100));
+
+      await Promise.all([saveSessionStats(session.getSnapshot()), saveSessionStats(session.getSnapshot())]);
+
+      expect((await loadStats()).requests['search.php'].count).toBe(2);
+      // Written through a temporary file renamed over stats.json
+      expect(Array.from(files.keys())).toEqual([expect.stringMatching(/stats\.json$/)]);
+    });
+
+    it('should start from nothing without a stats file', async () => {
+      expect(summarizeMetrics(await loadStats()).requests.count).toBe(0);
+    });
+  });
+});
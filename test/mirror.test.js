@@ -0,0 +1,211 @@
+// test/mirror.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Keep the mirror file in memory
+const { files } = vi.hoisted(() => ({ files: new Map() }));
+
+vi.mock('fs/promises', () => {
+  const readFile = vi.fn(async file => {
+    if (!files.has(file)) {
+      throw Object.assign(new Error('File not found'), { code: 'ENOENT' });
+    }
+    return files.get(file);
+  });
+  const writeFile = vi.fn(async (file, data) => {
+    files.set(file, data);
+  });
+  const mkdir = vi.fn(async () => {});
+  const rename = vi.fn(async (from, to) => {
+    files.set(to, files.get(from));
+    files.delete(from);
+  });
+  const unlink = vi.fn(async file => {
+    files.delete(file);
+  });
+  return {
+    default: { readFile, writeFile, mkdir, rename, unlink },
+    readFile,
+    writeFile,
+    mkdir,
+    rename,
+    unlink
+  };
+});
+
+vi.mock('../src/api.js', () => ({
+  searchMealsByFirstLetter: vi.fn()
+}));
+
+import * as mirror from '../src/mirror.js';
+import * as api from '../src/api.js';
+import { toRecipe } from '../src/recipe.js';
+import { NotFoundError, CancelledError, NetworkError } from '../src/errors.js';
+
+// Catalog served by the mocked API
+const catalog = [
+  toRecipe({
+    idMeal: '1',
+    strMeal: 'Arrabiata',
+    strCategory: 'Vegetarian',
+    strArea: 'Italian',
+    strIngredient1: 'Penne',
+    strIngredient2: 'Garlic'
+  }),
+  toRecipe({
+    idMeal: '2',
+    strMeal: 'Beef Wellington',
+    strCategory: 'Beef',
+    strArea: 'British',
+    strIngredient1: 'Beef',
+    strIngredient2: 'Double Cream'
+  }),
+  toRecipe({
+    idMeal: '3',
+    strMeal: 'Bread and Garlic',
+    strCategory: 'Side',
+    strArea: 'Italian',
+    strIngredient1: 'Bread',
+    strIngredient2: 'Garlic'
+  })
+];
+
+function serveCatalog(recipes) {
+  api.searchMealsByFirstLetter.mockImplementation(async ([letter]) =>
+    recipes.filter(recipe => recipe.name.toLowerCase().startsWith(letter))
+  );
+}
+
+describe('Mirror Module', () => {
+  beforeEach(() => {
+    files.clear();
+    vi.clearAllMocks();
+    serveCatalog(catalog);
+  });
+
+  describe('syncMirror', () => {
+    it('should crawl every letter and record when it finished', async () => {
+      const onProgress = vi.fn();
+
+      const status = await mirror.syncMirror({ onProgress });
+
+      expect(api.searchMealsByFirstLetter).toHaveBeenCalledTimes(26);
+      expect(onProgress).toHaveBeenCalledTimes(26);
+      expect(onProgress).toHaveBeenLastCalledWith({ letter: 'z', completedLetters: 26, totalLetters: 26, recipeCount: 3 });
+      expect(status).toMatchObject({ recipeCount: 3, complete: true });
+      expect(status.lastSynced).toEqual(expect.any(Number));
+    });
+
+    it('should resume an interrupted sync with the remaining letters', async () => {
+      api.searchMealsByFirstLetter.mockImplementation(async ([letter]) => {
+        if (letter === 'c') {
+          throw new NetworkError('offline');
+        }
+        return catalog.filter(recipe => recipe.name.toLowerCase().startsWith(letter));
+      });
+
+      await expect(mirror.syncMirror()).rejects.toBeInstanceOf(NetworkError);
+      expect(await mirror.getMirrorStatus()).toMatchObject({ completedLetters: 2, lastSynced: null, recipeCount: 3 });
+      // A partly synced mirror has data, but cannot stand in for TheMealDB
+      expect(await mirror.hasMirror()).toBe(true);
+      expect(await mirror.hasCompleteMirror()).toBe(false);
+
+      serveCatalog(catalog);
+      api.searchMealsByFirstLetter.mockClear();
+      const status = await mirror.syncMirror();
+
+      expect(api.searchMealsByFirstLetter).toHaveBeenCalledTimes(24);
+      expect(api.searchMealsByFirstLetter.mock.calls[0][0]).toEqual(['c']);
+      expect(status.complete).toBe(true);
+      expect(await mirror.hasCompleteMirror()).toBe(true);
+    });
+
+    it('should keep progress when cancelled', async () => {
+      const controller = new AbortController();
+
+      const sync = mirror.syncMirror({
+        signal: controller.signal,
+        onProgress: ({ completedLetters }) => {
+          if (completedLetters === 3) {
+            controller.abort();
+          }
+        }
+      });
+
+      await expect(sync).rejects.toBeInstanceOf(CancelledError);
+      expect((await mirror.getMirrorStatus()).completedLetters).toBe(3);
+      // Every save replaced the file through a temporary one
+      expect(Array.from(files.keys())).toEqual([expect.stringMatching(/mirror\.json$/)]);
+    });
+
+    it('should drop recipes that disappeared when syncing again', async () => {
+      await mirror.syncMirror();
+
+      serveCatalog(catalog.filter(recipe => recipe.id !== '2'));
+      const status = await mirror.syncMirror();
+
+      expect(status.recipeCount).toBe(2);
+      await expect(mirror.getMealById('2')).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('queries', () => {
+    beforeEach(async () => {
+      await mirror.syncMirror();
+    });
+
+    it('should report that the mirror has data', async () => {
+      expect(await mirror.hasMirror()).toBe(true);
+    });
+
+    it('should search by name and first letter', async () => {
+      expect((await mirror.searchMealsByName('bread')).map(recipe => recipe.id)).toEqual(['3']);
+      expect((await mirror.searchMealsByFirstLetter(['b'])).map(recipe => recipe.id)).toEqual(['2', '3']);
+    });
+
+    it('should look recipes up by ID', async () => {
+      expect((await mirror.getMealById('1')).name).toBe('Arrabiata');
+      await expect(mirror.getMealById('999')).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should filter by ingredient, category and area', async () => {
+      expect((await mirror.getMealsByIngredient('garlic')).map(recipe => recipe.id)).toEqual(['1', '3']);
+      expect((await mirror.getMealsByCategory('beef')).map(recipe => recipe.id)).toEqual(['2']);
+      expect((await mirror.getMealsByArea('Italian')).map(recipe => recipe.id)).toEqual(['1', '3']);
+    });
+
+    it('should combine ingredient criteria', async () => {
+      const result = await mirror.searchMealsByIngredients({ all: ['garlic'], none: ['penne'] });
+      expect(result.map(recipe => recipe.id)).toEqual(['3']);
+
+      // "cream" only excludes "Double Cream" when verifying exclusions
+      const loose = await mirror.searchMealsByIngredients({ any: ['beef', 'bread'], none: ['cream'] });
+      const verified = await mirror.searchMealsByIngredients({ any: ['beef', 'bread'], none: ['cream'] }, { verifyExclusions: true });
+      expect(loose.map(recipe => recipe.id)).toEqual(['2', '3']);
+      expect(verified.map(recipe => recipe.id)).toEqual(['3']);
+    });
+
+    it('should rank related recipes across categories', async () => {
+      const related = await mirror.getRelatedRecipes(catalog[0]);
+
+      expect(related).toEqual([{ recipe: catalog[2], score: 1 / 3, sharedIngredients: ['Garlic'] }]);
+    });
+
+    it('should pick different random recipes, skipping excluded ones', async () => {
+      const picked = await mirror.getRandomMeals(5, { excludeIds: ['2'] });
+
+      expect(picked.map(recipe => recipe.id).sort()).toEqual(['1', '3']);
+      expect(await mirror.getRandomMeals(1)).toHaveLength(1);
+    });
+
+    it('should list categories, areas and ingredients', async () => {
+      expect(await mirror.listCategories()).toEqual(['Beef', 'Side', 'Vegetarian']);
+      expect(await mirror.listAreas()).toEqual(['British', 'Italian']);
+      expect(await mirror.listIngredients()).toContain('Double Cream');
+    });
+  });
+
+  it('should be empty before the first sync', async () => {
+    expect(await mirror.hasMirror()).toBe(false);
+    expect(await mirror.searchMealsByName('a')).toEqual([]);
+  });
+});
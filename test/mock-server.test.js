@@ -0,0 +1,100 @@
+// test/mock-server.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import * as api from '../src/api.js';
+import { setConfig, resetConfig, loadConfig, DEFAULT_API_BASE_URL } from '../src/config.js';
+import { startMockServer } from '../utils/mock-server.js';
+
+describe('Configuration', () => {
+  it('should default to TheMealDB API', () => {
+    expect(loadConfig({}).apiBaseUrl).toBe(DEFAULT_API_BASE_URL);
+  });
+
+  it('should read the base URL from MEALDB_BASE_URL', () => {
+    const config = loadConfig({ MEALDB_BASE_URL: 'http://mirror.local/api' });
+    expect(config.apiBaseUrl).toBe('http://mirror.local/api');
+  });
+});
+
+describe('API against the mock server', () => {
+  let server;
+
+  // Start the local stand-in and point the API module at it
+  beforeAll(async () => {
+    server = await startMockServer({ port: 0 });
+    setConfig({ apiBaseUrl: server.baseUrl });
+  });
+
+  afterAll(async () => {
+    resetConfig();
+    await server.close();
+  });
+
+  it('should search meals by name', async () => {
+    const result = await api.searchMealsByName('chicken');
+
+    // Verify every result matches the search term
+    expect(result.length).toBeGreaterThan(0);
+    result.forEach(recipe => expect(recipe.name.toLowerCase()).toContain('chicken'));
+  });
+
+  it('should return an empty array when nothing matches', async () => {
+    const result = await api.searchMealsByName('no such meal');
+    expect(result).toEqual([]);
+  });
+
+  it('should look up a meal by ID', async () => {
+    const result = await api.getMealById('52772');
+    expect(result.name).toBe('Teriyaki Chicken Casserole');
+    expect(result.ingredients).toContainEqual({ name: 'soy sauce', measure: '3/4 cup' });
+  });
+
+  it('should search meals by first letter', async () => {
+    const result = await api.searchMealsByFirstLetter(['b', 'l']);
+    const names = result.map(recipe => recipe.name);
+
+    expect(names).toContain('Beef Wellington');
+    expect(names).toContain('Lasagne');
+  });
+
+  it('should filter meals by ingredient', async () => {
+    const result = await api.getMealsByIngredient('garlic');
+    const ids = result.map(recipe => recipe.id);
+
+    expect(ids).toContain('52771');
+    expect(ids).not.toContain('52803');
+  });
+
+  it('should rank related recipes by shared ingredients', async () => {
+    const recipe = await api.getMealById('52803');
+    const result = await api.getRelatedRecipes(recipe);
+
+    expect(result.map(entry => entry.recipe.id)).toEqual(['52874', '52959', '52771']);
+    expect(result[0].sharedIngredients).toEqual(['English Mustard', 'Puff Pastry']);
+    expect(result[0].score).toBeCloseTo(2 / 15);
+  });
+
+  it('should list categories, areas and ingredients', async () => {
+    const [categories, areas, ingredients] = await Promise.all([
+      api.listCategories(),
+      api.listAreas(),
+      api.listIngredients()
+    ]);
+
+    expect(categories).toContain('Seafood');
+    expect(areas).toContain('Italian');
+    expect(ingredients).toContain('garlic');
+  });
+
+  it('should filter meals by area and category', async () => {
+    const italian = await api.getMealsByArea('Italian');
+    const pasta = await api.getMealsByCategory('Pasta');
+
+    expect(italian.map(recipe => recipe.id)).toEqual(['52771', '52844']);
+    expect(pasta.map(recipe => recipe.id)).toEqual(['52844']);
+  });
+
+  it('should return a random meal', async () => {
+    const result = await api.getRandomMeal();
+    expect(result.id).toBeDefined();
+  });
+});
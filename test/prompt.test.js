@@ -0,0 +1,66 @@
+// test/prompt.test.js
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { PassThrough } from 'stream';
+import { question, askYesNo, usePromptStreams } from '../src/prompt.js';
+
+describe('Prompt Module', () => {
+  let input;
+  let shown;
+
+  beforeEach(() => {
+    input = new PassThrough();
+    const output = new PassThrough();
+    shown = '';
+    output.on('data', chunk => {
+      shown += chunk;
+    });
+    usePromptStreams({ input, output });
+  });
+
+  afterEach(() => {
+    usePromptStreams();
+  });
+
+  describe('question', () => {
+    it('should show the prompt and resolve with the answer', async () => {
+      const answer = question('Enter recipe number: ');
+      input.write('2\n');
+
+      expect(await answer).toBe('2');
+      expect(shown).toContain('Enter recipe number: ');
+    });
+
+    it('should keep lines typed before the question for the next ones', async () => {
+      input.write('pie\n2\n');
+      // Let the interface read both lines before anything is asked
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(await question('Enter search term: ')).toBe('pie');
+      expect(await question('Enter recipe number: ')).toBe('2');
+    });
+
+    it('should resolve with null once the input has ended', async () => {
+      input.end('1\n');
+
+      expect(await question('First: ')).toBe('1');
+      expect(await question('Second: ')).toBeNull();
+      expect(await question('Third: ')).toBeNull();
+    });
+  });
+
+  describe('askYesNo', () => {
+    it('should take anything but yes as no', async () => {
+      input.write('maybe\n');
+
+      expect(await askYesNo('Add to favorites?')).toBe(false);
+      expect(shown).toContain('Add to favorites? [y/n]: ');
+    });
+
+    it('should ask again until the answer is yes or no when strict', async () => {
+      input.write('maybe\nY\n');
+
+      expect(await askYesNo('Delete all entries?', { strict: true })).toBe(true);
+      expect(shown.match(/Delete all entries\?/g)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+// test/rate-limiter.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRateLimiter } from '../src/rate-limiter.js';
+import { CancelledError } from '../src/errors.js';
+
+describe('Rate Limiter Module', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should allow a burst of requests immediately', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 2, burst: 3 });
+    const started = vi.fn();
+
+    for (let i = 0; i < 3; i++) {
+      limiter.acquire().then(started);
+    }
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(started).toHaveBeenCalledTimes(3);
+    expect(limiter.getQueueDepth()).toBe(0);
+  });
+
+  it('should queue requests beyond the burst and release them at the refill rate', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 2, burst: 1 });
+    const started = vi.fn();
+
+    for (let i = 0; i < 3; i++) {
+      limiter.acquire().then(started);
+    }
+    await vi.advanceTimersByTimeAsync(0);
+
+    // One request goes through, two wait
+    expect(started).toHaveBeenCalledTimes(1);
+    expect(limiter.getQueueDepth()).toBe(2);
+
+    // A token is added every 500ms
+    await vi.advanceTimersByTimeAsync(500);
+    expect(started).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(500);
+    expect(started).toHaveBeenCalledTimes(3);
+    expect(limiter.getQueueDepth()).toBe(0);
+  });
+
+  it('should report queue depth changes', async () => {
+    const onQueueChange = vi.fn();
+    const limiter = createRateLimiter({ requestsPerSecond: 1, burst: 1, onQueueChange });
+
+    limiter.acquire();
+    limiter.acquire();
+    limiter.acquire();
+    await vi.runAllTimersAsync();
+
+    expect(onQueueChange.mock.calls.map(call => call[0])).toEqual([1, 2, 1, 0]);
+  });
+
+  it('should run scheduled functions in order', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 10, burst: 1 });
+    const order = [];
+
+    const promises = [1, 2, 3].map(n => limiter.schedule(async () => order.push(n)));
+    await vi.runAllTimersAsync();
+    await Promise.all(promises);
+
+    expect(order).toEqual([1, 2, 3]);
+  });
+
+  it('should not limit when requestsPerSecond is 0', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 0 });
+    const started = vi.fn();
+
+    for (let i = 0; i < 100; i++) {
+      limiter.acquire().then(started);
+    }
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(started).toHaveBeenCalledTimes(100);
+  });
+
+  it('should remove a waiting request from the queue when its signal is aborted', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 1, burst: 1 });
+    const controller = new AbortController();
+    const started = vi.fn();
+
+    limiter.acquire();
+    const cancelled = limiter.acquire(controller.signal);
+    limiter.acquire().then(started);
+    expect(limiter.getQueueDepth()).toBe(2);
+
+    controller.abort();
+    await expect(cancelled).rejects.toBeInstanceOf(CancelledError);
+    expect(limiter.getQueueDepth()).toBe(1);
+
+    // The next request gets the token the cancelled one was waiting for
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(started).toHaveBeenCalledTimes(1);
+  });
+});
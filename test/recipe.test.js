@@ -0,0 +1,121 @@
+// test/recipe.test.js
+import { describe, it, expect } from 'vitest';
+import { toRecipe, toMeal, parseSteps, upgradeStoredRecipes, ingredientSimilarity, rankBySimilarity } from '../src/recipe.js';
+
+// A full meal as returned by lookup.php (trimmed to a few ingredients)
+const rawMeal = {
+  idMeal: '52772',
+  strMeal: 'Teriyaki Chicken Casserole',
+  strCategory: 'Chicken',
+  strArea: 'Japanese',
+  strInstructions: 'STEP 1\r\nPreheat oven to 350.\r\n\r\nSTEP 2\r\nBake for 30 minutes.',
+  strMealThumb: 'https://www.themealdb.com/images/media/meals/wvpsxx1468256321.jpg',
+  strTags: 'Meat, Casserole',
+  strYoutube: 'https://www.youtube.com/watch?v=4aZr5hZXP_s',
+  strIngredient1: 'soy sauce',
+  strIngredient2: 'water',
+  strIngredient3: ' ',
+  strIngredient4: null,
+  strMeasure1: '3/4 cup',
+  strMeasure2: ' ',
+  strMeasure3: '',
+  strMeasure4: null,
+  strSource: ''
+};
+
+describe('Recipe Module', () => {
+  describe('toRecipe', () => {
+    it('should normalize a full meal', () => {
+      expect(toRecipe(rawMeal)).toEqual({
+        id: '52772',
+        name: 'Teriyaki Chicken Casserole',
+        category: 'Chicken',
+        area: 'Japanese',
+        tags: ['Meat', 'Casserole'],
+        ingredients: [
+          { name: 'soy sauce', measure: '3/4 cup' },
+          { name: 'water', measure: '' }
+        ],
+        steps: ['Preheat oven to 350.', 'Bake for 30 minutes.'],
+        youtube: 'https://www.youtube.com/watch?v=4aZr5hZXP_s',
+        source: null,
+        thumbnail: 'https://www.themealdb.com/images/media/meals/wvpsxx1468256321.jpg'
+      });
+    });
+
+    it('should normalize a filter.php summary', () => {
+      const recipe = toRecipe({ idMeal: '1', strMeal: 'Lasagne', strMealThumb: 'https://example.com/lasagne.jpg' });
+
+      expect(recipe).toMatchObject({ id: '1', name: 'Lasagne', category: null, area: null });
+      expect(recipe.tags).toEqual([]);
+      expect(recipe.ingredients).toEqual([]);
+      expect(recipe.steps).toEqual([]);
+    });
+  });
+
+  describe('parseSteps', () => {
+    it('should split instructions on line breaks and drop step headings', () => {
+      expect(parseSteps('Boil water.\nstep 2.\n\nAdd pasta.')).toEqual(['Boil water.', 'Add pasta.']);
+      expect(parseSteps(null)).toEqual([]);
+    });
+  });
+
+  describe('toMeal', () => {
+    it('should convert a recipe back to the same recipe', () => {
+      const recipe = toRecipe(rawMeal);
+      expect(toRecipe(toMeal(recipe))).toEqual(recipe);
+    });
+
+    it('should write numbered ingredient and measure fields', () => {
+      const meal = toMeal(toRecipe(rawMeal));
+
+      expect(meal).toMatchObject({
+        idMeal: '52772',
+        strMeal: 'Teriyaki Chicken Casserole',
+        strIngredient1: 'soy sauce',
+        strMeasure1: '3/4 cup',
+        strIngredient2: 'water',
+        strTags: 'Meat,Casserole'
+      });
+      expect(meal.strIngredient3).toBeUndefined();
+    });
+  });
+
+  describe('ingredientSimilarity', () => {
+    it('should score the ingredient overlap, ignoring case', () => {
+      const toast = toRecipe({ idMeal: '1', strMeal: 'Toast', strIngredient1: 'Bread', strIngredient2: 'Butter' });
+      const sandwich = toRecipe({ idMeal: '2', strMeal: 'Sandwich', strIngredient1: 'bread', strIngredient2: 'Ham', strIngredient3: 'Butter' });
+
+      expect(ingredientSimilarity(toast, sandwich)).toEqual({ score: 2 / 3, sharedIngredients: ['Bread', 'Butter'] });
+      expect(ingredientSimilarity(toast, toRecipe({ idMeal: '3', strMeal: 'Water' })).score).toBe(0);
+    });
+  });
+
+  describe('rankBySimilarity', () => {
+    it('should sort by score, skipping the recipe itself and unrelated recipes', () => {
+      const recipe = toRecipe({ idMeal: '1', strMeal: 'Toast', strIngredient1: 'Bread', strIngredient2: 'Butter' });
+      const candidates = [
+        recipe,
+        toRecipe({ idMeal: '2', strMeal: 'Sandwich', strIngredient1: 'Bread', strIngredient2: 'Ham', strIngredient3: 'Cheese' }),
+        toRecipe({ idMeal: '3', strMeal: 'Butter Toast', strIngredient1: 'Bread', strIngredient2: 'Butter', strIngredient3: 'Salt' }),
+        toRecipe({ idMeal: '4', strMeal: 'Salad', strIngredient1: 'Lettuce' })
+      ];
+
+      const ranked = rankBySimilarity(recipe, candidates);
+
+      expect(ranked.map(entry => entry.recipe.id)).toEqual(['3', '2']);
+      expect(rankBySimilarity(recipe, candidates, 1)).toHaveLength(1);
+    });
+  });
+
+  describe('upgradeStoredRecipes', () => {
+    it('should convert raw meals and leave other values alone', () => {
+      const recipe = toRecipe(rawMeal);
+
+      expect(upgradeStoredRecipes([rawMeal])).toEqual([recipe]);
+      expect(upgradeStoredRecipes(rawMeal)).toEqual(recipe);
+      expect(upgradeStoredRecipes([recipe])).toEqual([recipe]);
+      expect(upgradeStoredRecipes(['Beef', 'Seafood'])).toEqual(['Beef', 'Seafood']);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+// test/retry.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  DEFAULT_RETRY_POLICY,
+  parseRetryAfter,
+  computeBackoff,
+  isRetryable,
+  sleep,
+  withRetry
+} from '../src/retry.js';
+import { NetworkError, HttpError, NotFoundError, TimeoutError, CancelledError } from '../src/errors.js';
+
+describe('Retry Module', () => {
+  describe('parseRetryAfter', () => {
+    it('should parse a number of seconds', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+    });
+
+    it('should parse an HTTP date relative to now', () => {
+      const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+      expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:05 GMT', now)).toBe(5000);
+    });
+
+    it('should return null for missing or invalid values', () => {
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('computeBackoff', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, baseDelayMs: 100, maxDelayMs: 1000, jitter: false };
+
+    it('should grow exponentially', () => {
+      expect(computeBackoff(1, policy)).toBe(100);
+      expect(computeBackoff(2, policy)).toBe(200);
+      expect(computeBackoff(3, policy)).toBe(400);
+    });
+
+    it('should be capped at maxDelayMs', () => {
+      expect(computeBackoff(10, policy)).toBe(1000);
+    });
+
+    it('should apply full jitter', () => {
+      const jittered = { ...policy, jitter: true };
+      expect(computeBackoff(3, jittered, () => 0.5)).toBe(200);
+      expect(computeBackoff(3, jittered, () => 0)).toBe(0);
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('should retry network errors and timeouts', () => {
+      expect(isRetryable(new NetworkError('down'), DEFAULT_RETRY_POLICY)).toBe(true);
+      expect(isRetryable(new TimeoutError(10), DEFAULT_RETRY_POLICY)).toBe(true);
+    });
+
+    it('should only retry the configured HTTP statuses', () => {
+      expect(isRetryable(new HttpError(503), DEFAULT_RETRY_POLICY)).toBe(true);
+      expect(isRetryable(new HttpError(404), DEFAULT_RETRY_POLICY)).toBe(false);
+      expect(isRetryable(new HttpError(404), { ...DEFAULT_RETRY_POLICY, retryableStatuses: [404] })).toBe(true);
+    });
+
+    it('should not retry other errors', () => {
+      expect(isRetryable(new NotFoundError('missing'), DEFAULT_RETRY_POLICY)).toBe(false);
+      expect(isRetryable(new TypeError('bug'), DEFAULT_RETRY_POLICY)).toBe(false);
+    });
+  });
+
+  describe('withRetry', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should wait with exponential backoff between attempts', async () => {
+      const operation = vi.fn()
+        .mockRejectedValueOnce(new NetworkError('down'))
+        .mockRejectedValueOnce(new NetworkError('down'))
+        .mockResolvedValueOnce('ok');
+
+      const promise = withRetry(operation, { baseDelayMs: 100, jitter: false });
+
+      // First attempt runs immediately
+      await vi.advanceTimersByTimeAsync(0);
+      expect(operation).toHaveBeenCalledTimes(1);
+
+      // Second attempt after 100ms
+      await vi.advanceTimersByTimeAsync(99);
+      expect(operation).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(operation).toHaveBeenCalledTimes(2);
+
+      // Third attempt after another 200ms
+      await vi.advanceTimersByTimeAsync(200);
+      expect(operation).toHaveBeenCalledTimes(3);
+
+      await expect(promise).resolves.toBe('ok');
+    });
+
+    it('should give up after maxAttempts', async () => {
+      const operation = vi.fn().mockRejectedValue(new HttpError(500));
+      const onRetry = vi.fn();
+
+      const promise = withRetry(operation, { maxAttempts: 2, baseDelayMs: 100 }, { onRetry });
+      const assertion = expect(promise).rejects.toMatchObject({ status: 500, attempts: 2 });
+      await vi.runAllTimersAsync();
+      await assertion;
+
+      expect(operation).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenCalledTimes(1);
+    });
+
+    it('should honor Retry-After', async () => {
+      const operation = vi.fn()
+        .mockRejectedValueOnce(new HttpError(429, { retryAfterMs: 2000 }))
+        .mockResolvedValueOnce('ok');
+
+      const promise = withRetry(operation, { baseDelayMs: 10, jitter: false });
+
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(operation).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(operation).toHaveBeenCalledTimes(2);
+
+      await expect(promise).resolves.toBe('ok');
+    });
+
+    it('should wait at most maxDelayMs when Retry-After is longer, then retry', async () => {
+      const operation = vi.fn()
+        .mockRejectedValueOnce(new HttpError(429, { retryAfterMs: 30000 }))
+        .mockResolvedValueOnce('ok');
+      const onRetry = vi.fn();
+
+      const promise = withRetry(operation, { maxDelayMs: 5000 }, { onRetry });
+
+      await vi.advanceTimersByTimeAsync(4999);
+      expect(operation).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(operation).toHaveBeenCalledTimes(2);
+
+      await expect(promise).resolves.toBe('ok');
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ delayMs: 5000 }));
+    });
+
+    it('should not retry errors that are not retryable', async () => {
+      const operation = vi.fn().mockRejectedValue(new NotFoundError('missing'));
+
+      await expect(withRetry(operation)).rejects.toBeInstanceOf(NotFoundError);
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop waiting between attempts when the signal is aborted', async () => {
+      const operation = vi.fn().mockRejectedValue(new NetworkError('down'));
+      const controller = new AbortController();
+
+      const promise = withRetry(operation, { baseDelayMs: 1000, jitter: false }, { signal: controller.signal });
+      const assertion = expect(promise).rejects.toBeInstanceOf(CancelledError);
+      await vi.advanceTimersByTimeAsync(500);
+      controller.abort();
+      await assertion;
+
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('sleep', () => {
+    it('should reject right away when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(sleep(1000, controller.signal)).rejects.toBeInstanceOf(CancelledError);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+// test/search-index.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../src/cache.js', () => ({
+  getAllFromCache: vi.fn()
+}));
+
+vi.mock('../src/favorites.js', () => ({
+  getFavorites: vi.fn()
+}));
+
+import { tokenize, editDistance, buildIndex, searchIndex, searchLocalRecipes } from '../src/search-index.js';
+import * as cache from '../src/cache.js';
+import * as favorites from '../src/favorites.js';
+import { toRecipe } from '../src/recipe.js';
+
+const chickenCurry = toRecipe({
+  idMeal: '1',
+  strMeal: 'Chicken Curry',
+  strTags: 'Curry,Spicy',
+  strIngredient1: 'Chicken Thighs',
+  strIngredient2: 'Coconut Milk',
+  strInstructions: 'Brown the chicken.\r\nSimmer in the coconut milk.'
+});
+
+const beefPie = toRecipe({
+  idMeal: '2',
+  strMeal: 'Beef and Mustard Pie',
+  strIngredient1: 'Beef',
+  strIngredient2: 'Puff Pastry',
+  strInstructions: 'Serve with mashed potatoes and chicken gravy.'
+});
+
+const beefStew = toRecipe({
+  idMeal: '3',
+  strMeal: 'Beef Stew',
+  strIngredient1: 'Beef',
+  strIngredient2: 'Carrots'
+});
+
+describe('Search Index Module', () => {
+  describe('tokenize', () => {
+    it('should split into lowercase words without stop words or accents', () => {
+      expect(tokenize('Jalapeño and Cheese-Stuffed Peppers')).toEqual(['jalapeno', 'cheese', 'stuffed', 'peppers']);
+      expect(tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count insertions, substitutions and swaps', () => {
+      expect(editDistance('chiken', 'chicken')).toBe(1);
+      expect(editDistance('chikcen', 'chicken')).toBe(1);
+      expect(editDistance('beef', 'bean')).toBe(2);
+    });
+
+    it('should stop early past the maximum', () => {
+      expect(editDistance('chicken', 'carrots', 1)).toBe(2);
+    });
+  });
+
+  describe('searchIndex', () => {
+    const index = buildIndex([chickenCurry, beefPie, beefStew]);
+
+    it('should find recipes despite a typo', () => {
+      const results = searchIndex(index, 'chiken');
+
+      expect(results.map(result => result.recipe.id)).toEqual(['1', '2']);
+      expect(results[0].matchedTerms).toEqual(['chicken']);
+    });
+
+    it('should rank name matches above instruction matches', () => {
+      const [first, second] = searchIndex(index, 'chicken');
+
+      expect(first.recipe.id).toBe('1');
+      expect(first.score).toBeGreaterThan(second.score);
+    });
+
+    it('should rank recipes matching every word first', () => {
+      const results = searchIndex(index, 'beef pie');
+
+      expect(results.map(result => result.recipe.id)).toEqual(['2', '3']);
+    });
+
+    it('should match the start of a word and search tags', () => {
+      expect(searchIndex(index, 'coco').map(result => result.recipe.id)).toEqual(['1']);
+      expect(searchIndex(index, 'spicy').map(result => result.recipe.id)).toEqual(['1']);
+    });
+
+    it('should not allow typos in short words', () => {
+      expect(searchIndex(index, 'pig')).toEqual([]);
+    });
+
+    it('should keep the most complete copy of a recipe', () => {
+      const summary = toRecipe({ idMeal: '1', strMeal: 'Chicken Curry' });
+      const merged = buildIndex([summary, chickenCurry]);
+
+      expect(merged.recipes.get('1')).toBe(chickenCurry);
+    });
+  });
+
+  describe('searchLocalRecipes', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('should search cached results, cached recipes, related recipes and favorites', async () => {
+      cache.getAllFromCache.mockResolvedValue({
+        search_curry: [chickenCurry],
+        recipe_3: beefStew,
+        related_1: [{ recipe: beefPie, score: 0.1, sharedIngredients: [] }],
+        categories_list: ['Beef', 'Chicken']
+      });
+      favorites.getFavorites.mockResolvedValue([
+        toRecipe({ idMeal: '4', strMeal: 'Beef Wellington', strIngredient1: 'Beef Fillet' })
+      ]);
+
+      const results = await searchLocalRecipes('beef', { limit: 2 });
+
+      expect(results.map(result => result.recipe.id)).toEqual(['2', '3']);
+      expect((await searchLocalRecipes('wellington')).map(result => result.recipe.id)).toEqual(['4']);
+    });
+  });
+});
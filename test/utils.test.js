@@ -0,0 +1,192 @@
+// test/utils.test.js
+import { describe, it, expect, vi } from 'vitest';
+import { formatRecipe, formatRecipeList, formatRelatedRecipes, formatFavoriteDetails, formatCookingSummary, formatCookingHistory, formatStats, formatAge, formatCacheSummary, formatCacheEntries, runWithConcurrency, withTimeout } from '../src/utils.js';
+import { CancelledError } from '../src/errors.js';
+import { toRecipe } from '../src/recipe.js';
+
+describe('Utils Module', () => {
+  describe('formatRecipe', () => {
+    it('should list ingredients with measures and numbered steps', () => {
+      const recipe = toRecipe({
+        idMeal: '1',
+        strMeal: 'Toast',
+        strCategory: 'Breakfast',
+        strInstructions: 'Toast the bread.\r\nButter it.',
+        strIngredient1: 'Bread',
+        strMeasure1: '2 slices',
+        strIngredient2: 'Butter',
+        strMeasure2: ''
+      });
+
+      const result = formatRecipe(recipe);
+
+      expect(result).toContain('=== Toast ===');
+      expect(result).toContain('Area: N/A');
+      expect(result).toContain('- 2 slices Bread\n');
+      expect(result).toContain('- Butter\n');
+      expect(result).toContain('1. Toast the bread.\n2. Butter it.');
+    });
+  });
+
+  describe('formatRecipeList', () => {
+    it('should number recipes with their IDs', () => {
+      const recipes = [toRecipe({ idMeal: '1', strMeal: 'Toast' })];
+      expect(formatRecipeList(recipes)).toContain('1. Toast (ID: 1)');
+      expect(formatRecipeList([])).toBe('No recipes found');
+    });
+
+    it('should show notes next to recipes', () => {
+      const recipes = [toRecipe({ idMeal: '1', strMeal: 'Toast' }), toRecipe({ idMeal: '2', strMeal: 'Jam' })];
+      const result = formatRecipeList(recipes, { 2: 'saved' });
+
+      expect(result).toContain('1. Toast (ID: 1)\n');
+      expect(result).toContain('2. Jam (ID: 2) - saved\n');
+    });
+  });
+
+  describe('formatRelatedRecipes', () => {
+    it('should show the similarity and shared ingredients', () => {
+      const related = [{ recipe: toRecipe({ idMeal: '2', strMeal: 'Sandwich' }), score: 2 / 3, sharedIngredients: ['Bread', 'Butter'] }];
+
+      const result = formatRelatedRecipes(related);
+
+      expect(result).toContain('1. Sandwich (ID: 2) - 67% similar\n');
+      expect(result).toContain('   Shared: Bread, Butter\n');
+      expect(formatRelatedRecipes([])).toBe('No related recipes found');
+    });
+  });
+
+  describe('formatFavoriteDetails', () => {
+    it('should show the tags and the notes if there are any', () => {
+      expect(formatFavoriteDetails({ tags: ['weeknight', 'party'], notes: 'Less salt' }))
+        .toBe('Your tags: weeknight, party\nYour notes: Less salt\n');
+      expect(formatFavoriteDetails({ tags: [], notes: '' })).toBe('Your tags: none\n');
+      expect(formatFavoriteDetails({ tags: [], notes: '' }, ['Favorites', 'Holiday']))
+        .toBe('Your tags: none\nIn collections: Favorites, Holiday\n');
+    });
+  });
+
+  describe('formatCookingSummary', () => {
+    it('should show the average rating, times cooked and last date', () => {
+      expect(formatCookingSummary({ timesCooked: 3, averageRating: 13 / 3, lastCooked: '2024-05-01' }))
+        .toBe('rated 4.3/5, cooked 3 times, last on 2024-05-01');
+      expect(formatCookingSummary({ timesCooked: 1, averageRating: 5, lastCooked: '2024-05-01' }))
+        .toBe('rated 5/5, cooked once, last on 2024-05-01');
+    });
+  });
+
+  describe('formatCookingHistory', () => {
+    it('should list every time the recipe was cooked', () => {
+      const history = [
+        { recipeId: '1', date: '2024-05-01', rating: 5, servings: 4, comment: 'Perfect' },
+        { recipeId: '1', date: '2024-04-10', rating: 4, servings: 1, comment: '' }
+      ];
+
+      expect(formatCookingHistory(history)).toBe(
+        '\n=== Cooking History ===\n' +
+        'Cooked 2 times, average rating 4.5/5\n' +
+        '- 2024-05-01: 5/5, 4 servings - Perfect\n' +
+        '- 2024-04-10: 4/5, 1 serving\n'
+      );
+      expect(formatCookingHistory([])).toBe('Not cooked yet');
+    });
+  });
+
+  describe('formatAge', () => {
+    it('should use the largest whole unit', () => {
+      const now = Date.UTC(2024, 0, 10);
+
+      expect(formatAge(now - 3 * 24 * 60 * 60 * 1000 - 5000, now)).toBe('3 days ago');
+      expect(formatAge(now - 60 * 60 * 1000, now)).toBe('1 hour ago');
+      expect(formatAge(now - 5 * 60 * 1000, now)).toBe('5 minutes ago');
+      expect(formatAge(now - 20 * 1000, now)).toBe('just now');
+    });
+  });
+
+  describe('formatCacheSummary', () => {
+    it('should total entries and sizes per namespace', () => {
+      const result = formatCacheSummary([
+        { key: 'recipe_1', namespace: 'recipe', size: 2048, stale: false },
+        { key: 'search_a', namespace: 'search', size: 100, stale: true },
+        { key: 'search_b', namespace: 'search', size: 300, stale: false }
+      ]);
+
+      expect(result).toContain('3 entries, 2.4 KB');
+      expect(result).toContain('  recipe: 1 entries, 2.0 KB\n');
+      expect(result).toContain('  search: 2 entries, 400 B (1 expired)');
+    });
+  });
+
+  describe('formatCacheEntries', () => {
+    it('should show the age and size of each key', () => {
+      const now = Date.UTC(2024, 0, 10);
+      const result = formatCacheEntries([
+        { key: 'search_pie', storedAt: now - 3 * 24 * 60 * 60 * 1000, size: 1536, stale: true }
+      ], now);
+
+      expect(result).toContain('1. search_pie - saved 3 days ago, 1.5 KB (expired)');
+      expect(formatCacheEntries([])).toBe('No cache entries found');
+    });
+  });
+
+  describe('formatStats', () => {
+    it('should show request counts, latency and cache use', () => {
+      const summary = {
+        since: null,
+        requests: { count: 2, errors: 1, cancelled: 0, retries: 1, latency: { p50: 100, p90: 300, p99: 300, max: 300 } },
+        endpoints: [{ endpoint: 'search.php', count: 2, errors: 1, cancelled: 0, retries: 1, latency: { p50: 100, p90: 300, p99: 300, max: 300 } }],
+        statuses: { 200: 1, 503: 1 },
+        cache: { hit: 3, miss: 1, stale: 0, evicted: 2, lookups: 4, hitRate: 0.75 }
+      };
+
+      const result = formatStats('This session', summary);
+
+      expect(result).toContain('=== This session ===');
+      expect(result).toContain('API requests: 2 (1 failed, 0 cancelled, 1 retries)');
+      expect(result).toContain('Latency: p50 100ms, p90 300ms, p99 300ms, max 300ms');
+      expect(result).toContain('  search.php: 2 requests');
+      expect(result).toContain('Status codes: 200 x1, 503 x1');
+      expect(result).toContain('Cache lookups: 4 (3 hits, 1 misses, 0 stale), 75% served from cache');
+      expect(result).toContain('Cache evictions: 2');
+    });
+  });
+
+  describe('runWithConcurrency', () => {
+    it('should return results in task order', async () => {
+      const tasks = [30, 10, 20].map(ms => () => new Promise(resolve => setTimeout(() => resolve(ms), ms)));
+      const result = await runWithConcurrency(tasks, 2);
+      expect(result).toEqual([30, 10, 20]);
+    });
+
+    it('should stop starting tasks when the signal is aborted', async () => {
+      const controller = new AbortController();
+      const tasks = [0, 1, 2, 3].map(n => vi.fn(async () => {
+        if (n === 0) {
+          controller.abort();
+        }
+        return n;
+      }));
+
+      await expect(runWithConcurrency(tasks, 1, { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+      expect(tasks[0]).toHaveBeenCalledWith(controller.signal);
+      expect(tasks[1]).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('withTimeout', () => {
+    it('should return the fallback value and abort the work on timeout', async () => {
+      let receivedSignal;
+      const fn = signal => {
+        receivedSignal = signal;
+        return new Promise(resolve => setTimeout(() => resolve('late'), 100));
+      };
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await withTimeout(fn, 10, 'fallback');
+
+      expect(result).toBe('fallback');
+      expect(receivedSignal.aborted).toBe(true);
+      console.error.mockRestore();
+    });
+  });
+});
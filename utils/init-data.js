@@ -6,6 +6,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { DATA_FILES, serializeDataFile } from '../src/data-files.js';
 
 // Get the directory path using ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -38,7 +39,7 @@ async function initData() {
       console.log('Cache file already exists');
     } catch (error) {
       console.log('Creating cache file...');
-      await fs.writeFile(cacheFile, JSON.stringify({}, null, 2));
+      await fs.writeFile(cacheFile, serializeDataFile('cache', {}));
     }
     
     // Create favorites file if it doesn't exist
@@ -47,7 +48,7 @@ async function initData() {
       console.log('Favorites file already exists');
     } catch (error) {
       console.log('Creating favorites file...');
-      await fs.writeFile(favoritesFile, JSON.stringify([], null, 2));
+      await fs.writeFile(favoritesFile, serializeDataFile('favorites', DATA_FILES.favorites.empty()));
     }
     
     console.log('Data initialization complete!');
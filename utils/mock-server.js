@@ -0,0 +1,205 @@
+// utils/mock-server.js
+/**
+ * Local stand-in for TheMealDB API
+ * Serves fixture data so the application and tests can run without internet access
+ * Supports search.php, lookup.php, filter.php, list.php and random.php
+ *
+ * Usage:
+ *   npm run mock-server
+ *   MEALDB_BASE_URL=http://localhost:3001/api/json/v1/1 npm start
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get the directory path using ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_FILE = path.join(__dirname, 'fixtures/meals.json');
+const DEFAULT_PORT = 3001;
+
+/**
+ * Load the fixture meals bundled with the mock server
+ *
+ * @returns {Array<Object>} - Array of full meal objects
+ */
+export function loadFixtureMeals() {
+  return JSON.parse(fs.readFileSync(FIXTURES_FILE, 'utf-8')).meals;
+}
+
+/**
+ * Reduce a full meal to the summary returned by filter.php
+ *
+ * @param {Object} meal - Full meal object
+ * @returns {Object} - Summary with name, thumbnail and ID
+ */
+function toSummary(meal) {
+  return { strMeal: meal.strMeal, strMealThumb: meal.strMealThumb, idMeal: meal.idMeal };
+}
+
+/**
+ * Normalize a query value the way TheMealDB does (case-insensitive, underscores as spaces)
+ *
+ * @param {string|null} value - Raw query value
+ * @returns {string} - Normalized value
+ */
+function normalize(value) {
+  return (value || '').replace(/_/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Get the ingredient names of a full meal
+ *
+ * @param {Object} meal - Full meal object
+ * @returns {Array<string>} - Normalized ingredient names
+ */
+function ingredientsOf(meal) {
+  const ingredients = [];
+  for (let i = 1; i <= 20; i++) {
+    const ingredient = meal[`strIngredient${i}`];
+    if (ingredient && ingredient.trim() !== '') {
+      ingredients.push(normalize(ingredient));
+    }
+  }
+  return ingredients;
+}
+
+/**
+ * Remove duplicates and empty values, keeping the first occurrence order
+ *
+ * @param {Array<string>} values - Values to deduplicate
+ * @returns {Array<string>} - Unique values
+ */
+function unique(values) {
+  return Array.from(new Set(values.filter(Boolean)));
+}
+
+/**
+ * Resolve an API endpoint against the fixture meals
+ *
+ * @param {string} endpoint - Endpoint file name (e.g. 'search.php')
+ * @param {URLSearchParams} params - Query parameters
+ * @param {Array<Object>} meals - Fixture meals
+ * @returns {Array<Object>|null|undefined} - Meals for the response, null for no results, undefined for unknown endpoints
+ */
+function resolveEndpoint(endpoint, params, meals) {
+  let results;
+
+  switch (endpoint) {
+    case 'search.php':
+      if (params.has('f')) {
+        const letter = normalize(params.get('f')).charAt(0);
+        results = meals.filter(meal => meal.strMeal.toLowerCase().startsWith(letter));
+      } else {
+        const query = normalize(params.get('s'));
+        results = meals.filter(meal => meal.strMeal.toLowerCase().includes(query));
+      }
+      break;
+    case 'lookup.php':
+      results = meals.filter(meal => meal.idMeal === params.get('i'));
+      break;
+    case 'filter.php':
+      if (params.has('i')) {
+        const ingredient = normalize(params.get('i'));
+        results = meals.filter(meal => ingredientsOf(meal).includes(ingredient)).map(toSummary);
+      } else if (params.has('c')) {
+        const category = normalize(params.get('c'));
+        results = meals.filter(meal => normalize(meal.strCategory) === category).map(toSummary);
+      } else if (params.has('a')) {
+        const area = normalize(params.get('a'));
+        results = meals.filter(meal => normalize(meal.strArea) === area).map(toSummary);
+      } else {
+        results = [];
+      }
+      break;
+    case 'list.php':
+      if (params.get('c') === 'list') {
+        results = unique(meals.map(meal => meal.strCategory)).map(strCategory => ({ strCategory }));
+      } else if (params.get('a') === 'list') {
+        results = unique(meals.map(meal => meal.strArea)).map(strArea => ({ strArea }));
+      } else if (params.get('i') === 'list') {
+        results = unique(meals.flatMap(ingredientsOf)).map((strIngredient, index) => ({
+          idIngredient: String(index + 1),
+          strIngredient,
+          strDescription: null,
+          strType: null
+        }));
+      } else {
+        results = [];
+      }
+      break;
+    case 'random.php':
+      results = meals.length > 0 ? [meals[Math.floor(Math.random() * meals.length)]] : [];
+      break;
+    default:
+      return undefined;
+  }
+
+  return results.length > 0 ? results : null;
+}
+
+/**
+ * Create an HTTP server that answers like TheMealDB API
+ * Any path prefix is accepted, only the last path segment selects the endpoint
+ *
+ * @param {Object} options - Server options
+ * @param {Array<Object>} options.meals - Meals to serve (defaults to the bundled fixtures)
+ * @returns {http.Server} - Server that has not started listening yet
+ *
+ * @see {@link https://nodejs.org/api/http.html#httpcreateserveroptions-requestlistener | Node.js: http.createServer}
+ */
+export function createMockServer({ meals = loadFixtureMeals() } = {}) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = url.pathname.split('/').pop();
+    const results = resolveEndpoint(endpoint, url.searchParams, meals);
+
+    if (results === undefined) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ meals: results }));
+  });
+}
+
+/**
+ * Start the mock server
+ *
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {Array<Object>} options.meals - Meals to serve (defaults to the bundled fixtures)
+ * @returns {Promise<Object>} - Object with the API base URL and a close function
+ */
+export async function startMockServer({ port = DEFAULT_PORT, meals } = {}) {
+  const server = createMockServer({ meals });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/json/v1/1`;
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { baseUrl, close };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+
+  startMockServer({ port })
+    .then(({ baseUrl }) => {
+      console.log(`Mock TheMealDB server listening on ${baseUrl}`);
+      console.log(`Run the app against it with: MEALDB_BASE_URL=${baseUrl} npm start`);
+    })
+    .catch(error => {
+      console.error('Error starting mock server:', error.message);
+      process.exit(1);
+    });
+}